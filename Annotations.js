@@ -0,0 +1,854 @@
+/**
+ * Measurements and Annotations
+ * Distance, area and bearing measurements, and notes, pins and arrows added during review.
+ * Annotations carry their author and when they were made, are kept in the browser's
+ * localStorage, can be exported and imported as a GeoJSON file, and can be put on the
+ * timeline. Everything drawn here is marked as user-added, apart from the sourced KML content.
+ */
+
+// localStorage keys for the saved annotations and the reviewer's name
+const ANNOTATION_STORAGE_KEY = 'tnvza-map-annotations';
+const ANNOTATION_AUTHOR_KEY = 'tnvza-map-annotation-author';
+
+// Annotation types and how they are drawn:
+// note, pin: one point; arrow, bearing: two points; distance: a line; area: a polygon
+const ANNOTATION_TYPES = {
+    note: { label: 'Note', points: 1 },
+    pin: { label: 'Pin', points: 1 },
+    arrow: { label: 'Arrow', points: 2 },
+    distance: { label: 'Distance', points: 2, open: true },
+    area: { label: 'Area', points: 3, open: true },
+    bearing: { label: 'Bearing', points: 2 }
+};
+
+// Color of everything user-added, kept apart from the KML styles
+const ANNOTATION_COLOR = '#8e24aa';
+
+// Style of exported annotations (see MapExport.js), so they stand out in Google Earth too
+const ANNOTATION_KML_STYLE = {
+    normal: {
+        icon: { href: EXPORT_EVENT_ICON, color: { color: ANNOTATION_COLOR, opacity: 1 }, scale: 0.8 },
+        line: { color: { color: ANNOTATION_COLOR, opacity: 1 }, width: 3 },
+        poly: { color: { color: ANNOTATION_COLOR, opacity: 0.2 }, fill: true, outline: true }
+    }
+};
+
+// ---- Measurement ----
+
+// Length (m) along a line of latlngs
+function measureDistance(latlngs) {
+    let distance = 0;
+    for (let i = 1; i < latlngs.length; i++) {
+        distance += L.latLng(latlngs[i - 1]).distanceTo(latlngs[i]);
+    }
+    return distance;
+}
+
+// Area (m²) inside a ring of latlngs, on the sphere
+function measureArea(latlngs) {
+    const toRad = Math.PI / 180;
+    let area = 0;
+    latlngs.map(latlng => L.latLng(latlng)).forEach((p1, i, ring) => {
+        const p2 = ring[(i + 1) % ring.length];
+        area += (p2.lng - p1.lng) * toRad * (2 + Math.sin(p1.lat * toRad) + Math.sin(p2.lat * toRad));
+    });
+    return Math.abs(area * EARTH_RADIUS_METERS * EARTH_RADIUS_METERS / 2);
+}
+
+// Initial compass bearing (degrees from true north) from one latlng to another
+function measureBearing(from, to) {
+    const toRad = Math.PI / 180;
+    from = L.latLng(from);
+    to = L.latLng(to);
+    const phi1 = from.lat * toRad;
+    const phi2 = to.lat * toRad;
+    const deltaLambda = (to.lng - from.lng) * toRad;
+    const y = Math.sin(deltaLambda) * Math.cos(phi2);
+    const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(deltaLambda);
+    return (Math.atan2(y, x) / toRad + 360) % 360;
+}
+
+// "0.42 mi (0.68 km)", or feet and metres under a tenth of a mile
+function formatDistance(meters) {
+    if (meters < 160.9344) {
+        return `${Math.round(meters * 3.28084)} ft (${Math.round(meters)} m)`;
+    }
+    return `${(meters / 1609.344).toFixed(2)} mi (${(meters / 1000).toFixed(2)} km)`;
+}
+
+// "12.4 acres (0.050 km²)", or square feet under an acre
+function formatArea(squareMeters) {
+    const acres = squareMeters / 4046.8564;
+    if (acres < 1) {
+        return `${Math.round(squareMeters * 10.7639)} sq ft (${Math.round(squareMeters)} m²)`;
+    }
+    return `${acres.toFixed(1)} acres (${(squareMeters / 1e6).toFixed(3)} km²)`;
+}
+
+// "047° (NE)"
+function formatBearing(degrees) {
+    const points = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+    const rounded = Math.round(degrees) % 360;
+    return `${String(rounded).padStart(3, '0')}° (${points[Math.round(degrees / 22.5) % 16]})`;
+}
+
+// Measurement text for an annotation's points, or '' for notes, pins and arrows
+function getAnnotationMeasurement(type, latlngs) {
+    if (type === 'distance' && latlngs.length > 1) {
+        return formatDistance(measureDistance(latlngs));
+    }
+    if (type === 'area' && latlngs.length > 2) {
+        return `${formatArea(measureArea(latlngs))}, perimeter ${formatDistance(measureDistance(latlngs.concat([latlngs[0]])))}`;
+    }
+    if (type === 'bearing' && latlngs.length > 1) {
+        return `${formatBearing(measureBearing(latlngs[0], latlngs[1]))}, ${formatDistance(measureDistance(latlngs))}`;
+    }
+    return '';
+}
+
+// ---- Annotation records ----
+
+// Annotation record: { id, type, latlngs: [[lat, lng]], text, author, created, updated, time }
+// created/updated are ISO dates; time is the case time (ISO) it sits on the timeline, or null
+
+// Check a stored or imported annotation and fill in defaults; throws on a record that
+// can't be drawn
+function normalizeAnnotation(record) {
+    const type = ANNOTATION_TYPES[record.type] ? record.type : null;
+    if (!type) {
+        throw new Error(`unknown annotation type "${record.type}"`);
+    }
+    const latlngs = (Array.isArray(record.latlngs) ? record.latlngs : [])
+        .map(latlng => [Number(latlng[0]), Number(latlng[1])])
+        .filter(([lat, lng]) => isFinite(lat) && isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180);
+    if (latlngs.length < ANNOTATION_TYPES[type].points) {
+        throw new Error(`a ${type} needs at least ${ANNOTATION_TYPES[type].points} point(s)`);
+    }
+    const time = record.time ? parseKmlWhen(String(record.time)) : null;
+    const now = new Date().toISOString();
+    return {
+        id: record.id ? String(record.id) : createAnnotationId(),
+        type: type,
+        latlngs: ANNOTATION_TYPES[type].open ? latlngs : latlngs.slice(0, ANNOTATION_TYPES[type].points),
+        text: record.text ? String(record.text) : '',
+        author: record.author ? String(record.author) : '',
+        created: record.created ? String(record.created) : now,
+        updated: record.updated ? String(record.updated) : (record.created ? String(record.created) : now),
+        time: time ? formatCaseIsoDate(time) : null
+    };
+}
+
+// New unique annotation id
+function createAnnotationId() {
+    return 'annotation-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 7);
+}
+
+// Heading for an annotation: the first line of its text, else its type and measurement
+function getAnnotationTitle(annotation) {
+    const text = annotation.text.trim().split('\n')[0];
+    if (text) return text;
+    const measurement = getAnnotationMeasurement(annotation.type, annotation.latlngs);
+    return ANNOTATION_TYPES[annotation.type].label + (measurement ? ' ' + measurement : '');
+}
+
+// Map position that stands for an annotation: its point, or the middle of its points
+function getAnnotationLatLng(annotation) {
+    return annotation.latlngs.length === 1 || annotation.type === 'arrow' || annotation.type === 'bearing'
+        ? L.latLng(annotation.latlngs[0])
+        : L.latLngBounds(annotation.latlngs).getCenter();
+}
+
+// GeoJSON geometry for an annotation
+function annotationToGeometry(annotation) {
+    const positions = annotation.latlngs.map(([lat, lng]) => [lng, lat]);
+    if (ANNOTATION_TYPES[annotation.type].points === 1) {
+        return { type: 'Point', coordinates: positions[0] };
+    }
+    if (annotation.type === 'area') {
+        return { type: 'Polygon', coordinates: [positions.concat([positions[0]])] };
+    }
+    return { type: 'LineString', coordinates: positions };
+}
+
+// Write annotations as a GeoJSON FeatureCollection (the annotation file format)
+function annotationsToGeoJson(annotations) {
+    return JSON.stringify({
+        type: 'FeatureCollection',
+        name: 'User annotations',
+        features: annotations.map(annotation => ({
+            type: 'Feature',
+            id: annotation.id,
+            properties: {
+                kind: 'annotation',
+                user_added: true,
+                annotation_type: annotation.type,
+                text: annotation.text,
+                author: annotation.author,
+                created: annotation.created,
+                updated: annotation.updated,
+                time: annotation.time,
+                measurement: getAnnotationMeasurement(annotation.type, annotation.latlngs) || undefined
+            },
+            geometry: annotationToGeometry(annotation)
+        }))
+    }, null, 2) + '\n';
+}
+
+// Read an annotation file. Returns { annotations, skipped }, skipped listing the features
+// that are not annotations or can't be read, as { feature, message }.
+function annotationsFromGeoJson(data) {
+    if (!data || data.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+        throw new Error('not a GeoJSON FeatureCollection');
+    }
+    const annotations = [];
+    const skipped = [];
+    data.features.forEach((feature, index) => {
+        const properties = (feature && feature.properties) || {};
+        const geometry = feature && feature.geometry;
+        if (properties.kind !== 'annotation' || !geometry) {
+            skipped.push({ feature: index + 1, message: 'not an annotation' });
+            return;
+        }
+        const positions = geometry.type === 'Point' ? [geometry.coordinates]
+            : geometry.type === 'LineString' ? geometry.coordinates
+            : geometry.type === 'Polygon' ? geometry.coordinates[0].slice(0, -1) : [];
+        try {
+            annotations.push(normalizeAnnotation({
+                id: feature.id,
+                type: properties.annotation_type,
+                latlngs: positions.map(([lng, lat]) => [lat, lng]),
+                text: properties.text,
+                author: properties.author,
+                created: properties.created,
+                updated: properties.updated,
+                time: properties.time
+            }));
+        } catch (error) {
+            skipped.push({ feature: index + 1, message: error.message });
+        }
+    });
+    return { annotations: annotations, skipped: skipped };
+}
+
+// Location record (as from parseKmlText) for an annotation, for MapExport's getAnnotations.
+// Its name and ExtendedData mark it as user-added.
+function annotationToLocation(annotation) {
+    const coords = annotation.latlngs.map(([lat, lng]) => ({ lat: lat, lng: lng, alt: 0 }));
+    const geometry = ANNOTATION_TYPES[annotation.type].points === 1
+        ? { type: 'Point', coord: coords[0] }
+        : annotation.type === 'area'
+            ? { type: 'Polygon', outer: coords.concat([coords[0]]), inner: [] }
+            : { type: 'LineString', coords: coords };
+    const measurement = getAnnotationMeasurement(annotation.type, annotation.latlngs);
+    const time = annotation.time ? parseKmlWhen(annotation.time) : null;
+    const extendedData = {
+        user_added: 'true',
+        annotation_type: annotation.type,
+        author: annotation.author,
+        created: annotation.created
+    };
+    if (measurement) extendedData.measurement = measurement;
+
+    return {
+        type: getGeometryLocationType(geometry),
+        name: '[User] ' + getAnnotationTitle(annotation),
+        description: [annotation.text, measurement, `User-added by ${annotation.author || 'unknown'}, ${annotation.created}`]
+            .filter(line => line).map(escapeHtml).join('<br>'),
+        geometry: geometry,
+        coords: getGeometryLocationCoords(geometry),
+        timestamp: time,
+        timeStr: annotation.time,
+        timeSource: time ? 'annotation' : null,
+        timeSpan: null,
+        style: '',
+        kmlStyle: ANNOTATION_KML_STYLE,
+        folder: null,
+        folderPath: [],
+        visibility: true,
+        extendedData: extendedData,
+        extendedDataRaw: {},
+        approximate: false
+    };
+}
+
+// Saved annotations from localStorage; records that can't be read are left out
+function loadStoredAnnotations() {
+    let records = [];
+    try {
+        records = JSON.parse(localStorage.getItem(ANNOTATION_STORAGE_KEY) || '[]');
+    } catch (error) {
+        console.error('Could not read saved annotations:', error);
+    }
+    const annotations = [];
+    (Array.isArray(records) ? records : []).forEach(record => {
+        try {
+            annotations.push(normalizeAnnotation(record || {}));
+        } catch (error) {
+            console.error('Skipping saved annotation:', error.message);
+        }
+    });
+    return annotations;
+}
+
+// The reviewer's name as last entered, or ''
+function loadAnnotationAuthor() {
+    try {
+        return localStorage.getItem(ANNOTATION_AUTHOR_KEY) || '';
+    } catch (error) {
+        return '';
+    }
+}
+
+function saveAnnotationAuthor(author) {
+    try {
+        localStorage.setItem(ANNOTATION_AUTHOR_KEY, author);
+    } catch (error) {
+        // Without storage the name is asked for again next time
+    }
+}
+
+// ---- Layer ----
+
+// Draws the annotations, keeps them in localStorage and adds their times to the player as a
+// contributor (see TIME_ROLES). Fires 'timelineload' when annotations change (so the evidence
+// panel lists them) and 'saveerror' { error } when they could not be stored.
+L.TimeDimension.Layer.Annotations = L.TimeDimension.Layer.extend({
+    options: {
+        timeRole: 'contributor',
+        // false keeps the annotations in memory only
+        storage: true
+    },
+
+    initialize: function(annotations, options) {
+        L.TimeDimension.Layer.prototype.initialize.call(this, L.featureGroup(), options);
+        this._annotations = [];
+        this._mapLayers = new Map();
+        (annotations || (this.options.storage ? loadStoredAnnotations() : [])).forEach(record => {
+            const annotation = normalizeAnnotation(record);
+            this._annotations.push(annotation);
+            this._draw(annotation);
+        });
+    },
+
+    onAdd: function(map) {
+        L.TimeDimension.Layer.prototype.onAdd.call(this, map);
+        map.addLayer(this._baseLayer);
+        this._setAvailableTimes();
+    },
+
+    onRemove: function(map) {
+        map.removeLayer(this._baseLayer);
+        if (this._timeDimension) {
+            this._timeDimension.removeTimeLayer(this);
+        }
+        L.TimeDimension.Layer.prototype.onRemove.call(this, map);
+    },
+
+    // Annotations are always shown; the player does not wait for them
+    _onNewTimeLoading: function(ev) {
+    },
+
+    isReady: function(time) {
+        return true;
+    },
+
+    _update: function() {
+    },
+
+    _setAvailableTimes: function() {
+        if (this._timeDimension && this._map) {
+            this._timeDimension.setTimeLayer(this, this.options.timeRole);
+        }
+    },
+
+    // Times of the annotations on the timeline
+    getAvailableTimes: function() {
+        return L.TimeDimension.Util.sort_and_deduplicate(this._annotations
+            .filter(annotation => annotation.time)
+            .map(annotation => parseKmlWhen(annotation.time).getTime()));
+    },
+
+    getAnnotations: function() {
+        return this._annotations;
+    },
+
+    // Annotations as location records, for MapExport's getAnnotations option
+    getLocations: function() {
+        return this._annotations.map(annotationToLocation);
+    },
+
+    // Evidence panel entries for the annotations on the timeline
+    getTimelineEntries: function() {
+        return this._annotations.filter(annotation => annotation.time).map(annotation => ({
+            time: parseKmlWhen(annotation.time).getTime(),
+            label: getAnnotationTitle(annotation),
+            detail: `User-added ${ANNOTATION_TYPES[annotation.type].label.toLowerCase()} by ${annotation.author || 'unknown'}`,
+            color: ANNOTATION_COLOR,
+            latlng: getAnnotationLatLng(annotation),
+            annotation: annotation,
+            layer: this._mapLayers.get(annotation.id),
+            userAdded: true
+        }));
+    },
+
+    // Add an annotation (see normalizeAnnotation); returns the stored record
+    addAnnotation: function(record) {
+        const annotation = normalizeAnnotation(record);
+        this._annotations.push(annotation);
+        this._draw(annotation);
+        this._changed();
+        return annotation;
+    },
+
+    // Change an annotation's text or time; the id, type, author and creation date stay
+    updateAnnotation: function(id, changes) {
+        const index = this._annotations.findIndex(annotation => annotation.id === id);
+        if (index === -1) return null;
+        const current = this._annotations[index];
+        const annotation = normalizeAnnotation({
+            ...current,
+            ...changes,
+            id: current.id,
+            type: current.type,
+            author: current.author,
+            created: current.created,
+            updated: new Date().toISOString()
+        });
+        this._annotations[index] = annotation;
+        this._erase(id);
+        this._draw(annotation);
+        this._changed();
+        return annotation;
+    },
+
+    removeAnnotation: function(id) {
+        this._annotations = this._annotations.filter(annotation => annotation.id !== id);
+        this._erase(id);
+        this._changed();
+        return this;
+    },
+
+    // Add imported annotations. One with the id of an existing annotation replaces it when it
+    // was updated later. Returns the number added or replaced.
+    importAnnotations: function(annotations) {
+        let count = 0;
+        annotations.forEach(annotation => {
+            const index = this._annotations.findIndex(existing => existing.id === annotation.id);
+            if (index === -1) {
+                this._annotations.push(annotation);
+            } else if (annotation.updated > this._annotations[index].updated) {
+                this._erase(annotation.id);
+                this._annotations[index] = annotation;
+            } else {
+                return;
+            }
+            this._draw(annotation);
+            count++;
+        });
+        if (count > 0) this._changed();
+        return count;
+    },
+
+    // Open an annotation's popup
+    openAnnotation: function(id) {
+        const layer = this._mapLayers.get(id);
+        if (layer && this._map) layer.openPopup();
+        return this;
+    },
+
+    _changed: function() {
+        if (this.options.storage) {
+            try {
+                localStorage.setItem(ANNOTATION_STORAGE_KEY, JSON.stringify(this._annotations));
+            } catch (error) {
+                console.error('Could not save annotations:', error);
+                this.fire('saveerror', { error: error });
+            }
+        }
+        this._setAvailableTimes();
+        this.fire('timelineload', { annotations: this._annotations });
+    },
+
+    _erase: function(id) {
+        const layer = this._mapLayers.get(id);
+        if (layer) {
+            this._baseLayer.removeLayer(layer);
+            this._mapLayers.delete(id);
+        }
+    },
+
+    _draw: function(annotation) {
+        const layer = createAnnotationLayer(annotation);
+        layer.bindPopup(() => this._createPopup(annotation), { minWidth: 220 });
+        this._mapLayers.set(annotation.id, layer);
+        this._baseLayer.addLayer(layer);
+    },
+
+    // Popup with the annotation's provenance and Edit/Delete buttons
+    _createPopup: function(annotation) {
+        const container = L.DomUtil.create('div', 'annotation-popup');
+        const badge = L.DomUtil.create('div', 'annotation-badge', container);
+        badge.textContent = `User-added ${ANNOTATION_TYPES[annotation.type].label.toLowerCase()} (not from case sources)`;
+
+        const text = L.DomUtil.create('div', 'annotation-text', container);
+        text.textContent = annotation.text;
+        const measurement = getAnnotationMeasurement(annotation.type, annotation.latlngs);
+        if (measurement) {
+            L.DomUtil.create('div', 'annotation-measurement', container).textContent = measurement;
+        }
+        const meta = L.DomUtil.create('div', 'annotation-meta', container);
+        meta.textContent = `By ${annotation.author || 'unknown'}, ${new Date(annotation.created).toLocaleString('en-US', { timeZone: CASE_TIME_ZONE })}` +
+            (annotation.time ? ` · on the timeline at ${formatCaseTime(parseKmlWhen(annotation.time))}` : '');
+
+        const editor = L.DomUtil.create('textarea', 'annotation-editor', container);
+        editor.value = annotation.text;
+        editor.rows = 3;
+        editor.style.display = 'none';
+        const buttons = L.DomUtil.create('div', 'annotation-buttons', container);
+        const edit = L.DomUtil.create('button', '', buttons);
+        edit.type = 'button';
+        edit.textContent = 'Edit';
+        const remove = L.DomUtil.create('button', '', buttons);
+        remove.type = 'button';
+        remove.textContent = 'Delete';
+
+        L.DomEvent.on(edit, 'click', () => {
+            if (editor.style.display === 'none') {
+                editor.style.display = '';
+                edit.textContent = 'Save';
+                editor.focus();
+            } else {
+                this._map.closePopup();
+                this.updateAnnotation(annotation.id, { text: editor.value });
+            }
+        });
+        L.DomEvent.on(remove, 'click', () => {
+            this._map.closePopup();
+            this.removeAnnotation(annotation.id);
+        });
+        return container;
+    }
+});
+
+L.timeDimension.layer.annotations = function(annotations, options) {
+    return new L.TimeDimension.Layer.Annotations(annotations, options);
+};
+
+// Map layer for an annotation (or a sketch while it is drawn), in the user-added style
+function createAnnotationLayer(annotation) {
+    const latlngs = annotation.latlngs.map(latlng => L.latLng(latlng));
+    const line = { color: ANNOTATION_COLOR, weight: 3, dashArray: '6 4', className: 'annotation-shape' };
+    const measurement = getAnnotationMeasurement(annotation.type, annotation.latlngs);
+
+    switch (annotation.type) {
+        case 'note':
+            return L.marker(latlngs[0], {
+                icon: L.divIcon({
+                    className: 'annotation-note',
+                    html: `<span class="annotation-note-tag">USER</span> ${escapeHtml(getAnnotationTitle(annotation))}`,
+                    iconSize: null,
+                    iconAnchor: [0, 0]
+                })
+            });
+        case 'pin':
+            return L.marker(latlngs[0], {
+                icon: L.divIcon({ className: 'annotation-pin', html: 'U', iconSize: [22, 22], iconAnchor: [11, 11] }),
+                title: 'User-added pin: ' + getAnnotationTitle(annotation)
+            });
+        case 'arrow': {
+            // Arrowhead turned to the arrow's direction at its tip
+            const bearing = measureBearing(latlngs[latlngs.length - 2], latlngs[latlngs.length - 1]);
+            return L.featureGroup([
+                L.polyline(latlngs, { ...line, dashArray: null }),
+                L.marker(latlngs[latlngs.length - 1], {
+                    icon: L.divIcon({
+                        className: 'annotation-arrowhead',
+                        html: `<div style="transform: rotate(${bearing}deg)">▲</div>`,
+                        iconSize: [16, 16],
+                        iconAnchor: [8, 8]
+                    }),
+                    interactive: false
+                })
+            ]);
+        }
+        case 'area':
+            return L.polygon(latlngs, { ...line, fillColor: ANNOTATION_COLOR, fillOpacity: 0.15 })
+                .bindTooltip(measurement, { permanent: true, direction: 'center', className: 'annotation-label' });
+        default:
+            return L.polyline(latlngs, line)
+                .bindTooltip(measurement, { permanent: true, className: 'annotation-label' });
+    }
+}
+
+// ---- Control ----
+
+// Map control with the measuring and annotation tools. Points snap to placemarks and timeline
+// events within a few pixels, so a measurement can start and end exactly on them.
+L.Control.Annotations = L.Control.extend({
+    options: {
+        position: 'topleft',
+        // Pixels within which a clicked point snaps to a placemark or event
+        snapDistance: 12,
+        fileName: 'case-annotations.geojson'
+    },
+
+    initialize: function(annotationLayer, kmlLayer, options) {
+        L.setOptions(this, options);
+        this._annotationLayer = annotationLayer;
+        this._kmlLayer = kmlLayer;
+        this._sketch = null;
+        this._pending = null;
+    },
+
+    onAdd: function(map) {
+        this._map = map;
+        const container = L.DomUtil.create('div', 'annotation-control leaflet-bar');
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+
+        const button = L.DomUtil.create('a', 'annotation-button', container);
+        button.href = '#';
+        button.title = 'Measure and annotate (user-added)';
+        button.textContent = 'Notes';
+
+        const form = L.DomUtil.create('div', 'annotation-form', container);
+        form.style.display = 'none';
+
+        const authorLabel = L.DomUtil.create('label', '', form);
+        authorLabel.textContent = 'Your name ';
+        this._author = L.DomUtil.create('input', '', authorLabel);
+        this._author.value = loadAnnotationAuthor();
+        L.DomEvent.on(this._author, 'change', () => saveAnnotationAuthor(this._author.value.trim()));
+
+        const tools = L.DomUtil.create('div', 'annotation-tools', form);
+        Object.keys(ANNOTATION_TYPES).forEach(type => {
+            const tool = L.DomUtil.create('button', '', tools);
+            tool.type = 'button';
+            tool.textContent = ANNOTATION_TYPES[type].label;
+            L.DomEvent.on(tool, 'click', () => this.startTool(type));
+        });
+
+        this._status = L.DomUtil.create('div', 'annotation-status', form);
+
+        // Details of a finished sketch, saved as an annotation
+        this._details = L.DomUtil.create('div', 'annotation-details', form);
+        this._details.style.display = 'none';
+        this._measurement = L.DomUtil.create('div', 'annotation-measurement', this._details);
+        this._text = L.DomUtil.create('textarea', '', this._details);
+        this._text.rows = 3;
+        this._text.placeholder = 'Note text';
+        const timeLabel = L.DomUtil.create('label', '', this._details);
+        this._onTimeline = L.DomUtil.create('input', '', timeLabel);
+        this._onTimeline.type = 'checkbox';
+        this._timeText = document.createTextNode('');
+        timeLabel.appendChild(this._timeText);
+        const save = L.DomUtil.create('button', '', this._details);
+        save.type = 'button';
+        save.textContent = 'Save';
+        const discard = L.DomUtil.create('button', '', this._details);
+        discard.type = 'button';
+        discard.textContent = 'Discard';
+
+        const files = L.DomUtil.create('div', 'annotation-files', form);
+        const exportButton = L.DomUtil.create('button', '', files);
+        exportButton.type = 'button';
+        exportButton.textContent = 'Export';
+        const importButton = L.DomUtil.create('button', '', files);
+        importButton.type = 'button';
+        importButton.textContent = 'Import';
+        const input = L.DomUtil.create('input', '', files);
+        input.type = 'file';
+        input.accept = '.geojson,.json';
+        input.style.display = 'none';
+
+        L.DomEvent.on(button, 'click', (e) => {
+            L.DomEvent.preventDefault(e);
+            form.style.display = form.style.display === 'none' ? '' : 'none';
+        });
+        L.DomEvent.on(save, 'click', () => this._savePending());
+        L.DomEvent.on(discard, 'click', () => this.cancel());
+        L.DomEvent.on(exportButton, 'click', () => this.exportFile());
+        L.DomEvent.on(importButton, 'click', () => input.click());
+        L.DomEvent.on(input, 'change', () => {
+            if (input.files.length > 0) {
+                this.importFile(input.files[0]);
+            }
+            input.value = '';
+        });
+
+        return container;
+    },
+
+    onRemove: function(map) {
+        this.cancel();
+        this._map = null;
+    },
+
+    // Start drawing an annotation of a type (see ANNOTATION_TYPES) by clicking on the map
+    startTool: function(type) {
+        this.cancel();
+        this._sketch = { type: type, latlngs: [], names: [] };
+        this._sketchLayer = L.layerGroup().addTo(this._map);
+        this._map.doubleClickZoom.disable();
+        L.DomUtil.addClass(this._map.getContainer(), 'annotation-drawing');
+        this._map.on('click', this._onSketchClick, this);
+        this._map.on('mousemove', this._onSketchMove, this);
+        this._map.on('dblclick', this._finishSketch, this);
+        const spec = ANNOTATION_TYPES[type];
+        this._status.textContent = spec.open
+            ? `Click the points of the ${spec.label.toLowerCase()}, double-click to finish.`
+            : spec.points === 1 ? 'Click the place on the map.' : 'Click the start, then the end.';
+        return this;
+    },
+
+    // Stop drawing and drop any unsaved sketch
+    cancel: function() {
+        if (!this._map) return this;
+        this._stopSketch();
+        if (this._sketchLayer) {
+            this._map.removeLayer(this._sketchLayer);
+            this._sketchLayer = null;
+        }
+        this._pending = null;
+        this._details.style.display = 'none';
+        this._status.textContent = '';
+        return this;
+    },
+
+    // Download the annotations as a GeoJSON file
+    exportFile: function() {
+        const text = annotationsToGeoJson(this._annotationLayer.getAnnotations());
+        downloadTextFile(text, this.options.fileName, 'application/geo+json');
+        this.fire('export', { fileName: this.options.fileName, text: text });
+    },
+
+    // Add the annotations from an exported file
+    importFile: async function(file) {
+        try {
+            const { annotations, skipped } = annotationsFromGeoJson(JSON.parse(await file.text()));
+            const count = this._annotationLayer.importAnnotations(annotations);
+            this.fire('import', { file: file, count: count, skipped: skipped });
+        } catch (error) {
+            console.error('Error importing annotations:', error);
+            this.fire('importerror', { file: file, error: new Error(`Could not import annotations from ${file.name}: ${error.message}`) });
+        }
+    },
+
+    _stopSketch: function() {
+        if (!this._sketch) return;
+        this._map.off('click', this._onSketchClick, this);
+        this._map.off('mousemove', this._onSketchMove, this);
+        this._map.off('dblclick', this._finishSketch, this);
+        L.DomUtil.removeClass(this._map.getContainer(), 'annotation-drawing');
+        // Let the finishing double-click end before zooming comes back
+        setTimeout(() => this._map && this._map.doubleClickZoom.enable(), 0);
+        this._sketch = null;
+    },
+
+    // Nearest placemark point or timeline event within snapDistance pixels, else the point
+    _snap: function(latlng) {
+        const point = this._map.latLngToContainerPoint(latlng);
+        let best = { latlng: latlng, name: null, distance: this.options.snapDistance };
+        const consider = (candidate, name) => {
+            const distance = this._map.latLngToContainerPoint(candidate).distanceTo(point);
+            if (distance <= best.distance) best = { latlng: L.latLng(candidate), name: name, distance: distance };
+        };
+        this._kmlLayer.getLocations().forEach(loc => {
+            if (loc.type === 'point' && this._kmlLayer.isLocationShown(loc)) consider(getLocationLatLng(loc), loc.name);
+        });
+        this._kmlLayer.getTimelineEvents().forEach(event => consider([event.lat, event.lng], event.label));
+        return best;
+    },
+
+    _onSketchClick: function(e) {
+        const snapped = this._snap(e.latlng);
+        const sketch = this._sketch;
+        // The clicks of a finishing double-click land on the same point
+        const last = sketch.latlngs[sketch.latlngs.length - 1];
+        if (last && last.equals(snapped.latlng)) return;
+        sketch.latlngs.push(snapped.latlng);
+        sketch.names.push(snapped.name);
+        this._drawSketch(sketch.latlngs);
+        if (!ANNOTATION_TYPES[sketch.type].open && sketch.latlngs.length === ANNOTATION_TYPES[sketch.type].points) {
+            this._finishSketch();
+        }
+    },
+
+    // Preview the next point under the mouse, with its measurement
+    _onSketchMove: function(e) {
+        if (this._sketch.latlngs.length > 0) {
+            this._drawSketch(this._sketch.latlngs.concat([this._snap(e.latlng).latlng]));
+        }
+    },
+
+    _drawSketch: function(latlngs) {
+        this._sketchLayer.clearLayers();
+        const type = this._sketch ? this._sketch.type : this._pending.type;
+        if (latlngs.length < Math.min(2, ANNOTATION_TYPES[type].points)) return;
+        const layer = createAnnotationLayer({ type: type, latlngs: latlngs.map(l => [l.lat, l.lng]), text: '' });
+        this._sketchLayer.addLayer(layer);
+        const measurement = getAnnotationMeasurement(type === 'arrow' ? 'bearing' : type, latlngs.map(l => [l.lat, l.lng]));
+        this._status.textContent = measurement;
+    },
+
+    _finishSketch: function() {
+        const sketch = this._sketch;
+        this._stopSketch();
+        if (sketch.latlngs.length < ANNOTATION_TYPES[sketch.type].points) {
+            this.cancel();
+            this._status.textContent = `A ${ANNOTATION_TYPES[sketch.type].label.toLowerCase()} needs at least ${ANNOTATION_TYPES[sketch.type].points} points.`;
+            return;
+        }
+        this._pending = sketch;
+        this._drawSketch(sketch.latlngs);
+
+        // Start the text from the snapped places, e.g. "HOLLY BOBO'S to Shiloh Road Cell Tower"
+        const names = sketch.names.filter(name => name);
+        this._text.value = names.length > 1 ? `${names[0]} to ${names[names.length - 1]}` : '';
+        this._measurement.textContent = getAnnotationMeasurement(sketch.type, sketch.latlngs.map(l => [l.lat, l.lng]));
+        const time = this._map.timeDimension ? this._map.timeDimension.getCurrentTime() : null;
+        this._onTimeline.checked = false;
+        this._onTimeline.disabled = !time;
+        this._timeText.textContent = time ? ` On the timeline at ${formatCaseTime(new Date(time))}` : ' On the timeline';
+        this._pendingTime = time;
+        this._details.style.display = '';
+        this._status.textContent = '';
+        this._text.focus();
+    },
+
+    _savePending: function() {
+        const author = this._author.value.trim();
+        if (!author) {
+            this._status.textContent = 'Enter your name first: every annotation records its author.';
+            this._author.focus();
+            return;
+        }
+        saveAnnotationAuthor(author);
+        const pending = this._pending;
+        const annotation = this._annotationLayer.addAnnotation({
+            type: pending.type,
+            latlngs: pending.latlngs.map(l => [l.lat, l.lng]),
+            text: this._text.value.trim(),
+            author: author,
+            time: this._onTimeline.checked ? formatCaseIsoDate(new Date(this._pendingTime)) : null
+        });
+        this.cancel();
+        this._status.textContent = 'Saved.';
+        this.fire('add', { annotation: annotation });
+    }
+});
+
+L.Control.Annotations.include(L.Evented.prototype);
+
+L.control.annotations = function(annotationLayer, kmlLayer, options) {
+    return new L.Control.Annotations(annotationLayer, kmlLayer, options);
+};
+
+// Export functions
+window.measureDistance = measureDistance;
+window.measureArea = measureArea;
+window.measureBearing = measureBearing;
+window.normalizeAnnotation = normalizeAnnotation;
+window.annotationsToGeoJson = annotationsToGeoJson;
+window.annotationsFromGeoJson = annotationsFromGeoJson;
+window.annotationToLocation = annotationToLocation;
@@ -0,0 +1,460 @@
+/**
+ * Case File Loader
+ * Reads KML, KMZ, GeoJSON and GPX files dropped on the map into the same location records
+ * as parseKmlText, so each file can be shown as its own KmlLocations overlay. Everything
+ * happens in the browser; nothing is uploaded.
+ */
+
+// Supported formats, by file extension
+const CASE_FILE_FORMATS = {
+    kml: 'kml',
+    kmz: 'kmz',
+    geojson: 'geojson',
+    json: 'geojson',
+    gpx: 'gpx'
+};
+
+// Content types for archive resources, so images (SVG in particular) display from memory
+const KMZ_RESOURCE_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    svg: 'image/svg+xml',
+    webp: 'image/webp',
+    bmp: 'image/bmp'
+};
+
+// Error raised when a case file cannot be read; `fileName` names the file
+class CaseFileError extends Error {
+    constructor(fileName, message) {
+        super(`Could not load ${fileName}: ${message}`);
+        this.name = 'CaseFileError';
+        this.fileName = fileName;
+    }
+}
+
+// Guess a file's format from its name, or return null if it is not supported
+function getCaseFileFormat(fileName) {
+    const extension = String(fileName).split('.').pop().toLowerCase();
+    return CASE_FILE_FORMATS[extension] || null;
+}
+
+// Resolve "." and ".." segments of a path inside an archive
+function normalizeArchivePath(path) {
+    const segments = [];
+    path.split('/').forEach(segment => {
+        if (segment === '..') {
+            segments.pop();
+        } else if (segment && segment !== '.') {
+            segments.push(segment);
+        }
+    });
+    return segments.join('/');
+}
+
+// Point relative links in KML text (<href>, src="...", href="..." in descriptions) at the
+// archive's in-memory copies. Links to the web or to files outside the archive are kept.
+function resolveKmzLinks(kmlText, baseDir, resourceUrls) {
+    return kmlText.replace(/(<href>\s*|\b(?:src|href)\s*=\s*(?:&quot;|"|'))([^<"'&\s]+)/gi, (match, prefix, link) => {
+        if (/^[a-z][a-z0-9+.-]*:/i.test(link) || link.startsWith('/') || link.startsWith('#')) {
+            return match;
+        }
+        let path;
+        try {
+            path = normalizeArchivePath(baseDir + decodeURI(link));
+        } catch (error) {
+            return match;
+        }
+        return resourceUrls[path] ? prefix + resourceUrls[path] : match;
+    });
+}
+
+// Read a KMZ archive: its main KML (doc.kml, or the KML nearest the top of the archive),
+// with embedded icons and images served from memory. Returns { locations, objectUrls }.
+async function parseKmzArchive(data) {
+    const zip = await JSZip.loadAsync(data);
+    const paths = Object.keys(zip.files).filter(path => !zip.files[path].dir);
+    const kmlPaths = paths.filter(path => /\.kml$/i.test(path))
+        .sort((a, b) => a.split('/').length - b.split('/').length);
+    const mainPath = kmlPaths.find(path => path.toLowerCase() === 'doc.kml') || kmlPaths[0];
+    if (!mainPath) {
+        throw new Error('the archive has no KML file');
+    }
+
+    // The object URLs are revoked again if the archive turns out not to be readable
+    const resourceUrls = {};
+    try {
+        for (const path of paths) {
+            if (path === mainPath) continue;
+            const type = KMZ_RESOURCE_TYPES[path.split('.').pop().toLowerCase()] || '';
+            const blob = new Blob([await zip.files[path].async('arraybuffer')], { type: type });
+            resourceUrls[normalizeArchivePath(path)] = URL.createObjectURL(blob);
+        }
+
+        const baseDir = mainPath.includes('/') ? mainPath.slice(0, mainPath.lastIndexOf('/') + 1) : '';
+        const kmlText = await zip.files[mainPath].async('string');
+        return {
+            locations: parseKmlText(resolveKmzLinks(kmlText, baseDir, resourceUrls)),
+            objectUrls: Object.values(resourceUrls)
+        };
+    } catch (error) {
+        Object.values(resourceUrls).forEach(url => URL.revokeObjectURL(url));
+        throw error;
+    }
+}
+
+// Build a location record like parseKmlText's for a geometry record (see parseKmlGeometry).
+// details: { name, description (HTML), fields, time ({ begin, end, type } or null), folder }
+function createCaseFileLocation(geometry, details) {
+    const fields = details.fields || {};
+    const description = details.description || '';
+    const kmlTime = details.time || null;
+    const timeInfo = resolveLocationTime(fields, description, kmlTime);
+    const folder = details.folder || null;
+    return {
+        type: getGeometryLocationType(geometry),
+        name: details.name || 'Untitled',
+        description: description,
+        geometry: geometry,
+        coords: getGeometryLocationCoords(geometry),
+        timestamp: timeInfo.timestamp,
+        timeStr: timeInfo.timeStr,
+        timeSource: timeInfo.timeSource,
+        timeSpan: kmlTime,
+        style: '',
+        kmlStyle: null,
+        folder: folder,
+        folderPath: folder ? folder.path : [],
+        visibility: true,
+        lookAt: null,
+        extendedData: fields,
+        extendedDataRaw: fields,
+        approximate: /approx/i.test(fields.precision || '')
+    };
+}
+
+// Build a { begin, end, type } time record from two date values (either may be missing)
+function createTimeRecord(begin, end) {
+    const toDate = value => {
+        if (value === null || value === undefined || value === '') return null;
+        if (typeof value === 'number') return new Date(value);
+        return parseKmlWhen(String(value));
+    };
+    const beginDate = toDate(begin);
+    const endDate = toDate(end);
+    if (!beginDate && !endDate) return null;
+    const first = beginDate || endDate;
+    const last = endDate || beginDate;
+    return { begin: first, end: last, type: first.getTime() === last.getTime() ? 'TimeStamp' : 'TimeSpan' };
+}
+
+// Convert a GeoJSON geometry to a geometry record, or null if it is empty
+function geoJsonToGeometry(geometry) {
+    if (!geometry) return null;
+    const toCoord = position => ({ lng: Number(position[0]), lat: Number(position[1]), alt: Number(position[2]) || 0 });
+    const valid = coord => isFinite(coord.lat) && isFinite(coord.lng);
+    const toCoords = positions => (positions || []).map(toCoord).filter(valid);
+    const multi = parts => {
+        const geometries = parts.map(geoJsonToGeometry).filter(part => part);
+        return geometries.length > 0 ? { type: 'MultiGeometry', geometries: geometries } : null;
+    };
+
+    switch (geometry.type) {
+        case 'Point': {
+            const coord = toCoord(geometry.coordinates || []);
+            return valid(coord) ? { type: 'Point', coord: coord, altitudeMode: 'clampToGround' } : null;
+        }
+        case 'LineString': {
+            const coords = toCoords(geometry.coordinates);
+            return coords.length > 1 ? { type: 'LineString', coords: coords, altitudeMode: 'clampToGround' } : null;
+        }
+        case 'Polygon': {
+            const rings = (geometry.coordinates || []).map(toCoords).filter(ring => ring.length >= 3);
+            return rings.length > 0
+                ? { type: 'Polygon', outer: rings[0], inner: rings.slice(1), altitudeMode: 'clampToGround' }
+                : null;
+        }
+        case 'MultiPoint':
+        case 'MultiLineString':
+        case 'MultiPolygon': {
+            const partType = geometry.type.slice('Multi'.length);
+            return multi((geometry.coordinates || []).map(coordinates => ({ type: partType, coordinates: coordinates })));
+        }
+        case 'GeometryCollection':
+            return multi(geometry.geometries || []);
+        default:
+            return null;
+    }
+}
+
+// Read GeoJSON text (a FeatureCollection, a Feature or a bare geometry) into locations.
+// Feature properties become ExtendedData fields; name/title, description and
+// time/timestamp/when or begin/end (or start/end) are used as in KML.
+function parseGeoJson(text) {
+    const data = JSON.parse(text);
+    const features = data.type === 'FeatureCollection' ? data.features || []
+        : data.type === 'Feature' ? [data]
+        : [{ type: 'Feature', geometry: data, properties: {} }];
+
+    const locations = [];
+    features.forEach((feature, index) => {
+        const geometry = geoJsonToGeometry(feature && feature.geometry);
+        if (!geometry) return;
+
+        const properties = feature.properties || {};
+        const nameKey = ['name', 'title', 'label'].find(key => properties[key]);
+        const beginKey = ['time', 'timestamp', 'when', 'begin', 'start'].find(key => properties[key]);
+        const time = createTimeRecord(properties[beginKey], properties.end);
+
+        // Properties not used for the name, description or time are shown as fields
+        const used = [nameKey, beginKey, 'description', time ? 'end' : null];
+        const fields = {};
+        Object.keys(properties).forEach(key => {
+            const value = properties[key];
+            if (!used.includes(key) && value !== null && value !== undefined && value !== '' && typeof value !== 'object') {
+                fields[key] = String(value);
+            }
+        });
+        const name = nameKey ? properties[nameKey] : `Feature ${index + 1}`;
+        const description = properties.description ? escapeHtml(String(properties.description)) : '';
+
+        locations.push(createCaseFileLocation(geometry, {
+            name: String(name),
+            description: description,
+            fields: fields,
+            time: time
+        }));
+    });
+    return locations;
+}
+
+// Direct child elements of a GPX element with a given tag name
+function gpxChildren(parent, tagName) {
+    return Array.from(parent.children).filter(child => localTagName(child) === tagName);
+}
+
+// Text of a GPX element's first child with a given tag name, or null
+function gpxChildText(parent, tagName) {
+    const child = gpxChildren(parent, tagName)[0];
+    return child ? child.textContent.trim() : null;
+}
+
+// Read a GPX <wpt>, <rtept> or <trkpt> as a vertex (GPX elevations are above sea level)
+function parseGpxPoint(element) {
+    return {
+        lat: parseFloat(element.getAttribute('lat')),
+        lng: parseFloat(element.getAttribute('lon')),
+        alt: parseOptionalFloat(gpxChildText(element, 'ele')) || 0,
+        time: parseKmlWhen(gpxChildText(element, 'time'))
+    };
+}
+
+// Read GPX text into locations: waypoints become points, routes lines, and tracks timed
+// gx:Track-style tracks (one per segment, grouped when a track has several)
+function parseGpx(text) {
+    const gpxDoc = new DOMParser().parseFromString(text, 'text/xml');
+    if (gpxDoc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Invalid GPX: ' + gpxDoc.getElementsByTagName('parsererror')[0].textContent.trim());
+    }
+    const root = gpxDoc.documentElement;
+    const valid = coord => !isNaN(coord.lat) && !isNaN(coord.lng);
+    const details = (element, time) => ({
+        name: gpxChildText(element, 'name'),
+        description: escapeHtml(gpxChildText(element, 'desc') || gpxChildText(element, 'cmt') || ''),
+        fields: gpxChildText(element, 'type') ? { category: gpxChildText(element, 'type') } : {},
+        time: time
+    });
+    const locations = [];
+
+    gpxChildren(root, 'wpt').forEach(element => {
+        const coord = parseGpxPoint(element);
+        if (!valid(coord)) return;
+        const time = coord.time ? { begin: coord.time, end: coord.time, type: 'TimeStamp' } : null;
+        delete coord.time;
+        locations.push(createCaseFileLocation({ type: 'Point', coord: coord, altitudeMode: 'absolute' }, details(element, time)));
+    });
+
+    gpxChildren(root, 'rte').forEach(element => {
+        const coords = gpxChildren(element, 'rtept').map(parseGpxPoint).filter(valid);
+        coords.forEach(coord => delete coord.time);
+        if (coords.length < 2) return;
+        locations.push(createCaseFileLocation({ type: 'LineString', coords: coords, altitudeMode: 'absolute' }, details(element, null)));
+    });
+
+    gpxChildren(root, 'trk').forEach(element => {
+        const tracks = gpxChildren(element, 'trkseg')
+            .map(segment => gpxChildren(segment, 'trkpt').map(parseGpxPoint).filter(valid))
+            .filter(coords => coords.length > 0)
+            .map(coords => ({ type: 'Track', coords: coords, altitudeMode: 'absolute' }));
+        if (tracks.length === 0) return;
+        const geometry = tracks.length === 1 ? tracks[0] : { type: 'MultiTrack', geometries: tracks, interpolate: false };
+        locations.push(createCaseFileLocation(geometry, details(element, null)));
+    });
+
+    return locations;
+}
+
+// Read a File into { name, format, locations, events, objectUrls }. events are the
+// timeline events of its time-stamped points (see timelineEventsFromLocations).
+async function loadCaseFile(file) {
+    const format = getCaseFileFormat(file.name);
+    if (!format) {
+        throw new CaseFileError(file.name, 'only KML, KMZ, GeoJSON and GPX files can be loaded');
+    }
+
+    let result;
+    try {
+        if (format === 'kmz') {
+            result = await parseKmzArchive(await file.arrayBuffer());
+        } else {
+            const text = await file.text();
+            const parse = { kml: parseKmlText, geojson: parseGeoJson, gpx: parseGpx }[format];
+            result = { locations: parse(text), objectUrls: [] };
+        }
+    } catch (error) {
+        throw new CaseFileError(file.name, error.message);
+    }
+
+    // A file that is not loaded after all gives back its KMZ object URLs
+    try {
+        if (result.locations.length === 0) {
+            throw new CaseFileError(file.name, 'it has no placemarks with a location');
+        }
+        return {
+            name: file.name,
+            format: format,
+            locations: result.locations,
+            events: validateTimelineEvents(timelineEventsFromLocations(result.locations), file.name),
+            objectUrls: result.objectUrls
+        };
+    } catch (error) {
+        result.objectUrls.forEach(url => URL.revokeObjectURL(url));
+        throw error;
+    }
+}
+
+// Drop target over the map: each dropped case file is loaded as its own KmlLocations overlay
+// whose times are merged into the timeline of `timelineOwner` (the main KML layer). Dropping a
+// file with the same name again replaces its overlay.
+// Fires 'load' ({ file, caseFile, layer }) and 'loaderror' ({ file, error }) per file, and
+// 'remove' ({ name, layer }) when an overlay is removed.
+L.CaseFileDrop = L.Evented.extend({
+    options: {
+        hint: 'Drop KML, KMZ, GeoJSON or GPX files to add them to the map'
+    },
+
+    initialize: function(timelineOwner, options) {
+        L.setOptions(this, options);
+        this._timelineOwner = timelineOwner;
+        this._dragDepth = 0;
+        // Loaded overlays by file name: { layer, objectUrls }
+        this._files = new Map();
+    },
+
+    addTo: function(map) {
+        this._map = map;
+        this._container = map.getContainer();
+        this._overlay = L.DomUtil.create('div', 'case-file-drop-overlay', this._container);
+        this._overlay.textContent = this.options.hint;
+        L.DomEvent.on(this._container, 'dragenter', this._onDragEnter, this);
+        L.DomEvent.on(this._container, 'dragover', this._onDragOver, this);
+        L.DomEvent.on(this._container, 'dragleave', this._onDragLeave, this);
+        L.DomEvent.on(this._container, 'drop', this._onDrop, this);
+        return this;
+    },
+
+    remove: function() {
+        L.DomEvent.off(this._container, 'dragenter', this._onDragEnter, this);
+        L.DomEvent.off(this._container, 'dragover', this._onDragOver, this);
+        L.DomEvent.off(this._container, 'dragleave', this._onDragLeave, this);
+        L.DomEvent.off(this._container, 'drop', this._onDrop, this);
+        L.DomUtil.remove(this._overlay);
+        Array.from(this._files.values()).forEach(entry => this.removeFile(entry.layer));
+        this._map = null;
+        return this;
+    },
+
+    // Only react to drags that carry files
+    _hasFiles: function(e) {
+        return e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+    },
+
+    _onDragEnter: function(e) {
+        if (!this._hasFiles(e)) return;
+        L.DomEvent.preventDefault(e);
+        this._dragDepth++;
+        L.DomUtil.addClass(this._container, 'case-file-drop-active');
+    },
+
+    _onDragOver: function(e) {
+        if (!this._hasFiles(e)) return;
+        L.DomEvent.preventDefault(e);
+        e.dataTransfer.dropEffect = 'copy';
+    },
+
+    _onDragLeave: function(e) {
+        if (!this._hasFiles(e)) return;
+        this._dragDepth = Math.max(0, this._dragDepth - 1);
+        if (this._dragDepth === 0) {
+            L.DomUtil.removeClass(this._container, 'case-file-drop-active');
+        }
+    },
+
+    _onDrop: function(e) {
+        if (!this._hasFiles(e)) return;
+        L.DomEvent.preventDefault(e);
+        L.DomEvent.stopPropagation(e);
+        this._dragDepth = 0;
+        L.DomUtil.removeClass(this._container, 'case-file-drop-active');
+        Array.from(e.dataTransfer.files).forEach(file => this.loadFile(file));
+    },
+
+    // Load one file as a new overlay on the map. Resolves to the layer, or null on error.
+    loadFile: async function(file) {
+        try {
+            const caseFile = await loadCaseFile(file);
+            const layer = L.timeDimension.layer.kmlLocations(caseFile.locations, caseFile.events, {
+                timelineOwner: this._timelineOwner
+            });
+            if (this._files.has(file.name)) {
+                this.removeFile(this._files.get(file.name).layer);
+            }
+            this._files.set(file.name, { layer: layer, objectUrls: caseFile.objectUrls });
+            layer.addTo(this._map);
+            this.fire('load', { file: file, caseFile: caseFile, layer: layer });
+            return layer;
+        } catch (error) {
+            console.error(error);
+            this.fire('loaderror', { file: file, error: error });
+            return null;
+        }
+    },
+
+    // Take a loaded overlay off the map for good, freeing the KMZ images it served from memory.
+    // Hiding it in the layer control keeps them, so it can be shown again
+    removeFile: function(layer) {
+        const name = Array.from(this._files.keys()).find(key => this._files.get(key).layer === layer);
+        if (name === undefined) return this;
+        const entry = this._files.get(name);
+        this._files.delete(name);
+        if (this._map) {
+            this._map.removeLayer(layer);
+        }
+        entry.objectUrls.forEach(url => URL.revokeObjectURL(url));
+        this.fire('remove', { name: name, layer: layer });
+        return this;
+    }
+});
+
+L.caseFileDrop = function(timelineOwner, options) {
+    return new L.CaseFileDrop(timelineOwner, options);
+};
+
+// Export functions
+window.CaseFileError = CaseFileError;
+window.getCaseFileFormat = getCaseFileFormat;
+window.parseKmzArchive = parseKmzArchive;
+window.parseGeoJson = parseGeoJson;
+window.parseGpx = parseGpx;
+window.loadCaseFile = loadCaseFile;
@@ -0,0 +1,74 @@
+/**
+ * Case Time Zone
+ * Every clock time in the case records (KML descriptions, timeline events, CDR rows) is
+ * wall-clock time in the case time zone, whatever time zone the viewer's browser is in
+ */
+
+// Parsons, TN: Central time (CDT, UTC-5, on April 13, 2011)
+const CASE_TIME_ZONE = 'America/Chicago';
+
+const caseTimeFormat = new Intl.DateTimeFormat('en-US', {
+    timeZone: CASE_TIME_ZONE,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric'
+});
+
+// Wall-clock fields of a date in the case time zone (month is 0-indexed, like Date)
+function getCaseDateParts(date) {
+    const parts = {};
+    caseTimeFormat.formatToParts(date).forEach(part => {
+        parts[part.type] = parseInt(part.value);
+    });
+    return {
+        year: parts.year,
+        month: parts.month - 1,
+        day: parts.day,
+        hours: parts.hour,
+        minutes: parts.minute,
+        seconds: parts.second
+    };
+}
+
+// Offset of the case time zone from UTC at a given instant, in milliseconds
+function getCaseTimeZoneOffset(date) {
+    const p = getCaseDateParts(date);
+    const wallClock = Date.UTC(p.year, p.month, p.day, p.hours, p.minutes, p.seconds);
+    return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Date for a wall-clock time in the case time zone (month is 0-indexed, like Date)
+function caseDateTime(year, month, day, hours, minutes, seconds) {
+    const wallClock = Date.UTC(year, month, day, hours || 0, minutes || 0, seconds || 0);
+    // Correct twice so times next to a DST change pick up the offset in force at that time
+    let time = wallClock - getCaseTimeZoneOffset(new Date(wallClock));
+    time = wallClock - getCaseTimeZoneOffset(new Date(time));
+    return new Date(time);
+}
+
+// Format a date's time of day in the case time zone, e.g. "8:11 AM"
+function formatCaseTime(date) {
+    return date.toLocaleTimeString('en-US', {
+        timeZone: CASE_TIME_ZONE,
+        hour: 'numeric',
+        minute: '2-digit',
+        hour12: true
+    });
+}
+
+// Format a date as ISO 8601 with the case time zone's offset, e.g. "2011-04-13T08:11:00-05:00"
+function formatCaseIsoDate(date) {
+    const p = getCaseDateParts(date);
+    const offset = Math.round(getCaseTimeZoneOffset(date) / 60000);
+    const pad = value => String(value).padStart(2, '0');
+    const sign = offset < 0 ? '-' : '+';
+    return `${p.year}-${pad(p.month + 1)}-${pad(p.day)}T${pad(p.hours)}:${pad(p.minutes)}:${pad(p.seconds)}` +
+        `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+}
+
+// Export functions
+window.CASE_TIME_ZONE = CASE_TIME_ZONE;
+window.getCaseDateParts = getCaseDateParts;
+window.caseDateTime = caseDateTime;
+window.formatCaseTime = formatCaseTime;
+window.formatCaseIsoDate = formatCaseIsoDate;
@@ -0,0 +1,224 @@
+/**
+ * Carrier Call Detail Record (CDR) Importer
+ * Turns CDR spreadsheet exports into per-phone timeline events placed at the
+ * serving tower, using a configurable column mapping and a tower/sector lookup table
+ */
+
+// Column names used when the import config does not map a field
+const DEFAULT_CDR_COLUMNS = {
+    datetime: null,
+    date: 'Date',
+    time: 'Time',
+    originating: 'Originating Number',
+    terminating: 'Terminating Number',
+    cell: 'Cell ID',
+    sector: 'Sector'
+};
+
+// Load the column mapping config and the tower table it points to
+async function loadCdrImportConfig(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load CDR import config from ${url}: ${response.status} ${response.statusText}`);
+    }
+    const config = await response.json();
+
+    const towers = config.towersUrl ? await loadTowers(config.towersUrl) : (config.towers || []);
+    return { ...config, towers: towers };
+}
+
+// Combine CDR date and time cells into an ISO local date-time string, or null.
+// Accepts "2011-04-13" or "4/13/2011" dates and "8:11", "08:11:23" or "8:11 AM" times.
+// Out-of-range values such as "13:00 PM" or minute 75 give null.
+function parseCdrDateTime(dateText, timeText) {
+    const text = ((dateText || '') + ' ' + (timeText || '')).trim();
+    const match = text.match(/^(?:(\d{4})-(\d{1,2})-(\d{1,2})|(\d{1,2})\/(\d{1,2})\/(\d{2,4}))[T ]+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?$/i);
+    if (!match) return null;
+
+    let year = match[1] || match[6];
+    if (year.length === 2) year = '20' + year;
+    const month = match[2] || match[4];
+    const day = match[3] || match[5];
+    let hours = parseInt(match[7]);
+    const minutes = parseInt(match[8]);
+    const seconds = match[9] ? parseInt(match[9]) : 0;
+    const period = match[10] ? match[10].toLowerCase() : null;
+    if (parseInt(month) < 1 || parseInt(month) > 12 || parseInt(day) < 1 || parseInt(day) > 31) return null;
+    if (period ? (hours < 1 || hours > 12) : hours > 23) return null;
+    if (minutes > 59 || seconds > 59) return null;
+    if (period && period.startsWith('p') && hours !== 12) hours += 12;
+    if (period && period.startsWith('a') && hours === 12) hours = 0;
+
+    const pad = value => String(value).padStart(2, '0');
+    return `${year}-${pad(month)}-${pad(day)}T${pad(hours)}:${match[8]}:${match[9] || '00'}`;
+}
+
+// The one party number that appears on every row, or null. A carrier export covers a
+// single target handset, so that number is the tracked phone when the config lists none.
+function findCommonCdrNumber(rows, columns) {
+    let common = null;
+    rows.forEach((entry, index) => {
+        const numbers = [entry.values[columns.originating], entry.values[columns.terminating]]
+            .map(value => String(value || '').trim())
+            .filter(value => value);
+        common = index === 0 ? numbers : common.filter(number => numbers.includes(number));
+    });
+    const unique = common ? [...new Set(common)] : [];
+    return unique.length === 1 ? unique[0] : null;
+}
+
+// Convert CDR CSV text into validated timeline events. Each event keeps the original
+// spreadsheet row in `record` (and its row number in `recordRow`) for auditing.
+function importCdrRecords(csvText, config, sourceName) {
+    sourceName = sourceName || 'CDR import';
+    const columns = { ...DEFAULT_CDR_COLUMNS, ...(config.columns || {}) };
+    const phones = config.phones || {};
+    const sectorIndex = buildSectorIndex(config.towers || []);
+
+    const rows = parseCsvRows(csvText);
+    const problems = [];
+    const records = [];
+
+    // Without listed phones, track the number common to every row
+    const subjectNumbers = Object.keys(phones);
+    if (subjectNumbers.length === 0 && rows.length > 0) {
+        const common = findCommonCdrNumber(rows, columns);
+        if (!common) {
+            throw new TimelineDataError(sourceName, [{
+                record: 'phones',
+                message: 'no party number appears on every row; list the target phone under "phones" in the import config'
+            }]);
+        }
+        subjectNumbers.push(common);
+    }
+
+    rows.forEach(entry => {
+        const row = entry.values;
+        const recordName = `row ${entry.row}`;
+
+        const time = columns.datetime
+            ? parseCdrDateTime(row[columns.datetime], '')
+            : parseCdrDateTime(row[columns.date], row[columns.time]);
+        if (!time) {
+            const shown = columns.datetime ? row[columns.datetime] : `${row[columns.date] || ''} ${row[columns.time] || ''}`.trim();
+            problems.push({ record: recordName, message: `date/time "${shown || ''}" is not recognized` });
+            return;
+        }
+
+        const cell = row[columns.cell];
+        const sector = row[columns.sector];
+        const match = lookupSector(sectorIndex, cell, sector);
+        if (!match) {
+            problems.push({ record: recordName, message: `no tower in the lookup table for cell "${cell || ''}" sector "${sector || ''}"` });
+            return;
+        }
+
+        // The tracked phone is whichever party number is listed in the config
+        const originating = String(row[columns.originating] || '').trim();
+        const terminating = String(row[columns.terminating] || '').trim();
+        const subject = subjectNumbers.includes(originating) ? originating
+            : (subjectNumbers.includes(terminating) ? terminating : null);
+        if (!subject) {
+            problems.push({ record: recordName, message: `neither "${originating}" nor "${terminating}" is a phone listed in the import config` });
+            return;
+        }
+        const phoneInfo = phones[subject] || {};
+        const phone = phoneInfo.phone || subject;
+        const phoneName = phoneInfo.name || subject;
+
+        const sectorLabel = match.sector.label ? `${match.sector.label} Sector ${match.sectorId}` : `Sector ${match.sectorId}`;
+        records.push({
+            time: time,
+            label: `[${phoneName}] ${match.tower.name} Tower ${sectorLabel}`,
+            lat: match.tower.lat,
+            lng: match.tower.lng,
+            phone: phone,
+            source: config.source || sourceName,
+            tower: match.tower.id,
+            sector: match.sectorId,
+            azimuth: match.sector.azimuth,
+            originating: originating,
+            terminating: terminating,
+            record: row,
+            recordRow: entry.row,
+            __row: entry.row
+        });
+    });
+
+    if (problems.length > 0) {
+        throw new TimelineDataError(sourceName, problems);
+    }
+
+    // Ids are prefixed with the file name so several imports can share a layer
+    return validateTimelineEvents(records, sourceName).map(event => ({
+        ...event,
+        id: `cdr-${sourceName}-${event.recordRow}`
+    }));
+}
+
+// Map control with a button that imports a local CDR CSV file into a KmlLocations layer
+L.Control.CdrImport = L.Control.extend({
+    options: {
+        position: 'topleft',
+        configUrl: './cdr-import.json'
+    },
+
+    initialize: function(kmlLayer, options) {
+        L.setOptions(this, options);
+        this._kmlLayer = kmlLayer;
+        this._config = null;
+    },
+
+    onAdd: function(map) {
+        const container = L.DomUtil.create('div', 'cdr-import leaflet-bar');
+        L.DomEvent.disableClickPropagation(container);
+
+        const button = L.DomUtil.create('a', 'cdr-import-button', container);
+        button.href = '#';
+        button.title = 'Import carrier CDR spreadsheet (CSV)';
+        button.textContent = 'CDR';
+
+        const input = L.DomUtil.create('input', '', container);
+        input.type = 'file';
+        input.accept = '.csv,text/csv';
+        input.style.display = 'none';
+
+        L.DomEvent.on(button, 'click', (e) => {
+            L.DomEvent.preventDefault(e);
+            input.click();
+        });
+        L.DomEvent.on(input, 'change', () => {
+            if (input.files.length > 0) {
+                this.importFile(input.files[0]);
+            }
+            input.value = '';
+        });
+
+        return container;
+    },
+
+    // Import a File (from the picker or drag-and-drop) and add its events to the layer
+    importFile: async function(file) {
+        try {
+            if (!this._config) {
+                this._config = await loadCdrImportConfig(this.options.configUrl);
+            }
+            const events = importCdrRecords(await file.text(), this._config, file.name);
+            this._kmlLayer.addTimelineEvents(events);
+            this.fire('import', { file: file, events: events });
+        } catch (error) {
+            console.error('Error importing CDR file:', error);
+            this.fire('importerror', { file: file, error: error });
+        }
+    }
+});
+
+L.Control.CdrImport.include(L.Evented.prototype);
+
+L.control.cdrImport = function(kmlLayer, options) {
+    return new L.Control.CdrImport(kmlLayer, options);
+};
+
+// Export functions
+window.loadCdrImportConfig = loadCdrImportConfig;
+window.importCdrRecords = importCdrRecords;
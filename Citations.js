@@ -0,0 +1,475 @@
+/**
+ * Citations and Source Document Viewer
+ * Finds "[cite: 53-54]" line references (and ExtendedData cite_lines / event cite fields),
+ * renders them as chips, and opens the cited lines in a local copy of the source document
+ * listed in sources/sources.json. A sources view lists every place that cites each passage.
+ * Citations of a source with no local copy stay plain text.
+ */
+
+// Parse line references such as "903", "53-54", "45;53-54;107" or "308, 952" into
+// { start, end } ranges. Anything that is not a line number or range is ignored.
+function parseCitationRefs(text) {
+    const refs = [];
+    String(text || '').split(/[;,]/).forEach(part => {
+        const match = part.trim().match(/^(\d+)(?:\s*[-–]\s*(\d+))?$/);
+        if (match) {
+            const start = parseInt(match[1]);
+            const end = match[2] ? parseInt(match[2]) : start;
+            refs.push({ start: Math.min(start, end), end: Math.max(start, end) });
+        }
+    });
+    return refs;
+}
+
+// Find "[cite: ...]" markers in text: [{ text, refs }]
+function findCitations(text) {
+    const citations = [];
+    const pattern = /\[cite:\s*([^\]]*)\]/gi;
+    let match;
+    while ((match = pattern.exec(String(text || ''))) !== null) {
+        const refs = parseCitationRefs(match[1]);
+        if (refs.length > 0) {
+            citations.push({ text: match[0], refs: refs });
+        }
+    }
+    return citations;
+}
+
+// Merge line references, dropping duplicates, in line order
+function mergeCitationRefs(refs) {
+    const seen = new Set();
+    return refs
+        .filter(ref => {
+            const key = ref.start + '-' + ref.end;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+function formatCitationRef(ref) {
+    return ref.start === ref.end ? String(ref.start) : `${ref.start}-${ref.end}`;
+}
+
+// Manifest and the ids of its sources whose files are present, once loadCitationSources has
+// checked them; until then every citation is linked
+const citationSources = { manifest: null, available: null };
+
+// Load the source manifest and check which sources have a local copy. Citations of sources
+// without one are left as plain text instead of chips that could only say the text is missing.
+async function loadCitationSources(manifestUrl) {
+    const manifest = await loadSourceManifest(manifestUrl);
+    const available = new Set();
+    await Promise.all((manifest.sources || []).map(async source => {
+        if (!source.file) return;
+        try {
+            const response = await fetch(source.file);
+            if (response.ok) available.add(source.id);
+        } catch (error) {
+            // An unreadable file counts as missing
+        }
+    }));
+    citationSources.manifest = manifest;
+    citationSources.available = available;
+    return manifest;
+}
+
+// Whether citations of a source (by title) can be opened
+function citationSourceResolves(sourceTitle) {
+    if (!citationSources.manifest) return true;
+    const source = findSource(citationSources.manifest, sourceTitle);
+    return !!source && citationSources.available.has(source.id);
+}
+
+// Chip markup for one line reference in a source (identified by its title)
+function renderCitationChip(ref, sourceTitle) {
+    return `<a href="#" class="citation-chip" data-source="${escapeHtml(sourceTitle || '')}" ` +
+        `data-start="${ref.start}" data-end="${ref.end}" title="Open the cited lines">` +
+        `${escapeHtml(formatCitationRef(ref))}</a>`;
+}
+
+// Chips for line references, or '' when the source cannot be opened
+function renderCitationChips(refs, sourceTitle) {
+    if (!citationSourceResolves(sourceTitle)) return '';
+    return refs.map(ref => renderCitationChip(ref, sourceTitle)).join(' ');
+}
+
+// Replace "[cite: ...]" markers in popup HTML with citation chips; markers citing a source
+// that cannot be opened are left as they are
+function linkCitations(html, sourceTitle) {
+    return String(html || '').replace(/\[cite:\s*([^\]]*)\]/gi, (marker, refText) => {
+        const chips = renderCitationChips(parseCitationRefs(refText), sourceTitle);
+        return chips ? `<span class="citation-chips">${chips}</span>` : marker;
+    });
+}
+
+// Source title named in a KML description's "Source:" line, e.g.
+// "<b>Source:</b> 2022 appellate opinion (State v. Zachary Rye Adams), line refs above"
+function getDescriptionSource(description) {
+    const match = String(description || '').match(/Source:(?:<\/b>)?\s*([^<,\n]+(?:\([^)]*\))?)/i);
+    return match ? match[1].trim() : '';
+}
+
+// Source title and line references cited by a KML location
+function getLocationCitations(loc) {
+    const fields = loc.extendedData || {};
+    const sourceTitle = fields.source_title || getDescriptionSource(loc.description);
+    const refs = parseCitationRefs(fields.cite_lines);
+    findCitations(loc.description).forEach(citation => refs.push(...citation.refs));
+    return { sourceTitle: sourceTitle, refs: mergeCitationRefs(refs) };
+}
+
+// Source title and line references cited by a timeline event (its `cite` field, or
+// "[cite: ...]" markers in its `source`)
+function getEventCitations(event) {
+    const refs = parseCitationRefs(event.cite);
+    findCitations(event.source).forEach(citation => refs.push(...citation.refs));
+    const sourceTitle = String(event.source || '').replace(/\[cite:[^\]]*\]/gi, '').trim();
+    return { sourceTitle: sourceTitle, refs: mergeCitationRefs(refs) };
+}
+
+// Normalize a source title for matching against the manifest
+function normalizeSourceTitle(title) {
+    return String(title || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Load the source manifest ({ default, sources: [{ id, title, aliases, file, type }] })
+async function loadSourceManifest(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load source list from ${url}: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+}
+
+// Find the manifest entry for a source title; citations with no title use the default source
+function findSource(manifest, sourceTitle) {
+    const sources = manifest.sources || [];
+    const title = normalizeSourceTitle(sourceTitle);
+    if (!title) {
+        return sources.find(source => source.id === manifest.default) || null;
+    }
+    return sources.find(source =>
+        [source.title].concat(source.aliases || []).some(name => normalizeSourceTitle(name) === title)
+    ) || null;
+}
+
+// Viewer for local source documents, opened by clicking any citation chip on the page
+L.SourceViewer = L.Evented.extend({
+    options: {
+        manifestUrl: './sources/sources.json'
+    },
+
+    initialize: function(kmlLayer, options) {
+        L.setOptions(this, options);
+        this._kmlLayer = kmlLayer;
+        this._manifest = null;
+        this._textCache = new Map();
+    },
+
+    addTo: function(map) {
+        this._map = map;
+        this._onDocumentClick = (e) => {
+            const chip = e.target.closest && e.target.closest('.citation-chip');
+            if (!chip) return;
+            e.preventDefault();
+            this.open(chip.getAttribute('data-source'), {
+                start: parseInt(chip.getAttribute('data-start')),
+                end: parseInt(chip.getAttribute('data-end'))
+            });
+        };
+        document.addEventListener('click', this._onDocumentClick);
+        return this;
+    },
+
+    remove: function() {
+        document.removeEventListener('click', this._onDocumentClick);
+        this.close();
+        this._map = null;
+        return this;
+    },
+
+    _getManifest: async function() {
+        if (!this._manifest) {
+            this._manifest = await loadSourceManifest(this.options.manifestUrl);
+        }
+        return this._manifest;
+    },
+
+    // Every location and event that cites a source: [{ label, refs, sourceTitle, location | event }]
+    getCitingItems: function() {
+        const items = [];
+        this._kmlLayer.getLocations().forEach(loc => {
+            const citations = getLocationCitations(loc);
+            if (citations.refs.length > 0) {
+                items.push({ label: loc.name, location: loc, ...citations });
+            }
+        });
+        this._kmlLayer.getTimelineEvents().forEach(event => {
+            const citations = getEventCitations(event);
+            if (citations.refs.length > 0) {
+                items.push({ label: event.label, event: event, ...citations });
+            }
+        });
+        return items;
+    },
+
+    // Items citing a source, optionally only those whose lines overlap ref
+    _getItemsCiting: function(manifest, source, ref) {
+        return this.getCitingItems().filter(item =>
+            findSource(manifest, item.sourceTitle) === source &&
+            (!ref || item.refs.some(r => r.start <= ref.end && r.end >= ref.start))
+        );
+    },
+
+    // Open the viewer on a source's cited lines
+    open: async function(sourceTitle, ref) {
+        const body = this._createDialog('Source document');
+        try {
+            const manifest = await this._getManifest();
+            const source = findSource(manifest, sourceTitle);
+            if (!source) {
+                this._setTitle(sourceTitle || 'Source document');
+                this._addMessage(body, `No local copy of "${sourceTitle || 'this source'}" is listed in ${this.options.manifestUrl}.`);
+                return;
+            }
+
+            this._setTitle(`${source.title}, line ${formatCitationRef(ref)}`);
+            await this._renderSource(body, source, ref);
+            this._renderCitedBy(body, 'Also cited by', this._getItemsCiting(manifest, source, ref));
+            this.fire('open', { source: source, ref: ref });
+        } catch (error) {
+            console.error('Error opening source document:', error);
+            this._addMessage(body, error.message);
+        }
+    },
+
+    // Sources view: every cited passage of every source, with the places that cite it
+    openIndex: async function() {
+        const body = this._createDialog('Sources');
+        try {
+            const manifest = await this._getManifest();
+            const items = this.getCitingItems();
+            const groups = new Map();
+            items.forEach(item => {
+                const source = findSource(manifest, item.sourceTitle);
+                const title = source ? source.title : (item.sourceTitle || 'Unknown source');
+                if (!groups.has(title)) groups.set(title, { source: source, passages: new Map() });
+                item.refs.forEach(ref => {
+                    const key = formatCitationRef(ref);
+                    const passages = groups.get(title).passages;
+                    if (!passages.has(key)) passages.set(key, { ref: ref, items: [] });
+                    passages.get(key).items.push(item);
+                });
+            });
+
+            if (groups.size === 0) {
+                this._addMessage(body, 'No placemark or event cites a source.');
+            }
+            for (const [title, group] of groups) {
+                const heading = L.DomUtil.create('h4', 'source-viewer-heading', body);
+                const hasCopy = await this._hasLocalCopy(group.source);
+                heading.textContent = title + (hasCopy ? '' : ' (no local copy)');
+                const list = L.DomUtil.create('ul', 'source-viewer-passages', body);
+                Array.from(group.passages.values())
+                    .sort((a, b) => a.ref.start - b.ref.start || a.ref.end - b.ref.end)
+                    .forEach(passage => {
+                        const item = L.DomUtil.create('li', '', list);
+                        const chip = L.DomUtil.create('span', '', item);
+                        if (hasCopy) {
+                            chip.innerHTML = renderCitationChip(passage.ref, group.source.title);
+                        } else {
+                            chip.textContent = `Line ${formatCitationRef(passage.ref)}: `;
+                        }
+                        this._renderItemLinks(item, passage.items);
+                    });
+            }
+        } catch (error) {
+            console.error('Error opening sources view:', error);
+            this._addMessage(body, error.message);
+        }
+    },
+
+    close: function() {
+        if (this._dialog) {
+            this._dialog.remove();
+            this._dialog = null;
+        }
+    },
+
+    _createDialog: function(title) {
+        this.close();
+        this._dialog = L.DomUtil.create('div', 'source-viewer', document.body);
+        const header = L.DomUtil.create('div', 'source-viewer-header', this._dialog);
+        this._title = L.DomUtil.create('span', 'source-viewer-title', header);
+        this._title.textContent = title;
+        const close = L.DomUtil.create('button', 'source-viewer-close', header);
+        close.type = 'button';
+        close.textContent = '×';
+        close.title = 'Close';
+        L.DomEvent.on(close, 'click', this.close, this);
+        return L.DomUtil.create('div', 'source-viewer-body', this._dialog);
+    },
+
+    _setTitle: function(title) {
+        this._title.textContent = title;
+    },
+
+    _addMessage: function(body, message) {
+        const note = L.DomUtil.create('p', 'source-viewer-message', body);
+        note.textContent = message;
+    },
+
+    _renderSource: async function(body, source, ref) {
+        if (!source.file) {
+            this._addMessage(body, `There is no local copy of ${source.title} in this repository.`);
+            return;
+        }
+
+        // PDF excerpts open at the page holding the cited lines, when the manifest says where that is
+        if (source.type === 'pdf') {
+            const page = source.pages ? this._findPdfPage(source.pages, ref.start) : null;
+            const frame = L.DomUtil.create('iframe', 'source-viewer-pdf', body);
+            frame.src = source.file + (page ? '#page=' + page : '');
+            this._addMessage(body, `Cited lines: ${formatCitationRef(ref)}`);
+            return;
+        }
+
+        const lines = await this._loadLines(source);
+        if (!lines) {
+            this._addMessage(body, `The text of ${source.title} is not in this repository yet. ` +
+                `Add it as ${source.file}, one line of the document per line, to read the cited lines here. ` +
+                'The places citing these lines are listed below.');
+            return;
+        }
+
+        // Show the cited lines with some context either side
+        const context = 5;
+        const from = Math.max(1, ref.start - context);
+        const to = Math.min(lines.length, ref.end + context);
+        if (ref.start > lines.length) {
+            this._addMessage(body, `${source.file} has only ${lines.length} lines; line ${ref.start} is cited.`);
+            return;
+        }
+        const list = L.DomUtil.create('ol', 'source-viewer-lines', body);
+        list.start = from;
+        let firstCited = null;
+        for (let line = from; line <= to; line++) {
+            const item = L.DomUtil.create('li', '', list);
+            item.textContent = lines[line - 1];
+            if (line >= ref.start && line <= ref.end) {
+                L.DomUtil.addClass(item, 'cited');
+                firstCited = firstCited || item;
+            }
+        }
+        if (firstCited && firstCited.scrollIntoView) {
+            firstCited.scrollIntoView({ block: 'center' });
+        }
+    },
+
+    // A text source's lines, read once; null when its file is not there
+    _loadLines: async function(source) {
+        if (!this._textCache.has(source.file)) {
+            this._textCache.set(source.file, fetch(source.file)
+                .then(response => response.ok ? response.text() : null)
+                .then(text => text === null ? null : text.split(/\r\n|\r|\n/))
+                .catch(() => null));
+        }
+        return this._textCache.get(source.file);
+    },
+
+    // Whether a source's file can be opened; PDFs are taken as present
+    _hasLocalCopy: async function(source) {
+        if (!source || !source.file) return false;
+        return source.type === 'pdf' || (await this._loadLines(source)) !== null;
+    },
+
+    // pages is a list of { page, firstLine } entries in page order
+    _findPdfPage: function(pages, line) {
+        let page = null;
+        pages.forEach(entry => {
+            if (entry.firstLine <= line) page = entry.page;
+        });
+        return page;
+    },
+
+    _renderCitedBy: function(body, heading, items) {
+        if (items.length === 0) return;
+        const title = L.DomUtil.create('h4', 'source-viewer-heading', body);
+        title.textContent = heading;
+        this._renderItemLinks(L.DomUtil.create('div', '', body), items);
+    },
+
+    // Links that pan the map to each citing placemark or event
+    _renderItemLinks: function(container, items) {
+        const list = L.DomUtil.create('ul', 'source-viewer-cited-by', container);
+        items.forEach(item => {
+            const entry = L.DomUtil.create('li', '', list);
+            const link = L.DomUtil.create('a', '', entry);
+            link.href = '#';
+            link.textContent = item.label;
+            L.DomEvent.on(link, 'click', (e) => {
+                L.DomEvent.preventDefault(e);
+                this._showItem(item);
+            });
+        });
+    },
+
+    _showItem: function(item) {
+        if (item.event) {
+            this._map.timeDimension.setCurrentTime(item.event.timestamp.getTime());
+            this._map.panTo([item.event.lat, item.event.lng]);
+            return;
+        }
+        const layer = this._kmlLayer.getPlacemarkLayer(item.location);
+        if (layer && this._map.hasLayer(layer)) {
+            this._map.panTo(layer.getLatLng ? layer.getLatLng() : layer.getBounds().getCenter());
+            layer.openPopup();
+        }
+    }
+});
+
+L.sourceViewer = function(kmlLayer, options) {
+    return new L.SourceViewer(kmlLayer, options);
+};
+
+// Map button that opens the sources view
+L.Control.Sources = L.Control.extend({
+    options: {
+        position: 'topleft'
+    },
+
+    initialize: function(viewer, options) {
+        L.setOptions(this, options);
+        this._viewer = viewer;
+    },
+
+    onAdd: function(map) {
+        const container = L.DomUtil.create('div', 'sources-control leaflet-bar');
+        L.DomEvent.disableClickPropagation(container);
+        const button = L.DomUtil.create('a', 'sources-control-button', container);
+        button.href = '#';
+        button.title = 'List cited sources and the places that cite them';
+        button.textContent = 'Sources';
+        L.DomEvent.on(button, 'click', (e) => {
+            L.DomEvent.preventDefault(e);
+            this._viewer.openIndex();
+        });
+        return container;
+    }
+});
+
+L.control.sources = function(viewer, options) {
+    return new L.Control.Sources(viewer, options);
+};
+
+// Export functions
+window.parseCitationRefs = parseCitationRefs;
+window.findCitations = findCitations;
+window.linkCitations = linkCitations;
+window.renderCitationChips = renderCitationChips;
+window.getLocationCitations = getLocationCitations;
+window.getEventCitations = getEventCitations;
+window.findSource = findSource;
+window.loadCitationSources = loadCitationSources;
@@ -0,0 +1,298 @@
+/**
+ * Evidence Side Panel
+ * Lists every timeline event and timed KML placemark in time order with a text search.
+ * Clicking an entry seeks the timeline and pans to it; the entry for the current time is
+ * highlighted and kept in view while the player runs. Placemarks dated outside the player's
+ * range, or by day only, are marked off the timeline and only panned to, as are placemarks
+ * whose time falls between the player's steps.
+ */
+
+// Whether an entry is a placemark whose event_date gives a day but no time of day
+function isDayOnlyEntry(entry) {
+    return !!entry.location && entry.location.timeSource === 'event_date' && !entry.location.timeStr;
+}
+
+L.EvidencePanel = L.Evented.extend({
+    options: {
+        title: 'TN v. Zachary Adams',
+        location: 'Parsons, TN',
+        hint: 'Use the timeline controls to animate through cell phone pings and events, or click an entry to jump to it.'
+    },
+
+    // container is the element the panel is built in (e.g. an <aside> beside the map)
+    initialize: function(container, kmlLayer, options) {
+        L.setOptions(this, options);
+        this._container = container;
+        this._kmlLayer = kmlLayer;
+        this._entries = [];
+        this._currentEntry = null;
+        // Flags shown on timeline events, by event id (see setFlags)
+        this._flags = new Map();
+        // Other layers listing entries (see addEntrySource)
+        this._entrySources = [];
+    },
+
+    addTo: function(map) {
+        this._map = map;
+        this._buildLayout();
+        this._render();
+
+        this._kmlLayer.on('timelineload', this._render, this);
+        map.timeDimension.on('timeload', this._syncToTime, this);
+        return this;
+    },
+
+    // List another layer's timeline entries too, e.g. user annotations. The layer provides
+    // getTimelineEntries() (entries as in getEntries) and fires 'timelineload' when they change.
+    addEntrySource: function(source) {
+        this._entrySources.push(source);
+        source.on('timelineload', this._render, this);
+        if (this._map) this._render();
+        return this;
+    },
+
+    remove: function() {
+        this._entrySources.forEach(source => source.off('timelineload', this._render, this));
+        this._kmlLayer.off('timelineload', this._render, this);
+        this._map.timeDimension.off('timeload', this._syncToTime, this);
+        this._container.innerHTML = '';
+        this._map = null;
+        return this;
+    },
+
+    _buildLayout: function() {
+        this._container.innerHTML = '';
+        L.DomUtil.addClass(this._container, 'evidence-panel');
+
+        const title = L.DomUtil.create('h2', '', this._container);
+        title.textContent = this.options.title;
+        this._summary = L.DomUtil.create('div', 'evidence-panel-summary', this._container);
+        const hint = L.DomUtil.create('p', 'evidence-panel-hint', this._container);
+        hint.textContent = this.options.hint;
+
+        this._search = L.DomUtil.create('input', 'evidence-panel-search', this._container);
+        this._search.type = 'search';
+        this._search.placeholder = 'Search events and places';
+        L.DomEvent.on(this._search, 'input', this._applySearch, this);
+
+        this._count = L.DomUtil.create('div', 'evidence-panel-count', this._container);
+        this._list = L.DomUtil.create('ol', 'evidence-panel-list', this._container);
+    },
+
+    // Rebuild the summary and the entry list from the layer's sorted events and timed placemarks
+    _render: function() {
+        const events = this._kmlLayer.getTimelineEvents().map(event => ({
+            time: event.timestamp.getTime(),
+            label: event.label,
+            detail: event.source || '',
+            color: this._kmlLayer.getTrackColor(event.phone),
+            latlng: L.latLng(event.lat, event.lng),
+            event: event
+        }));
+        const placemarks = this._kmlLayer.getLocations()
+            .filter(loc => loc.timestamp && loc.timeSource)
+            .map(loc => ({
+                time: loc.timestamp.getTime(),
+                label: loc.name,
+                detail: loc.folderPath.join(' › '),
+                color: null,
+                latlng: getLocationLatLng(loc),
+                location: loc
+            }));
+
+        const others = this._entrySources.reduce((all, source) => all.concat(source.getTimelineEntries()), []);
+        this._entries = events.concat(placemarks, others).sort((a, b) => a.time - b.time);
+        this._entries.forEach(entry => { entry.offTimeline = this._isOffTimeline(entry); });
+
+        this._renderSummary();
+        this._list.innerHTML = '';
+        this._entries.forEach(entry => {
+            entry.element = this._createEntryElement(entry);
+            this._list.appendChild(entry.element);
+        });
+        this._applySearch();
+        this._currentEntry = null;
+        this._syncToTime();
+    },
+
+    _renderSummary: function() {
+        this._summary.innerHTML = '';
+        const events = this._kmlLayer.getTimelineEvents();
+        const addLine = (label, text) => {
+            const line = L.DomUtil.create('p', '', this._summary);
+            const strong = L.DomUtil.create('strong', '', line);
+            strong.textContent = label + ': ';
+            line.appendChild(document.createTextNode(text));
+        };
+
+        if (events.length > 0) {
+            const first = events[0].timestamp;
+            const last = events[events.length - 1].timestamp;
+            addLine('Date', first.toLocaleDateString('en-US', {
+                timeZone: CASE_TIME_ZONE, year: 'numeric', month: 'long', day: 'numeric'
+            }));
+            addLine('Location', this.options.location);
+            addLine('Timeline', `${formatCaseTime(first)} - ${formatCaseTime(last)} (${CASE_TIME_ZONE})`);
+        } else {
+            addLine('Location', this.options.location);
+        }
+
+        // Phones tracked, with the time of their first and last ping
+        const phones = this._kmlLayer.getTracks()
+            .filter(track => !this._kmlLayer.options.markerOnlyPhones.includes(track.phone));
+        if (phones.length > 0) {
+            addLine('Phones tracked', '');
+            const list = L.DomUtil.create('ul', 'evidence-panel-phones', this._summary);
+            phones.forEach(track => {
+                const item = L.DomUtil.create('li', '', list);
+                const first = track.events[0].timestamp;
+                const last = track.events[track.events.length - 1].timestamp;
+                item.textContent = `${track.label} (${formatCaseTime(first)}-${formatCaseTime(last)})`;
+            });
+        }
+    },
+
+    _createEntryElement: function(entry) {
+        const item = L.DomUtil.create('li', 'evidence-panel-entry');
+        const time = L.DomUtil.create('span', 'evidence-panel-time', item);
+        time.textContent = entry.offTimeline ? this._formatOffTimelineTime(entry) : formatCaseTime(new Date(entry.time));
+        if (entry.color) {
+            const swatch = L.DomUtil.create('span', 'evidence-panel-swatch', item);
+            swatch.style.background = entry.color;
+        }
+        if (entry.userAdded) {
+            L.DomUtil.addClass(item, 'evidence-panel-user');
+            L.DomUtil.create('span', 'evidence-panel-user-tag', item).textContent = 'USER';
+        }
+        const label = L.DomUtil.create('span', 'evidence-panel-label', item);
+        label.textContent = entry.label;
+        if (entry.detail) {
+            const detail = L.DomUtil.create('div', 'evidence-panel-detail', item);
+            detail.textContent = entry.detail;
+        }
+        if (entry.location) {
+            L.DomUtil.addClass(item, 'evidence-panel-placemark');
+        }
+        if (entry.offTimeline) {
+            L.DomUtil.addClass(item, 'evidence-panel-off-timeline');
+            const note = L.DomUtil.create('div', 'evidence-panel-off-timeline-note', item);
+            note.textContent = 'Off the timeline: clicking shows the place without moving the player';
+        }
+        entry.flagElement = L.DomUtil.create('div', 'evidence-panel-flag', item);
+        this._renderFlag(entry);
+
+        entry.searchText = [entry.label, entry.detail,
+            entry.location ? entry.location.description.replace(/<[^>]*>/g, ' ') : ''].join(' ').toLowerCase();
+        L.DomEvent.on(item, 'click', () => this.select(entry));
+        return item;
+    },
+
+    // Whether an entry falls outside the times the player steps through, or is a placemark dated
+    // by day only (its midnight time is not a time of day), so seeking would land on another event
+    _isOffTimeline: function(entry) {
+        if (isDayOnlyEntry(entry)) {
+            return true;
+        }
+        const times = this._map.timeDimension.getAvailableTimes();
+        return times.length === 0 || entry.time < times[0] || entry.time > times[times.length - 1];
+    },
+
+    // The date of an off-timeline entry, with its time of day unless it is dated by day only
+    _formatOffTimelineTime: function(entry) {
+        const date = new Date(entry.time);
+        const day = date.toLocaleDateString('en-US', {
+            timeZone: CASE_TIME_ZONE, year: 'numeric', month: 'short', day: 'numeric'
+        });
+        return isDayOnlyEntry(entry)
+            ? day
+            : `${day} ${formatCaseTime(date)}`;
+    },
+
+    // Entries in time order: { time, label, detail, color, latlng, event | location | annotation },
+    // entries from other sources also carrying their map `layer` and `userAdded`
+    getEntries: function() {
+        return this._entries;
+    },
+
+    // Flag timeline events, e.g. with the result of a travel time check: flags maps event ids
+    // to { status, text }, status being 'feasible', 'infeasible' or 'unknown'. Replaces the
+    // previous flags.
+    setFlags: function(flags) {
+        this._flags = new Map(Object.entries(flags || {}));
+        this._entries.forEach(entry => this._renderFlag(entry));
+        return this;
+    },
+
+    _renderFlag: function(entry) {
+        const flag = entry.event ? this._flags.get(entry.event.id) : null;
+        entry.flagElement.className = 'evidence-panel-flag' + (flag ? ' evidence-panel-flag-' + flag.status : '');
+        entry.flagElement.textContent = flag ? flag.text : '';
+        entry.flagElement.style.display = flag ? '' : 'none';
+    },
+
+    // Seek the timeline to an entry and pan the map to it. Entries the player has no step for
+    // (off the timeline, or between two steps) are panned to and highlighted, leaving the
+    // player where it is
+    select: function(entry) {
+        const times = this._map.timeDimension.getAvailableTimes();
+        if (this._isPlayerStep(entry, times)) {
+            this._map.timeDimension.setCurrentTime(entry.time);
+        }
+        if (entry.latlng) {
+            this._map.panTo(entry.latlng);
+        }
+        const layer = entry.location ? this._kmlLayer.getPlacemarkLayer(entry.location) : entry.layer;
+        if (layer && this._map.hasLayer(layer)) {
+            layer.openPopup();
+        }
+        this._setCurrentEntry(entry);
+        this.fire('select', { entry: entry });
+    },
+
+    _applySearch: function() {
+        const terms = this._search.value.toLowerCase().split(/\s+/).filter(term => term);
+        let shown = 0;
+        this._entries.forEach(entry => {
+            const match = terms.every(term => entry.searchText.includes(term));
+            entry.element.style.display = match ? '' : 'none';
+            if (match) shown++;
+        });
+        this._count.textContent = terms.length > 0
+            ? `${shown} of ${this._entries.length} entries`
+            : `${this._entries.length} entries`;
+    },
+
+    // Whether seeking to an entry lands on it: the player has a step at exactly its time
+    _isPlayerStep: function(entry, times) {
+        return !entry.offTimeline && times.includes(entry.time);
+    },
+
+    // Highlight the latest entry with a player step at or before the player's current time
+    _syncToTime: function() {
+        const currentTime = this._map.timeDimension.getCurrentTime();
+        const times = this._map.timeDimension.getAvailableTimes();
+        let current = null;
+        this._entries.forEach(entry => {
+            if (entry.time <= currentTime && this._isPlayerStep(entry, times)) current = entry;
+        });
+        this._setCurrentEntry(current);
+    },
+
+    _setCurrentEntry: function(entry) {
+        if (entry === this._currentEntry) return;
+        if (this._currentEntry) {
+            L.DomUtil.removeClass(this._currentEntry.element, 'current');
+        }
+        this._currentEntry = entry;
+        if (entry) {
+            L.DomUtil.addClass(entry.element, 'current');
+            if (entry.element.scrollIntoView) {
+                entry.element.scrollIntoView({ block: 'nearest' });
+            }
+        }
+    }
+});
+
+L.evidencePanel = function(container, kmlLayer, options) {
+    return new L.EvidencePanel(container, kmlLayer, options);
+};
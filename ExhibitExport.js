@@ -0,0 +1,868 @@
+/**
+ * Map Exhibits
+ * Renders the current map view to a PNG image or a PDF for filings. Each exhibit shows the
+ * player's time, the legend, a scale bar, a north arrow, the map attribution and a caption or
+ * citation block, and one exhibit can be made per timeline event. Everything is drawn in the
+ * browser from what the map shows, so tiles served locally or from the browser's cache work
+ * without a network.
+ */
+
+// PDF page sizes in points (1/72 inch), landscape
+const EXHIBIT_PAGE_SIZES = {
+    letter: [792, 612],
+    legal: [1008, 612],
+    a4: [842, 595]
+};
+
+const EXHIBIT_FONT = 'Helvetica, Arial, sans-serif';
+
+// Windows-1252 codes of the characters outside Latin-1 that the standard PDF fonts can print
+const WIN_ANSI_CODES = {
+    '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+    '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93,
+    '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b,
+    'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f
+};
+
+// Player time as printed on exhibits, e.g. "April 13, 2011 at 8:11 AM CDT"
+function formatExhibitTime(date) {
+    return date.toLocaleString('en-US', {
+        timeZone: CASE_TIME_ZONE, year: 'numeric', month: 'long', day: 'numeric',
+        hour: 'numeric', minute: '2-digit', timeZoneName: 'short'
+    });
+}
+
+// Caption block for a timeline event: its label and time, then its source and cited lines
+function getEventExhibitCaption(event) {
+    const lines = [`${event.label} (${formatCaseTime(event.timestamp)})`];
+    const citations = getEventCitations(event);
+    if (citations.sourceTitle || citations.refs.length > 0) {
+        lines.push('Source: ' + (citations.sourceTitle || 'not named') +
+            (citations.refs.length > 0 ? ', lines ' + citations.refs.map(formatCitationRef).join(', ') : ''));
+    }
+    return lines.join('\n');
+}
+
+// Plain-text attributions of the layers on the map
+function getMapAttributions(map) {
+    const attributions = new Set();
+    map.eachLayer(layer => {
+        const html = layer.getAttribution ? layer.getAttribution() : null;
+        if (html) {
+            const doc = new DOMParser().parseFromString(html, 'text/html');
+            attributions.add(doc.body.textContent.trim());
+        }
+    });
+    return Array.from(attributions).filter(text => text);
+}
+
+// Round a length down to 1, 2, 3 or 5 times a power of ten, as the scale control does
+function roundScaleLength(length) {
+    const power = Math.pow(10, Math.floor(Math.log10(length)));
+    const digit = length / power;
+    return power * (digit >= 5 ? 5 : digit >= 3 ? 3 : digit >= 2 ? 2 : 1);
+}
+
+// Metric and imperial scale bars no longer than maxPixels: [{ label, pixels }, ...]
+function getScaleBars(metersPerPixel, maxPixels) {
+    const maxMeters = metersPerPixel * maxPixels;
+    const meters = roundScaleLength(maxMeters);
+    const maxFeet = maxMeters * 3.2808399;
+    const miles = maxFeet > 5280 ? roundScaleLength(maxFeet / 5280) : null;
+    const feet = miles ? null : roundScaleLength(maxFeet);
+    return [
+        { label: meters < 1000 ? meters + ' m' : meters / 1000 + ' km', pixels: meters / metersPerPixel },
+        miles ? { label: miles + ' mi', pixels: miles * 1609.344 / metersPerPixel }
+            : { label: feet + ' ft', pixels: feet / 3.2808399 / metersPerPixel }
+    ];
+}
+
+// Legend rows read from the page's legend element, in order: { type: 'title', text } for its
+// headings, { type: 'fill', text, color, outline, round } for swatches and
+// { type: 'line', text, color, dashed } for line samples. Phone tracks switched off in the
+// legend are left out.
+function collectLegendItems(element) {
+    if (!element) return [];
+    const items = [];
+    element.querySelectorAll('strong, .legend-item').forEach(node => {
+        if (node.tagName === 'STRONG') {
+            items.push({ type: 'title', text: node.textContent.trim() });
+            return;
+        }
+        const checkbox = node.querySelector('input[type=checkbox]');
+        if (checkbox && !checkbox.checked) return;
+        const swatch = node.querySelector('div');
+        if (!swatch) return;
+        const style = getComputedStyle(swatch);
+        const border = parseFloat(style.borderTopWidth) > 0 && style.borderTopStyle !== 'none' ? style.borderTopColor : null;
+        const text = node.textContent.trim();
+        if (parseFloat(style.height) <= 4) {
+            // A line sample: a thin bar, or an empty box showing only its top border
+            const bar = parseFloat(style.height) > 0;
+            items.push({
+                type: 'line',
+                text: text,
+                color: bar || !border ? style.backgroundColor : border,
+                dashed: !bar && style.borderTopStyle === 'dashed'
+            });
+        } else {
+            items.push({
+                type: 'fill',
+                text: text,
+                color: style.backgroundColor,
+                outline: border,
+                round: parseFloat(style.borderTopLeftRadius) > 0
+            });
+        }
+    });
+    return items;
+}
+
+// Break text into lines no wider than maxWidth, keeping its own line breaks.
+// measure(text) returns the width of a piece of text.
+function wrapText(text, maxWidth, measure) {
+    const lines = [];
+    String(text || '').split('\n').forEach(paragraph => {
+        let line = '';
+        paragraph.split(/\s+/).filter(word => word).forEach(word => {
+            const candidate = line ? line + ' ' + word : word;
+            if (line && measure(candidate) > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+        lines.push(line);
+    });
+    return lines;
+}
+
+// Load an image so that drawing it leaves the canvas readable: images from this site (or
+// already loaded with CORS) are used as they are, others are fetched again with CORS.
+// Resolves to null when the image can't be had that way.
+function loadExhibitImage(image) {
+    const src = image.currentSrc || image.src;
+    const url = new URL(src, location.href);
+    const sameOrigin = url.protocol === 'data:' || url.protocol === 'blob:' || url.origin === location.origin;
+    if (image.complete && image.naturalWidth > 0 && (sameOrigin || image.crossOrigin !== null)) {
+        return Promise.resolve(image);
+    }
+    return new Promise(resolve => {
+        const copy = new Image();
+        copy.crossOrigin = 'anonymous';
+        copy.onload = () => resolve(copy);
+        copy.onerror = () => resolve(null);
+        copy.src = src;
+    });
+}
+
+// Position of an element relative to the map container, in CSS pixels
+function getElementBox(element, origin) {
+    const rect = element.getBoundingClientRect();
+    return { x: rect.left - origin.left, y: rect.top - origin.top, width: rect.width, height: rect.height };
+}
+
+// Draw an HTML marker or label (a div icon, a tooltip) as a box with its text
+function drawHtmlBox(ctx, element, box) {
+    const style = getComputedStyle(element);
+    const radius = Math.min(parseFloat(style.borderTopLeftRadius) || 0, box.width / 2, box.height / 2);
+    ctx.save();
+    ctx.globalAlpha *= isNaN(parseFloat(style.opacity)) ? 1 : parseFloat(style.opacity);
+    ctx.beginPath();
+    if (ctx.roundRect) {
+        ctx.roundRect(box.x, box.y, box.width, box.height, radius);
+    } else {
+        ctx.rect(box.x, box.y, box.width, box.height);
+    }
+    if (style.backgroundColor && !/^(transparent|rgba\(.*,\s*0\))$/.test(style.backgroundColor)) {
+        ctx.fillStyle = style.backgroundColor;
+        ctx.fill();
+    }
+    const borderWidth = parseFloat(style.borderTopWidth) || 0;
+    if (borderWidth > 0 && style.borderTopStyle !== 'none') {
+        ctx.lineWidth = borderWidth;
+        ctx.strokeStyle = style.borderTopColor;
+        ctx.setLineDash(style.borderTopStyle === 'dashed' ? [borderWidth * 2, borderWidth * 2] : []);
+        ctx.stroke();
+    }
+    const text = element.textContent.trim();
+    if (text) {
+        ctx.fillStyle = style.color;
+        ctx.font = `${style.fontWeight} ${style.fontSize} ${style.fontFamily}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, box.x + box.width / 2, box.y + box.height / 2, Math.max(box.width, 1));
+    }
+    ctx.restore();
+}
+
+// Draw the vector overlays of an <svg> renderer
+function drawSvgElement(ctx, svg, box) {
+    const copy = svg.cloneNode(true);
+    copy.removeAttribute('style');
+    copy.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    copy.setAttribute('width', box.width);
+    copy.setAttribute('height', box.height);
+    const url = URL.createObjectURL(new Blob([new XMLSerializer().serializeToString(copy)], { type: 'image/svg+xml' }));
+    return new Promise(resolve => {
+        const image = new Image();
+        image.onload = () => {
+            ctx.drawImage(image, box.x, box.y, box.width, box.height);
+            URL.revokeObjectURL(url);
+            resolve();
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            resolve();
+        };
+        image.src = url;
+    });
+}
+
+// Draw what the map shows (tiles, vector layers, markers and permanent labels, not popups or
+// controls) onto a canvas of the map's size times `scale`. Images that can't be read without
+// tainting the canvas (icons from sites without CORS) are drawn as dots.
+async function renderMapCanvas(map, scale) {
+    const size = map.getSize();
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(size.x * scale);
+    canvas.height = Math.round(size.y * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, size.x, size.y);
+    const origin = map.getContainer().getBoundingClientRect();
+    const visible = element => {
+        const style = getComputedStyle(element);
+        return style.display !== 'none' && style.visibility !== 'hidden';
+    };
+
+    // Tile layers, bottom to top, each at its own opacity
+    const tileLayers = Array.from(map.getPane('tilePane').querySelectorAll('.leaflet-layer'))
+        .filter(visible)
+        .map((container, index) => ({ container: container, index: index, zIndex: parseInt(container.style.zIndex) || 0 }))
+        .sort((a, b) => a.zIndex - b.zIndex || a.index - b.index);
+    for (const layer of tileLayers) {
+        ctx.save();
+        const opacity = parseFloat(getComputedStyle(layer.container).opacity);
+        ctx.globalAlpha = isNaN(opacity) ? 1 : opacity;
+        for (const tile of layer.container.querySelectorAll('img.leaflet-tile-loaded')) {
+            const image = await loadExhibitImage(tile);
+            if (image) {
+                const box = getElementBox(tile, origin);
+                ctx.drawImage(image, box.x, box.y, box.width, box.height);
+            }
+        }
+        ctx.restore();
+    }
+
+    // Vector layers (SVG or canvas renderers) and image overlays
+    for (const element of map.getPane('overlayPane').children) {
+        if (!/^(svg|canvas|img)$/i.test(element.tagName) || !visible(element)) continue;
+        const box = getElementBox(element, origin);
+        if (element.tagName.toLowerCase() === 'svg') {
+            await drawSvgElement(ctx, element, box);
+        } else if (element.tagName.toLowerCase() === 'canvas') {
+            ctx.drawImage(element, box.x, box.y, box.width, box.height);
+        } else {
+            const image = await loadExhibitImage(element);
+            if (image) ctx.drawImage(image, box.x, box.y, box.width, box.height);
+        }
+    }
+
+    // Markers, then permanent labels
+    for (const element of map.getPane('markerPane').querySelectorAll('.leaflet-marker-icon')) {
+        if (!visible(element)) continue;
+        const box = getElementBox(element, origin);
+        if (element.tagName === 'IMG') {
+            const image = await loadExhibitImage(element);
+            if (image) {
+                ctx.drawImage(image, box.x, box.y, box.width, box.height);
+            } else {
+                ctx.beginPath();
+                ctx.arc(box.x + box.width / 2, box.y + box.height / 2, Math.min(box.width, box.height) / 4, 0, 2 * Math.PI);
+                ctx.fillStyle = DEFAULT_MARKER_COLOR;
+                ctx.fill();
+                ctx.lineWidth = 1.5;
+                ctx.strokeStyle = '#ffffff';
+                ctx.stroke();
+            }
+        } else {
+            drawHtmlBox(ctx, element, box);
+        }
+    }
+    map.getPane('tooltipPane').querySelectorAll('.leaflet-tooltip').forEach(element => {
+        if (visible(element)) drawHtmlBox(ctx, element, getElementBox(element, origin));
+    });
+    return canvas;
+}
+
+// Draw a text box with a white background; lines are { text, bold }. x and y place the box's
+// corner given by align ('top-left', 'top-right', 'bottom-left' or 'bottom-right').
+function drawTextPanel(ctx, lines, x, y, align, fontSize) {
+    const padding = 6;
+    const lineHeight = fontSize * 1.3;
+    const width = Math.max(...lines.map(line => {
+        ctx.font = `${line.bold ? 'bold ' : ''}${fontSize}px ${EXHIBIT_FONT}`;
+        return ctx.measureText(line.text).width;
+    })) + padding * 2;
+    const height = lines.length * lineHeight + padding * 2;
+    const left = align.endsWith('right') ? x - width : x;
+    const top = align.startsWith('bottom') ? y - height : y;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.fillRect(left, top, width, height);
+    ctx.strokeStyle = '#999999';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(left, top, width, height);
+    ctx.fillStyle = '#000000';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    lines.forEach((line, index) => {
+        ctx.font = `${line.bold ? 'bold ' : ''}${fontSize}px ${EXHIBIT_FONT}`;
+        ctx.fillText(line.text, left + padding, top + padding + lineHeight * (index + 0.5));
+    });
+    return { width: width, height: height };
+}
+
+// Draw the legend rows (see collectLegendItems) in a box whose bottom-right corner is at x, y
+function drawLegend(ctx, items, x, y) {
+    if (items.length === 0) return { width: 0, height: 0 };
+    const fontSize = 11;
+    const padding = 6;
+    const lineHeight = 16;
+    const swatch = 18;
+    ctx.font = `bold ${fontSize}px ${EXHIBIT_FONT}`;
+    const width = Math.max(...items.map(item => ctx.measureText(item.text).width + (item.type === 'title' ? 0 : swatch + 6))) + padding * 2;
+    const height = items.length * lineHeight + padding * 2;
+    const left = x - width;
+    const top = y - height;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.fillRect(left, top, width, height);
+    ctx.strokeStyle = '#999999';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(left, top, width, height);
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+    items.forEach((item, index) => {
+        const middle = top + padding + lineHeight * (index + 0.5);
+        let textLeft = left + padding;
+        if (item.type !== 'title') {
+            ctx.save();
+            if (item.type === 'fill') {
+                ctx.beginPath();
+                if (item.round) {
+                    ctx.arc(textLeft + swatch / 2, middle, 6, 0, 2 * Math.PI);
+                } else {
+                    ctx.rect(textLeft, middle - 6, swatch, 12);
+                }
+                ctx.fillStyle = item.color;
+                ctx.fill();
+                if (item.outline) {
+                    ctx.strokeStyle = item.outline;
+                    ctx.lineWidth = 1;
+                    ctx.stroke();
+                }
+            } else {
+                ctx.strokeStyle = item.color;
+                ctx.lineWidth = 3;
+                ctx.setLineDash(item.dashed ? [4, 3] : []);
+                ctx.beginPath();
+                ctx.moveTo(textLeft, middle);
+                ctx.lineTo(textLeft + swatch, middle);
+                ctx.stroke();
+            }
+            ctx.restore();
+            textLeft += swatch + 6;
+        }
+        ctx.fillStyle = '#000000';
+        ctx.font = `${item.type === 'title' ? 'bold ' : ''}${fontSize}px ${EXHIBIT_FONT}`;
+        ctx.fillText(item.text, textLeft, middle);
+    });
+    return { width: width, height: height };
+}
+
+// Draw scale bars (see getScaleBars) with their left end at x, bottom at y
+function drawScaleBars(ctx, bars, x, y) {
+    const height = 16;
+    bars.forEach((bar, index) => {
+        const top = y - (bars.length - index) * (height + 4);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.fillRect(x, top, bar.pixels, height);
+        ctx.strokeStyle = '#333333';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x, top);
+        ctx.lineTo(x, top + height);
+        ctx.lineTo(x + bar.pixels, top + height);
+        ctx.lineTo(x + bar.pixels, top);
+        ctx.stroke();
+        ctx.fillStyle = '#333333';
+        ctx.font = `11px ${EXHIBIT_FONT}`;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(bar.label, x + 4, top + height / 2);
+    });
+}
+
+// Draw a north arrow centered on x, with its top at y (Leaflet maps are always north up)
+function drawNorthArrow(ctx, x, y) {
+    ctx.save();
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.beginPath();
+    ctx.arc(x, y + 22, 22, 0, 2 * Math.PI);
+    ctx.fill();
+    ctx.fillStyle = '#333333';
+    ctx.beginPath();
+    ctx.moveTo(x, y + 14);
+    ctx.lineTo(x + 9, y + 38);
+    ctx.lineTo(x, y + 32);
+    ctx.lineTo(x - 9, y + 38);
+    ctx.closePath();
+    ctx.fill();
+    ctx.font = `bold 11px ${EXHIBIT_FONT}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('N', x, y + 7);
+    ctx.restore();
+}
+
+// Metres per pixel across the middle of the map, as for the scale control
+function getMapMetersPerPixel(map) {
+    const y = map.getSize().y / 2;
+    return map.distance(map.containerPointToLatLng([0, y]), map.containerPointToLatLng([100, y])) / 100;
+}
+
+// Render the map view with its marginalia: title and time (top left), north arrow (top right),
+// scale bars (bottom left), legend and attribution (bottom right). The caption is not drawn
+// (see addCaptionBand). Returns a canvas.
+async function renderExhibitCanvas(map, options) {
+    const canvas = await renderMapCanvas(map, options.scale);
+    const ctx = canvas.getContext('2d');
+    const size = map.getSize();
+    ctx.setTransform(options.scale, 0, 0, options.scale, 0, 0);
+    const margin = 10;
+
+    const heading = [];
+    if (options.title) heading.push({ text: options.title, bold: true });
+    heading.push({ text: formatExhibitTime(new Date(map.timeDimension.getCurrentTime())), bold: !options.title });
+    drawTextPanel(ctx, heading, margin, margin, 'top-left', 13);
+    drawNorthArrow(ctx, size.x - margin - 22, margin);
+    drawScaleBars(ctx, getScaleBars(getMapMetersPerPixel(map), 120), margin, size.y - margin);
+
+    const attributions = getMapAttributions(map);
+    let bottom = size.y - margin;
+    if (attributions.length > 0) {
+        ctx.save();
+        ctx.font = `10px ${EXHIBIT_FONT}`;
+        const text = attributions.join(' | ');
+        const width = ctx.measureText(text).width + 8;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.fillRect(size.x - width, size.y - 16, width, 16);
+        ctx.fillStyle = '#333333';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, size.x - 4, size.y - 8);
+        ctx.restore();
+        bottom = size.y - 16 - margin;
+    }
+    drawLegend(ctx, options.legendItems, size.x - margin, bottom);
+    return canvas;
+}
+
+// Copy of an exhibit canvas with the caption printed in a band below the map
+function addCaptionBand(canvas, caption, scale) {
+    if (!caption) return canvas;
+    const fontSize = 13;
+    const padding = 10;
+    const lineHeight = fontSize * 1.4;
+    const width = canvas.width / scale;
+    const measureCtx = canvas.getContext('2d');
+    measureCtx.font = `${fontSize}px ${EXHIBIT_FONT}`;
+    const lines = wrapText(caption, width - padding * 2, text => measureCtx.measureText(text).width);
+
+    const result = document.createElement('canvas');
+    result.width = canvas.width;
+    result.height = canvas.height + Math.round((lines.length * lineHeight + padding * 2) * scale);
+    const ctx = result.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, result.width, result.height);
+    ctx.drawImage(canvas, 0, 0);
+    ctx.setTransform(scale, 0, 0, scale, 0, canvas.height);
+    ctx.fillStyle = '#000000';
+    ctx.font = `${fontSize}px ${EXHIBIT_FONT}`;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    lines.forEach((line, index) => ctx.fillText(line, padding, padding + lineHeight * (index + 0.5)));
+    return result;
+}
+
+// Text as a PDF string in the standard fonts' encoding (Windows-1252); characters it lacks
+// print as '?'
+function toPdfString(text) {
+    let result = '';
+    for (const char of String(text)) {
+        const code = char.codePointAt(0);
+        const byte = code < 0x80 || (code >= 0xa0 && code <= 0xff) ? code : WIN_ANSI_CODES[char] || 0x3f;
+        const encoded = String.fromCharCode(byte);
+        result += encoded === '\\' || encoded === '(' || encoded === ')' ? '\\' + encoded : encoded;
+    }
+    return '(' + result + ')';
+}
+
+// Bytes of a string whose characters are all below 256
+function toPdfBytes(text) {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i);
+    return bytes;
+}
+
+// Build a PDF file. pages: [{ width, height, images, texts }] in points, with
+//   images: [{ jpeg (Uint8Array), pixelWidth, pixelHeight, x, y, width, height }]
+//   texts:  [{ text, x, y, size, bold }]
+// y is measured down from the top of the page (to a text's baseline). Returns a Blob.
+function buildPdf(pages) {
+    const objects = [];
+    const addObject = parts => {
+        objects.push(parts);
+        return objects.length;
+    };
+    const catalog = addObject(null);
+    const pageTree = addObject(null);
+    const font = addObject(['<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>']);
+    const boldFont = addObject(['<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>']);
+
+    const pageIds = pages.map(page => {
+        const images = page.images.map(image => addObject([
+            `<< /Type /XObject /Subtype /Image /Width ${image.pixelWidth} /Height ${image.pixelHeight} ` +
+            `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.jpeg.length} >>\nstream\n`,
+            image.jpeg,
+            '\nendstream'
+        ]));
+        const commands = [];
+        page.images.forEach((image, index) => {
+            commands.push(`q ${image.width} 0 0 ${image.height} ${image.x} ${page.height - image.y - image.height} cm /Im${index} Do Q`);
+        });
+        page.texts.forEach(text => {
+            commands.push(`BT /${text.bold ? 'F2' : 'F1'} ${text.size} Tf ${text.x} ${page.height - text.y} Td ${toPdfString(text.text)} Tj ET`);
+        });
+        const content = commands.join('\n');
+        const contentId = addObject([`<< /Length ${content.length} >>\nstream\n${content}\nendstream`]);
+        const xObjects = images.map((id, index) => `/Im${index} ${id} 0 R`).join(' ');
+        return addObject([
+            `<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${page.width} ${page.height}] ` +
+            `/Resources << /Font << /F1 ${font} 0 R /F2 ${boldFont} 0 R >> /XObject << ${xObjects} >> >> ` +
+            `/Contents ${contentId} 0 R >>`
+        ]);
+    });
+    objects[catalog - 1] = [`<< /Type /Catalog /Pages ${pageTree} 0 R >>`];
+    objects[pageTree - 1] = [`<< /Type /Pages /Kids [${pageIds.map(id => id + ' 0 R').join(' ')}] /Count ${pageIds.length} >>`];
+
+    const chunks = [];
+    let length = 0;
+    const write = part => {
+        const bytes = typeof part === 'string' ? toPdfBytes(part) : part;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+    write('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n');
+    const offsets = objects.map((parts, index) => {
+        const offset = length;
+        write(`${index + 1} 0 obj\n`);
+        parts.forEach(write);
+        write('\nendobj\n');
+        return offset;
+    });
+    const xref = length;
+    write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+        offsets.map(offset => String(offset).padStart(10, '0') + ' 00000 n \n').join(''));
+    write(`trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+    return new Blob(chunks, { type: 'application/pdf' });
+}
+
+// JPEG bytes of a canvas, for PDF pages
+function canvasToJpeg(canvas) {
+    const data = atob(canvas.toDataURL('image/jpeg', 0.92).split(',')[1]);
+    return toPdfBytes(data);
+}
+
+// Lay exhibits out as PDF pages: the title line, the map image as large as fits, the caption
+// below it (continued on further pages when long) and "Page n of m" at the foot.
+// exhibits: [{ canvas, caption }]; measure(text, size) gives the width of Helvetica text.
+function layoutExhibitPages(exhibits, pageSize, title, measure) {
+    const [width, height] = pageSize;
+    const margin = 36;
+    const fontSize = 10;
+    const lineHeight = 13;
+    const textWidth = width - margin * 2;
+    const pages = [];
+    exhibits.forEach(exhibit => {
+        const lines = exhibit.caption ? wrapText(exhibit.caption, textWidth, text => measure(text, fontSize)) : [];
+        const header = { text: title || '', x: margin, y: margin + 12, size: 12, bold: true };
+        const top = margin + 24;
+        const bottom = height - margin - 16;
+        // The caption gets up to a third of the page under the map; the rest runs on
+        const captionLines = Math.min(lines.length, Math.floor((bottom - top) / 3 / lineHeight));
+        const boxHeight = bottom - top - (captionLines > 0 ? captionLines * lineHeight + 8 : 0);
+        const ratio = Math.min(textWidth / exhibit.canvas.width, boxHeight / exhibit.canvas.height);
+        const image = {
+            jpeg: canvasToJpeg(exhibit.canvas),
+            pixelWidth: exhibit.canvas.width,
+            pixelHeight: exhibit.canvas.height,
+            width: exhibit.canvas.width * ratio,
+            height: exhibit.canvas.height * ratio
+        };
+        image.x = margin + (textWidth - image.width) / 2;
+        image.y = top;
+        const texts = [header];
+        let y = top + image.height + 8 + lineHeight;
+        lines.slice(0, captionLines).forEach(line => {
+            texts.push({ text: line, x: margin, y: y, size: fontSize, bold: false });
+            y += lineHeight;
+        });
+        pages.push({ width: width, height: height, images: [image], texts: texts });
+
+        // Caption lines that did not fit, on pages of their own
+        const perPage = Math.floor((bottom - top) / lineHeight);
+        for (let start = captionLines; start < lines.length; start += perPage) {
+            const continued = [{ ...header, text: (title ? title + ' ' : '') + '(continued)' }];
+            lines.slice(start, start + perPage).forEach((line, index) => {
+                continued.push({ text: line, x: margin, y: top + lineHeight * (index + 1), size: fontSize, bold: false });
+            });
+            pages.push({ width: width, height: height, images: [], texts: continued });
+        }
+    });
+    pages.forEach((page, index) => page.texts.push({
+        text: `Page ${index + 1} of ${pages.length}`, x: width - margin - measure(`Page ${index + 1} of ${pages.length}`, 9),
+        y: height - margin + 4, size: 9, bold: false
+    }));
+    return pages;
+}
+
+// Resolve once the event fires on target, or after `timeout` ms
+function waitForEvent(target, type, timeout) {
+    return new Promise(resolve => {
+        const done = () => {
+            clearTimeout(timer);
+            target.off(type, done);
+            resolve();
+        };
+        const timer = setTimeout(done, timeout);
+        target.on(type, done);
+    });
+}
+
+// Exhibit button: exports the current view, or one exhibit per timeline event, as PNG
+// (several PNGs come in a ZIP) or PDF. The legend is read from options.legend (the legend
+// control's element). Fires 'export' ({ format, fileName, count }) and 'exporterror' ({ error }).
+L.Control.ExhibitExport = L.Control.extend({
+    options: {
+        position: 'topleft',
+        title: 'TN v. Zachary Adams',
+        fileName: 'case-map-exhibit',
+        legend: null,
+        // Pixels per CSS pixel in the rendered map; 2 prints sharply
+        scale: 2,
+        pageSize: 'letter',
+        // Longest wait (ms) for each event's time and tiles to load in a batch export
+        loadTimeout: 15000
+    },
+
+    initialize: function(kmlLayer, options) {
+        L.setOptions(this, options);
+        this._kmlLayer = kmlLayer;
+        this._busy = false;
+    },
+
+    onAdd: function(map) {
+        this._map = map;
+        const container = L.DomUtil.create('div', 'exhibit-export leaflet-bar');
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+
+        const button = L.DomUtil.create('a', 'exhibit-export-button', container);
+        button.href = '#';
+        button.title = 'Save the map view as a PNG or PDF exhibit';
+        button.textContent = 'Exhibit';
+
+        const form = L.DomUtil.create('div', 'exhibit-export-form', container);
+        form.style.display = 'none';
+        this._format = L.DomUtil.create('select', '', form);
+        [['pdf', 'PDF'], ['png', 'PNG image']].forEach(([value, label]) => {
+            const option = L.DomUtil.create('option', '', this._format);
+            option.value = value;
+            option.textContent = label;
+        });
+        this._caption = L.DomUtil.create('textarea', '', form);
+        this._caption.rows = 3;
+        this._caption.placeholder = 'Caption or citation';
+        const current = L.DomUtil.create('button', '', form);
+        current.type = 'button';
+        current.textContent = 'Export this view';
+
+        const batch = L.DomUtil.create('div', 'exhibit-export-batch', form);
+        const followLabel = L.DomUtil.create('label', '', batch);
+        this._follow = L.DomUtil.create('input', '', followLabel);
+        this._follow.type = 'checkbox';
+        followLabel.appendChild(document.createTextNode(' Center on each event'));
+        const events = L.DomUtil.create('button', '', batch);
+        events.type = 'button';
+        events.textContent = 'Export each event';
+        this._status = L.DomUtil.create('div', 'exhibit-export-status', form);
+
+        L.DomEvent.on(button, 'click', (e) => {
+            L.DomEvent.preventDefault(e);
+            form.style.display = form.style.display === 'none' ? '' : 'none';
+        });
+        L.DomEvent.on(current, 'click', () => this._run(() => this.exportView(this._format.value, this._caption.value.trim())));
+        L.DomEvent.on(events, 'click', () => this._run(() => this.exportEvents(this._format.value, {
+            caption: this._caption.value.trim(),
+            follow: this._follow.checked
+        })));
+        return container;
+    },
+
+    // Export the current view with a caption
+    exportView: async function(format, caption) {
+        this._setStatus('Rendering…');
+        const exhibit = { canvas: await this._render(), caption: caption };
+        return this._save(format, [exhibit], this.options.fileName);
+    },
+
+    // Export one exhibit per timeline event of the tracks shown, each captioned with the event
+    // and its citation (then options.caption). With options.follow the map is centered on each
+    // event at the current zoom. The time and view are put back afterwards.
+    exportEvents: async function(format, options) {
+        options = options || {};
+        const map = this._map;
+        const events = this._kmlLayer.getTimelineEvents().filter(event => this._kmlLayer.isTrackVisible(event.phone));
+        if (events.length === 0) {
+            throw new Error('No timeline events are shown.');
+        }
+        const savedTime = map.timeDimension.getCurrentTime();
+        const savedView = { center: map.getCenter(), zoom: map.getZoom() };
+        const timeControl = map.timeDimensionControl;
+        if (timeControl && timeControl._player) {
+            timeControl._player.stop();
+        }
+
+        const exhibits = [];
+        try {
+            for (let i = 0; i < events.length; i++) {
+                const event = events[i];
+                this._setStatus(`Rendering event ${i + 1} of ${events.length}…`);
+                await this._showTime(event.timestamp.getTime());
+                if (options.follow) {
+                    map.setView([event.lat, event.lng], map.getZoom(), { animate: false });
+                }
+                await this._waitForTiles();
+                const caption = [getEventExhibitCaption(event), options.caption].filter(text => text).join('\n\n');
+                exhibits.push({ canvas: await this._render(), caption: caption, name: event.id });
+            }
+        } finally {
+            map.setView(savedView.center, savedView.zoom, { animate: false });
+            map.timeDimension.setCurrentTime(savedTime);
+        }
+        return this._save(format, exhibits, this.options.fileName + '-events');
+    },
+
+    _run: async function(task) {
+        if (this._busy) return;
+        this._busy = true;
+        try {
+            await task();
+            this._setStatus('');
+        } catch (error) {
+            console.error(error);
+            this._setStatus(error.message);
+            this.fire('exporterror', { error: error });
+        } finally {
+            this._busy = false;
+        }
+    },
+
+    _setStatus: function(text) {
+        if (this._status) this._status.textContent = text;
+    },
+
+    _render: function() {
+        return renderExhibitCanvas(this._map, {
+            scale: this.options.scale,
+            title: this.options.title,
+            legendItems: collectLegendItems(this.options.legend)
+        });
+    },
+
+    // Seek the player and wait for the layers to load the time
+    _showTime: async function(time) {
+        const timeDimension = this._map.timeDimension;
+        if (timeDimension.getCurrentTime() === time) return;
+        const loaded = waitForEvent(timeDimension, 'timeload', this.options.loadTimeout);
+        timeDimension.setCurrentTime(time);
+        await loaded;
+    },
+
+    // Wait for the tile layers on the map to finish loading
+    _waitForTiles: async function() {
+        const loading = [];
+        this._map.eachLayer(layer => {
+            if (layer instanceof L.GridLayer && layer.isLoading && layer.isLoading()) {
+                loading.push(waitForEvent(layer, 'load', this.options.loadTimeout));
+            }
+        });
+        await Promise.all(loading);
+    },
+
+    _save: async function(format, exhibits, baseName) {
+        let fileName;
+        if (format === 'pdf') {
+            const measureCtx = document.createElement('canvas').getContext('2d');
+            const measure = (text, size) => {
+                measureCtx.font = `${size}px ${EXHIBIT_FONT}`;
+                return measureCtx.measureText(text).width;
+            };
+            const pageSize = EXHIBIT_PAGE_SIZES[this.options.pageSize] || EXHIBIT_PAGE_SIZES.letter;
+            fileName = baseName + '.pdf';
+            downloadBlob(buildPdf(layoutExhibitPages(exhibits, pageSize, this.options.title, measure)), fileName);
+        } else {
+            const images = await Promise.all(exhibits.map(exhibit => new Promise((resolve, reject) => {
+                addCaptionBand(exhibit.canvas, exhibit.caption, this.options.scale).toBlob(blob => {
+                    if (blob) {
+                        resolve(blob);
+                    } else {
+                        reject(new Error('The browser could not encode the image.'));
+                    }
+                }, 'image/png');
+            })));
+            if (images.length === 1) {
+                fileName = baseName + '.png';
+                downloadBlob(images[0], fileName);
+            } else {
+                const zip = new JSZip();
+                images.forEach((image, index) => {
+                    const name = exhibits[index].name ? '-' + toHashSlug(exhibits[index].name) : '';
+                    zip.file(`${String(index + 1).padStart(3, '0')}${name}.png`, image);
+                });
+                fileName = baseName + '.zip';
+                downloadBlob(await zip.generateAsync({ type: 'blob' }), fileName);
+            }
+        }
+        const result = { format: format, fileName: fileName, count: exhibits.length };
+        this.fire('export', result);
+        return result;
+    }
+});
+
+L.Control.ExhibitExport.include(L.Evented.prototype);
+
+L.control.exhibitExport = function(kmlLayer, options) {
+    return new L.Control.ExhibitExport(kmlLayer, options);
+};
+
+// Export functions
+window.getScaleBars = getScaleBars;
+window.wrapText = wrapText;
+window.collectLegendItems = collectLegendItems;
+window.renderExhibitCanvas = renderExhibitCanvas;
+window.buildPdf = buildPdf;
+window.layoutExhibitPages = layoutExhibitPages;
@@ -0,0 +1,223 @@
+/**
+ * KML Balloon Rendering
+ * Expands BalloonStyle <text> templates ($[name], $[description], ExtendedData fields),
+ * sanitizes the resulting HTML against an allowlist so KML cannot run script on the page,
+ * and folds long balloons behind an expandable "more" section
+ */
+
+// Elements kept as they are; anything else is unwrapped (its text is kept)
+const BALLOON_ALLOWED_TAGS = new Set([
+    'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'center', 'code', 'dd', 'div', 'dl', 'dt',
+    'em', 'font', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'li', 'ol', 'p', 'pre',
+    's', 'small', 'span', 'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead',
+    'tr', 'u', 'ul'
+]);
+
+// Elements removed together with their content
+const BALLOON_DROPPED_TAGS = new Set([
+    'applet', 'base', 'embed', 'form', 'frame', 'frameset', 'iframe', 'input', 'link', 'math',
+    'meta', 'noscript', 'object', 'script', 'select', 'style', 'svg', 'template', 'textarea', 'title'
+]);
+
+// Attributes allowed on any kept element (plus href on <a> and src on <img>, checked below)
+const BALLOON_ALLOWED_ATTRIBUTES = new Set([
+    'align', 'alt', 'border', 'cellpadding', 'cellspacing', 'color', 'colspan', 'face', 'height',
+    'rowspan', 'size', 'style', 'title', 'valign', 'width'
+]);
+
+// CSS properties allowed in style attributes
+const BALLOON_ALLOWED_STYLES = /^(color|background(-color)?|font(-[a-z]+)?|text-[a-z]+|line-height|letter-spacing|margin(-[a-z]+)?|padding(-[a-z]+)?|border(-[a-z]+)*|width|height|max-width|max-height|min-width|opacity|vertical-align|white-space|display|list-style(-[a-z]+)?)$/i;
+
+// Longer balloons (in characters of text) get a "more" section
+const BALLOON_COLLAPSE_LENGTH = 400;
+
+// True for http(s), mailto and relative URLs; false for javascript:, data: and other schemes
+function isSafeUrl(url, allowMailto) {
+    const value = String(url || '').trim().replace(/[\u0000-\u001f\s]+/g, '');
+    const scheme = value.match(/^([a-z][a-z0-9+.-]*):/i);
+    if (!scheme) return true;
+    const name = scheme[1].toLowerCase();
+    return name === 'http' || name === 'https' || (allowMailto && name === 'mailto');
+}
+
+// Keep only allowlisted CSS declarations that cannot load URLs or run expressions
+function sanitizeStyle(style) {
+    return String(style || '').split(';')
+        .map(declaration => declaration.trim())
+        .filter(declaration => {
+            const colon = declaration.indexOf(':');
+            if (colon < 1) return false;
+            const property = declaration.slice(0, colon).trim();
+            const value = declaration.slice(colon + 1);
+            return BALLOON_ALLOWED_STYLES.test(property) && !/url\s*\(|expression|javascript:|[<>\\]/i.test(value);
+        })
+        .join('; ');
+}
+
+// Clean a parsed node tree in place
+function sanitizeNode(parent) {
+    Array.from(parent.childNodes).forEach(node => {
+        if (node.nodeType === 3) return;
+        if (node.nodeType !== 1) {
+            node.remove();
+            return;
+        }
+
+        const tag = node.tagName.toLowerCase();
+        if (BALLOON_DROPPED_TAGS.has(tag)) {
+            node.remove();
+            return;
+        }
+        sanitizeNode(node);
+        if (!BALLOON_ALLOWED_TAGS.has(tag)) {
+            node.replaceWith(...Array.from(node.childNodes));
+            return;
+        }
+
+        Array.from(node.attributes).forEach(attribute => {
+            const name = attribute.name.toLowerCase();
+            if (tag === 'a' && name === 'href' && isSafeUrl(attribute.value, true)) return;
+            // blob: images are the embedded pictures of a dropped KMZ archive (see CaseFiles.js)
+            if (tag === 'img' && name === 'src' && (isSafeUrl(attribute.value, false) || /^blob:/i.test(attribute.value))) return;
+            if (name === 'style') {
+                const style = sanitizeStyle(attribute.value);
+                if (style) {
+                    node.setAttribute('style', style);
+                    return;
+                }
+            } else if (BALLOON_ALLOWED_ATTRIBUTES.has(name)) {
+                return;
+            }
+            node.removeAttribute(attribute.name);
+        });
+
+        // Links open outside the map
+        if (tag === 'a' && node.hasAttribute('href')) {
+            node.setAttribute('target', '_blank');
+            node.setAttribute('rel', 'noopener noreferrer');
+        }
+    });
+}
+
+// Parse HTML into an inert fragment (a <template> neither runs scripts nor loads images)
+function parseHtmlFragment(html) {
+    const template = document.createElement('template');
+    template.innerHTML = String(html || '');
+    return template;
+}
+
+// Sanitize HTML against the balloon allowlist
+function sanitizeHtml(html) {
+    const template = parseHtmlFragment(html);
+    sanitizeNode(template.content);
+    return template.innerHTML;
+}
+
+// Expand a BalloonStyle text template. Text values are escaped; $[description] is inserted
+// as HTML and sanitized with the rest of the balloon.
+function expandBalloonTemplate(template, loc) {
+    const fields = loc.extendedData || {};
+    const raw = loc.extendedDataRaw || {};
+    return String(template).replace(/\$\[([^\]]+)\]/g, (entity, key) => {
+        key = key.trim();
+        if (key === 'name') return escapeHtml(loc.name || '');
+        if (key === 'description') return loc.description || '';
+        if (key === 'geDirections' || key === 'address' || key === 'Snippet' || key === 'snippet') return '';
+
+        // $[field/displayName] is the field's label, $[schema/field] and $[field] its value
+        const displayName = key.match(/^(.+)\/displayName$/);
+        if (displayName) return escapeHtml(displayName[1]);
+        if (raw[key] !== undefined) return escapeHtml(raw[key]);
+        if (fields[key] !== undefined) return escapeHtml(fields[key]);
+        return '';
+    });
+}
+
+// True when a template shows ExtendedData values itself
+function balloonShowsExtendedData(template) {
+    return /\$\[(?!name\]|description\]|geDirections\]|address\]|snippet\])[^\]]+\]/i.test(String(template || ''));
+}
+
+// Replace "[cite: ...]" markers in the text of a fragment with citation chips
+function linkCitationsInFragment(root, sourceTitle) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+    textNodes.forEach(node => {
+        if (!/\[cite:/i.test(node.nodeValue)) return;
+        const holder = document.createElement('span');
+        holder.innerHTML = linkCitations(escapeHtml(node.nodeValue), sourceTitle);
+        node.replaceWith(...Array.from(holder.childNodes));
+    });
+}
+
+// Containers a long balloon may be split inside; tables and lists are kept whole
+const BALLOON_SPLIT_CONTAINERS = new Set(['blockquote', 'center', 'div', 'font', 'p', 'span']);
+
+// Move everything after the first `limit` characters of text into a <details> "more" section.
+// The split is made between nodes, so no tag or word is ever cut in half.
+function collapseLongFragment(fragment, limit) {
+    if (fragment.textContent.length <= limit) return;
+
+    // Walk down to the node where the text passes the limit
+    let root = fragment;
+    let budget = limit;
+    let splitNode = null;
+    while (!splitNode) {
+        let length = 0;
+        const crossing = Array.from(root.childNodes).find(node => {
+            if (length + node.textContent.length > budget) return true;
+            length += node.textContent.length;
+            return false;
+        });
+        if (!crossing) return;
+        budget -= length;
+        if (crossing.nodeType === 1 && crossing.childNodes.length > 1 &&
+            BALLOON_SPLIT_CONTAINERS.has(crossing.tagName.toLowerCase())) {
+            root = crossing;
+        } else {
+            splitNode = crossing;
+        }
+    }
+
+    // Fold whatever follows it, at its own level and in each enclosing element
+    const rest = [];
+    for (let node = splitNode; node && node !== fragment; node = node.parentNode) {
+        for (let next = node.nextSibling; next; next = next.nextSibling) {
+            rest.push(next);
+        }
+    }
+    if (!rest.some(node => node.textContent.trim() || (node.nodeType === 1 && node.tagName.toLowerCase() === 'img'))) {
+        return;
+    }
+
+    const details = document.createElement('details');
+    details.className = 'kml-balloon-more';
+    const summary = document.createElement('summary');
+    summary.textContent = 'more';
+    details.appendChild(summary);
+    rest.forEach(node => details.appendChild(node));
+    splitNode.parentNode.insertBefore(details, splitNode.nextSibling);
+}
+
+// Popup HTML for a KML location: its BalloonStyle template (or name and description),
+// sanitized, with citation chips, and long content folded away. footerHtml is trusted markup.
+function renderKmlBalloon(loc, footerHtml) {
+    const style = loc.kmlStyle && loc.kmlStyle.normal;
+    const balloonText = style && style.balloon && style.balloon.text;
+    const body = balloonText
+        ? expandBalloonTemplate(balloonText, loc)
+        : `<b>${escapeHtml(loc.name || '')}</b>` + (loc.description ? `<br>${loc.description}` : '');
+
+    const template = parseHtmlFragment(body);
+    sanitizeNode(template.content);
+    linkCitationsInFragment(template.content, getLocationCitations(loc).sourceTitle);
+    collapseLongFragment(template.content, BALLOON_COLLAPSE_LENGTH);
+    return `<div class="kml-balloon">${template.innerHTML}${footerHtml || ''}</div>`;
+}
+
+// Export functions
+window.sanitizeHtml = sanitizeHtml;
+window.expandBalloonTemplate = expandBalloonTemplate;
+window.balloonShowsExtendedData = balloonShowsExtendedData;
+window.renderKmlBalloon = renderKmlBalloon;
@@ -0,0 +1,106 @@
+/**
+ * KML Folder Layer Tree for Leaflet
+ * Shows the folder hierarchy of a KmlLocations layer as a nested, collapsible
+ * list of checkboxes, starting from the KML <visibility> and <open> values
+ */
+
+L.Control.KmlLayerTree = L.Control.extend({
+    options: {
+        position: 'topleft',
+        title: 'KML Folders',
+        collapsed: true,
+        // List individual placemarks under their folder as well as the folders themselves
+        showPlacemarks: true
+    },
+
+    initialize: function(kmlLayer, options) {
+        L.setOptions(this, options);
+        this._kmlLayer = kmlLayer;
+    },
+
+    onAdd: function(map) {
+        const container = L.DomUtil.create('div', 'kml-layer-tree leaflet-bar');
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+
+        const header = L.DomUtil.create('div', 'kml-layer-tree-header', container);
+        header.textContent = this.options.title;
+
+        this._body = L.DomUtil.create('div', 'kml-layer-tree-body', container);
+        this._checkboxes = [];
+        this._body.appendChild(this._buildNodeList(this._kmlLayer.getFolderTree()));
+
+        if (this.options.collapsed) {
+            L.DomUtil.addClass(container, 'collapsed');
+        }
+        L.DomEvent.on(header, 'click', () => {
+            if (L.DomUtil.hasClass(container, 'collapsed')) {
+                L.DomUtil.removeClass(container, 'collapsed');
+            } else {
+                L.DomUtil.addClass(container, 'collapsed');
+            }
+        });
+
+        this._kmlLayer.on('visibilitychange', this._syncCheckboxes, this);
+        return container;
+    },
+
+    onRemove: function(map) {
+        this._kmlLayer.off('visibilitychange', this._syncCheckboxes, this);
+    },
+
+    _buildNodeList: function(node) {
+        const list = L.DomUtil.create('ul', 'kml-layer-tree-list');
+
+        node.children.forEach(child => {
+            const item = L.DomUtil.create('li', 'kml-layer-tree-folder', list);
+            const details = L.DomUtil.create('details', '', item);
+            details.open = child.folder.open;
+
+            const summary = L.DomUtil.create('summary', '', details);
+            summary.appendChild(this._createCheckbox(
+                child.folder.name,
+                () => this._kmlLayer.isFolderVisible(child.folder),
+                visible => this._kmlLayer.setFolderVisible(child.folder, visible)
+            ));
+
+            details.appendChild(this._buildNodeList(child));
+        });
+
+        if (this.options.showPlacemarks) {
+            node.locations.forEach(loc => {
+                const item = L.DomUtil.create('li', 'kml-layer-tree-placemark', list);
+                item.appendChild(this._createCheckbox(
+                    loc.name,
+                    () => this._kmlLayer.isLocationVisible(loc),
+                    visible => this._kmlLayer.setLocationVisible(loc, visible)
+                ));
+            });
+        }
+
+        return list;
+    },
+
+    _createCheckbox: function(labelText, isChecked, setChecked) {
+        const label = L.DomUtil.create('label', 'kml-layer-tree-label');
+        const checkbox = L.DomUtil.create('input', '', label);
+        checkbox.type = 'checkbox';
+        checkbox.checked = isChecked();
+        label.appendChild(document.createTextNode(' ' + labelText));
+
+        L.DomEvent.on(checkbox, 'change', () => setChecked(checkbox.checked));
+
+        this._checkboxes.push({ checkbox: checkbox, isChecked: isChecked });
+        return label;
+    },
+
+    _syncCheckboxes: function() {
+        this._checkboxes.forEach(entry => {
+            entry.checkbox.checked = entry.isChecked();
+        });
+    }
+});
+
+L.control.kmlLayerTree = function(kmlLayer, options) {
+    return new L.Control.KmlLayerTree(kmlLayer, options);
+};
@@ -3,9 +3,9 @@
  * Parses locations from KML file and creates time-animated markers
  */
 
-// Base date constant: April 13, 2011 at 6:00 AM
+// Base date constant: April 13, 2011 at 6:00 AM in the case time zone (see CaseTime.js)
 // Month is 0-indexed, so 3 = April
-const BASE_DATE = new Date(2011, 3, 13, 6, 0, 0, 0);
+const BASE_DATE = caseDateTime(2011, 3, 13, 6, 0, 0);
 
 // Parse coordinates from KML coordinate string
 function parseCoordinates(coordString) {
@@ -17,7 +17,7 @@ function parseCoordinates(coordString) {
     };
 }
 
-// Parse time string like "8:11 AM" or "9:02am" to a Date object on 04/13/2011
+// Parse time string like "8:11 AM" or "9:02am" to a Date object on the case-time-zone day of baseDate
 function parseTimeOnDate(timeStr, baseDate) {
     if (!timeStr) return null;
     
@@ -31,18 +31,19 @@ function parseTimeOnDate(timeStr, baseDate) {
     
     let hours = parseInt(timeMatch[1]);
     const minutes = timeMatch[2] ? parseInt(timeMatch[2]) : 0;
-    const period = timeMatch[3] || 'am';
+    
+    // "p.m." and "pm" are the same period
+    const period = (timeMatch[3] || 'am').replace(/\./g, '');
     
     // Convert to 24-hour format
-    if (period.toLowerCase().includes('pm') && hours !== 12) {
+    if (period === 'pm' && hours !== 12) {
         hours += 12;
-    } else if (period.toLowerCase().includes('am') && hours === 12) {
+    } else if (period === 'am' && hours === 12) {
         hours = 0;
     }
     
-    const date = new Date(baseDate);
-    date.setHours(hours, minutes, 0, 0);
-    return date;
+    const day = getCaseDateParts(baseDate);
+    return caseDateTime(day.year, day.month, day.day, hours, minutes, 0);
 }
 
 // Extract time from description text
@@ -69,14 +70,689 @@ function extractTimeFromDescription(description) {
     return null;
 }
 
+// Escape text for insertion into popup HTML
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Default Leaflet colors for placemarks that have no resolvable KML style
+const DEFAULT_MARKER_COLOR = '#1976d2';
+const DEFAULT_PATH_COLOR = '#ff5500';
+
+// Google Earth draws icons 32px wide at scale 1
+const KML_ICON_SIZE = 32;
+
+// Get the first direct child element with the given tag name
+function childElement(parent, tagName) {
+    if (!parent) return null;
+    for (let i = 0; i < parent.children.length; i++) {
+        if (parent.children[i].tagName === tagName) {
+            return parent.children[i];
+        }
+    }
+    return null;
+}
+
+// Get the trimmed text of a direct child element, or null if it is missing
+function childText(parent, tagName) {
+    const element = childElement(parent, tagName);
+    return element ? element.textContent.trim() : null;
+}
+
+// Convert a KML aabbggrr color string to a CSS color and opacity
+function parseKmlColor(kmlColor) {
+    if (!kmlColor) return null;
+    const hex = kmlColor.trim().replace(/^#/, '');
+    if (!/^[0-9a-f]{8}$/i.test(hex)) return null;
+    return {
+        color: '#' + hex.slice(6, 8) + hex.slice(4, 6) + hex.slice(2, 4),
+        opacity: parseInt(hex.slice(0, 2), 16) / 255
+    };
+}
+
+// Parse a KML boolean (<fill>, <outline>, <visibility>, <open>), returning null when absent
+function parseKmlBoolean(value) {
+    if (value === null || value === undefined || value === '') return null;
+    return value !== '0' && value.toLowerCase() !== 'false';
+}
+
+// Parse a number, returning null when absent or invalid
+function parseOptionalFloat(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+}
+
+// Read the IconStyle, LineStyle, PolyStyle, LabelStyle and BalloonStyle of a <Style> element
+function parseStyleElement(styleElement) {
+    const style = {};
+    
+    const iconStyle = childElement(styleElement, 'IconStyle');
+    if (iconStyle) {
+        const hotSpot = childElement(iconStyle, 'hotSpot');
+        style.icon = {
+            href: childText(childElement(iconStyle, 'Icon'), 'href'),
+            scale: parseOptionalFloat(childText(iconStyle, 'scale')),
+            color: parseKmlColor(childText(iconStyle, 'color')),
+            hotSpot: hotSpot ? {
+                x: parseFloat(hotSpot.getAttribute('x')) || 0,
+                y: parseFloat(hotSpot.getAttribute('y')) || 0,
+                xunits: hotSpot.getAttribute('xunits') || 'fraction',
+                yunits: hotSpot.getAttribute('yunits') || 'fraction'
+            } : null
+        };
+    }
+    
+    const lineStyle = childElement(styleElement, 'LineStyle');
+    if (lineStyle) {
+        style.line = {
+            color: parseKmlColor(childText(lineStyle, 'color')),
+            width: parseOptionalFloat(childText(lineStyle, 'width'))
+        };
+    }
+    
+    const polyStyle = childElement(styleElement, 'PolyStyle');
+    if (polyStyle) {
+        style.poly = {
+            color: parseKmlColor(childText(polyStyle, 'color')),
+            fill: parseKmlBoolean(childText(polyStyle, 'fill')),
+            outline: parseKmlBoolean(childText(polyStyle, 'outline'))
+        };
+    }
+    
+    const labelStyle = childElement(styleElement, 'LabelStyle');
+    if (labelStyle) {
+        style.label = {
+            color: parseKmlColor(childText(labelStyle, 'color')),
+            scale: parseOptionalFloat(childText(labelStyle, 'scale'))
+        };
+    }
+    
+    const balloonStyle = childElement(styleElement, 'BalloonStyle');
+    if (balloonStyle) {
+        style.balloon = {
+            text: childText(balloonStyle, 'text')
+        };
+    }
+    
+    return style;
+}
+
+// Merge two parsed styles, letting set values in the override win per sub-style field
+function mergeKmlStyles(base, override) {
+    if (!base) return override || null;
+    if (!override) return base;
+    
+    const merged = {};
+    ['icon', 'line', 'poly', 'label', 'balloon'].forEach(key => {
+        if (!base[key] && !override[key]) return;
+        merged[key] = { ...base[key] };
+        Object.keys(override[key] || {}).forEach(field => {
+            const value = override[key][field];
+            if (value !== null && value !== undefined) {
+                merged[key][field] = value;
+            }
+        });
+    });
+    return merged;
+}
+
+// Collect the shared Style, gx:CascadingStyle and StyleMap definitions of a KML document
+function parseKmlStyles(kmlDoc) {
+    const styles = {};
+    const styleMaps = {};
+    
+    const styleElements = kmlDoc.getElementsByTagName('Style');
+    for (let i = 0; i < styleElements.length; i++) {
+        const id = styleElements[i].getAttribute('id');
+        if (id) {
+            styles[id] = parseStyleElement(styleElements[i]);
+        }
+    }
+    
+    // Google Earth writes its styles as gx:CascadingStyle wrappers identified by kml:id
+    const cascadingElements = kmlDoc.getElementsByTagName('gx:CascadingStyle');
+    for (let i = 0; i < cascadingElements.length; i++) {
+        const element = cascadingElements[i];
+        const id = element.getAttribute('kml:id') || element.getAttribute('id');
+        const styleElement = childElement(element, 'Style');
+        if (id && styleElement) {
+            styles[id] = parseStyleElement(styleElement);
+        }
+    }
+    
+    const styleMapElements = kmlDoc.getElementsByTagName('StyleMap');
+    for (let i = 0; i < styleMapElements.length; i++) {
+        const id = styleMapElements[i].getAttribute('id');
+        if (!id) continue;
+        
+        const pairs = {};
+        const pairElements = styleMapElements[i].getElementsByTagName('Pair');
+        for (let j = 0; j < pairElements.length; j++) {
+            const key = childText(pairElements[j], 'key') || 'normal';
+            const inlineStyle = childElement(pairElements[j], 'Style');
+            pairs[key] = {
+                styleUrl: childText(pairElements[j], 'styleUrl'),
+                style: inlineStyle ? parseStyleElement(inlineStyle) : null
+            };
+        }
+        styleMaps[id] = pairs;
+    }
+    
+    return { styles: styles, styleMaps: styleMaps };
+}
+
+// Resolve a styleUrl to a parsed style for the given StyleMap key ('normal' or 'highlight')
+function resolveKmlStyle(styleUrl, styleTable, key, depth) {
+    key = key || 'normal';
+    depth = depth || 0;
+    
+    // Only document-local references (#id) can be resolved; guard against StyleMap cycles
+    if (!styleUrl || styleUrl.charAt(0) !== '#' || depth > 5) return null;
+    const id = styleUrl.substring(1);
+    
+    if (styleTable.styles[id]) {
+        return styleTable.styles[id];
+    }
+    
+    const styleMap = styleTable.styleMaps[id];
+    if (styleMap) {
+        const pair = styleMap[key] || styleMap.normal;
+        if (!pair) return null;
+        return mergeKmlStyles(resolveKmlStyle(pair.styleUrl, styleTable, key, depth + 1), pair.style);
+    }
+    
+    return null;
+}
+
+// Resolve the normal and highlight styles of a placemark, including any inline <Style>
+function resolvePlacemarkStyle(placemark, styleUrl, styleTable) {
+    const inlineElement = childElement(placemark, 'Style');
+    const inlineStyle = inlineElement ? parseStyleElement(inlineElement) : null;
+    const normal = mergeKmlStyles(resolveKmlStyle(styleUrl, styleTable, 'normal'), inlineStyle);
+    const highlight = mergeKmlStyles(resolveKmlStyle(styleUrl, styleTable, 'highlight'), inlineStyle);
+    if (!normal && !highlight) return null;
+    return { normal: normal, highlight: highlight || normal };
+}
+
+// Convert a parsed KML style to Leaflet path options for a 'line' or 'polygon'
+function kmlStyleToPathOptions(style, geometryType) {
+    const line = (style && style.line) || {};
+    const poly = (style && style.poly) || {};
+    
+    // KML defaults: opaque white 1px lines, filled and outlined polygons
+    const lineColor = line.color || { color: '#ffffff', opacity: 1 };
+    const options = {
+        color: lineColor.color,
+        opacity: lineColor.opacity,
+        weight: line.width !== null && line.width !== undefined ? line.width : 1,
+        fill: false
+    };
+    
+    if (geometryType === 'polygon') {
+        const fillColor = poly.color || { color: '#ffffff', opacity: 1 };
+        options.fill = poly.fill !== false;
+        options.fillColor = fillColor.color;
+        options.fillOpacity = fillColor.opacity;
+        options.stroke = poly.outline !== false;
+    }
+    
+    return options;
+}
+
+// Convert a parsed KML IconStyle to a Leaflet icon, or null if it has no image
+function kmlIconToLeafletIcon(iconStyle) {
+    if (!iconStyle || !iconStyle.href) return null;
+    
+    const scale = iconStyle.scale !== null && iconStyle.scale !== undefined ? iconStyle.scale : 1;
+    const size = Math.max(1, Math.round(KML_ICON_SIZE * scale));
+    
+    // Pixel hotSpots refer to the source image; Google Earth icon URLs carry its scale factor
+    const scaleMatch = iconStyle.href.match(/[?&]scale=(\d+(?:\.\d+)?)/);
+    const sourceSize = KML_ICON_SIZE * (scaleMatch ? parseFloat(scaleMatch[1]) : 1);
+    const toFraction = (value, units, inset) => {
+        let fraction = units === 'fraction' ? value : value / sourceSize;
+        // insetPixels count from the top/right edge instead of the bottom/left
+        if (units === 'insetPixels') fraction = 1 - fraction;
+        return inset ? 1 - fraction : fraction;
+    };
+    
+    let anchor = [size / 2, size / 2];
+    if (iconStyle.hotSpot) {
+        const hotSpot = iconStyle.hotSpot;
+        // KML measures y upwards from the bottom edge; Leaflet measures it downwards from the top
+        anchor = [
+            size * toFraction(hotSpot.x, hotSpot.xunits, false),
+            size * toFraction(hotSpot.y, hotSpot.yunits, true)
+        ];
+    }
+    
+    return L.icon({
+        iconUrl: iconStyle.href,
+        iconSize: [size, size],
+        iconAnchor: anchor,
+        popupAnchor: [0, -anchor[1]]
+    });
+}
+
+// Collect the SimpleField display names of each <Schema>, keyed by schema id and field name
+function parseKmlSchemas(kmlDoc) {
+    const schemas = {};
+    const schemaElements = kmlDoc.getElementsByTagName('Schema');
+    for (let i = 0; i < schemaElements.length; i++) {
+        const schemaElement = schemaElements[i];
+        const fields = {};
+        const fieldElements = schemaElement.getElementsByTagName('SimpleField');
+        for (let j = 0; j < fieldElements.length; j++) {
+            const fieldName = fieldElements[j].getAttribute('name');
+            fields[fieldName] = childText(fieldElements[j], 'displayName') || fieldName;
+        }
+        const schema = { name: schemaElement.getAttribute('name'), fields: fields };
+        schemas[schemaElement.getAttribute('id') || schema.name] = schema;
+    }
+    return schemas;
+}
+
+// Read a placemark's ExtendedData as values keyed by display name (e.g. "category"),
+// plus the raw values keyed "schemaName/fieldName" as BalloonStyle templates reference them
+function parseExtendedData(placemark, schemas) {
+    const fields = {};
+    const raw = {};
+    const extendedElement = childElement(placemark, 'ExtendedData');
+    if (!extendedElement) return { fields: fields, raw: raw };
+    
+    const schemaDataElements = extendedElement.getElementsByTagName('SchemaData');
+    for (let i = 0; i < schemaDataElements.length; i++) {
+        const schemaUrl = schemaDataElements[i].getAttribute('schemaUrl') || '';
+        const schemaId = schemaUrl.replace(/^#/, '');
+        const schema = schemas[schemaId] || { name: schemaId, fields: {} };
+        const simpleDataElements = schemaDataElements[i].getElementsByTagName('SimpleData');
+        for (let j = 0; j < simpleDataElements.length; j++) {
+            const fieldName = simpleDataElements[j].getAttribute('name');
+            const value = simpleDataElements[j].textContent.trim();
+            raw[schema.name + '/' + fieldName] = value;
+            if (value) {
+                fields[schema.fields[fieldName] || fieldName] = value;
+            }
+        }
+    }
+    
+    // Untyped <Data name="..."><value>...</value></Data> pairs
+    const dataElements = extendedElement.getElementsByTagName('Data');
+    for (let i = 0; i < dataElements.length; i++) {
+        const dataName = dataElements[i].getAttribute('name');
+        const value = childText(dataElements[i], 'value') || '';
+        raw[dataName] = value;
+        if (value) {
+            fields[childText(dataElements[i], 'displayName') || dataName] = value;
+        }
+    }
+    
+    return { fields: fields, raw: raw };
+}
+
+// Parse an event_date value such as "2011-04-13" or "2011-04-13T08:11"
+function parseEventDate(value) {
+    if (!value) return null;
+    const match = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+    if (!match) return null;
+    return {
+        year: parseInt(match[1]),
+        month: parseInt(match[2]) - 1,
+        day: parseInt(match[3]),
+        hasTime: match[4] !== undefined,
+        hours: match[4] !== undefined ? parseInt(match[4]) : 0,
+        minutes: match[5] !== undefined ? parseInt(match[5]) : 0,
+        seconds: match[6] !== undefined ? parseInt(match[6]) : 0
+    };
+}
+
+// Parse a KML <when>/<begin>/<end> dateTime ("2011-04-13", "2011-04-13T08:11:00Z", ...).
+// Dates and times without a UTC offset are wall-clock times in the case time zone.
+function parseKmlWhen(value) {
+    if (!value) return null;
+    const text = value.trim();
+    const local = parseEventDate(text);
+    if (local && /^\d{4}-\d{2}-\d{2}(?:[T ]\d{1,2}:\d{2}(?::\d{2}(?:\.\d+)?)?)?$/.test(text)) {
+        return caseDateTime(local.year, local.month, local.day, local.hours, local.minutes, local.seconds);
+    }
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// Read a placemark's <TimeStamp> or <TimeSpan> as { begin, end } dates, or null. Views
+// (<LookAt>, <Camera>) carry theirs as <gx:TimeStamp> or <gx:TimeSpan>.
+function parseKmlTimePrimitive(placemark) {
+    const timeStamp = childElement(placemark, 'TimeStamp') || childElement(placemark, 'gx:TimeStamp');
+    if (timeStamp) {
+        const when = parseKmlWhen(childText(timeStamp, 'when'));
+        return when ? { begin: when, end: when, type: 'TimeStamp' } : null;
+    }
+    const timeSpan = childElement(placemark, 'TimeSpan') || childElement(placemark, 'gx:TimeSpan');
+    if (timeSpan) {
+        const begin = parseKmlWhen(childText(timeSpan, 'begin'));
+        const end = parseKmlWhen(childText(timeSpan, 'end'));
+        return begin || end ? { begin: begin || end, end: end || begin, type: 'TimeSpan' } : null;
+    }
+    return null;
+}
+
+// Read the <LookAt> or <Camera> of a placemark, document, folder or tour <gx:FlyTo>:
+//   { type: 'LookAt', lat, lng, altitude, range, heading, tilt, fovy, altitudeMode, time }
+// A Camera has no range; its altitude is how far above the ground it looks down from.
+// fovy (<gx:fovy>, the vertical field of view in degrees) and time ({ begin, end } from
+// <gx:TimeStamp>/<gx:TimeSpan>) are null when not given. Returns null without a usable view.
+function parseKmlView(parent) {
+    const element = childElement(parent, 'LookAt') || childElement(parent, 'Camera');
+    if (!element) return null;
+    const lat = parseOptionalFloat(childText(element, 'latitude'));
+    const lng = parseOptionalFloat(childText(element, 'longitude'));
+    if (lat === null || lng === null) return null;
+    return {
+        type: element.tagName,
+        lat: lat,
+        lng: lng,
+        altitude: parseOptionalFloat(childText(element, 'altitude')) || 0,
+        range: parseOptionalFloat(childText(element, 'range')),
+        heading: parseOptionalFloat(childText(element, 'heading')) || 0,
+        tilt: parseOptionalFloat(childText(element, 'tilt')) || 0,
+        fovy: parseOptionalFloat(childText(element, 'gx:fovy')),
+        altitudeMode: parseAltitudeMode(element),
+        time: parseKmlTimePrimitive(element)
+    };
+}
+
+// Fill in missing vertex times (null) along a line from the nearest known times on either
+// side, in proportion to distance travelled. Vertices before the first or after the last
+// known time stay null, since nothing says when the phone was there.
+function interpolateVertexTimes(coords, times) {
+    const result = times.map(time => (time instanceof Date ? time.getTime() : time));
+    const known = [];
+    result.forEach((time, index) => {
+        if (time !== null && time !== undefined && !isNaN(time)) known.push(index);
+        else result[index] = null;
+    });
+    
+    for (let k = 0; k < known.length - 1; k++) {
+        const from = known[k];
+        const to = known[k + 1];
+        if (to - from < 2) continue;
+        
+        const distances = [0];
+        for (let i = from + 1; i <= to; i++) {
+            distances.push(distances[distances.length - 1] +
+                L.latLng(coords[i - 1].lat, coords[i - 1].lng).distanceTo([coords[i].lat, coords[i].lng]));
+        }
+        const total = distances[distances.length - 1];
+        for (let i = from + 1; i < to; i++) {
+            const fraction = total > 0 ? distances[i - from] / total : (i - from) / (to - from);
+            result[i] = result[from] + (result[to] - result[from]) * fraction;
+        }
+    }
+    return result;
+}
+
+// Portion of a timed line reached at `time`: { latlngs, head, moving }, or null before it starts.
+// The head is interpolated between the two vertices the time falls between.
+function getTimedLinePosition(latlngs, times, time) {
+    if (latlngs.length === 0 || time < times[0]) return null;
+    for (let i = 0; i < latlngs.length - 1; i++) {
+        if (time < times[i + 1]) {
+            const span = times[i + 1] - times[i];
+            const fraction = span > 0 ? (time - times[i]) / span : 0;
+            const head = [
+                latlngs[i][0] + (latlngs[i + 1][0] - latlngs[i][0]) * fraction,
+                latlngs[i][1] + (latlngs[i + 1][1] - latlngs[i][1]) * fraction
+            ];
+            return { latlngs: latlngs.slice(0, i + 1).concat([head]), head: head, moving: true };
+        }
+    }
+    return { latlngs: latlngs, head: latlngs[latlngs.length - 1], moving: false };
+}
+
+// Work out a placemark's timestamp. A KML TimeStamp/TimeSpan wins, then the ExtendedData
+// event_date; the description text is only consulted for a time of day.
+function resolveLocationTime(extendedData, description, kmlTime) {
+    if (kmlTime) {
+        return {
+            timestamp: kmlTime.begin,
+            timeStr: null,
+            timeSource: kmlTime.type
+        };
+    }
+    
+    const eventDate = parseEventDate(extendedData.event_date);
+    
+    if (eventDate && eventDate.hasTime) {
+        return {
+            timestamp: caseDateTime(eventDate.year, eventDate.month, eventDate.day,
+                eventDate.hours, eventDate.minutes, eventDate.seconds),
+            timeStr: extendedData.event_date,
+            timeSource: 'event_date'
+        };
+    }
+    
+    const timeStr = extractTimeFromDescription(description);
+    if (eventDate) {
+        const day = caseDateTime(eventDate.year, eventDate.month, eventDate.day, 0, 0, 0);
+        return {
+            timestamp: timeStr ? parseTimeOnDate(timeStr, day) : day,
+            timeStr: timeStr,
+            timeSource: timeStr ? 'event_date+description' : 'event_date'
+        };
+    }
+    
+    return {
+        timestamp: parseTimeOnDate(timeStr, BASE_DATE),
+        timeStr: timeStr,
+        timeSource: timeStr ? 'description' : null
+    };
+}
+
+// KML geometry elements, by tag name without namespace prefix (gx:Track is "Track")
+const KML_GEOMETRY_TAGS = ['Point', 'LineString', 'LinearRing', 'Polygon', 'MultiGeometry', 'Model', 'Track', 'MultiTrack'];
+
+// Tag name of a KML element without its namespace prefix
+function localTagName(element) {
+    return element.tagName.replace(/^.*:/, '');
+}
+
+// Parse a <coordinates> list ("lng,lat[,alt] lng,lat[,alt] ...") into vertices
+function parseCoordinateList(coordElement) {
+    if (!coordElement) return [];
+    return coordElement.textContent.trim().split(/\s+/)
+        .filter(c => c.length > 0)
+        .map(parseCoordinates)
+        .filter(coord => !isNaN(coord.lat) && !isNaN(coord.lng));
+}
+
+// Read a geometry's <altitudeMode> or <gx:altitudeMode> (KML default: clampToGround)
+function parseAltitudeMode(element) {
+    return childText(element, 'altitudeMode') || childText(element, 'gx:altitudeMode') || 'clampToGround';
+}
+
+// Parse a KML geometry element into a nested geometry record:
+//   { type: 'Point', coord }                          coord is { lat, lng, alt }
+//   { type: 'LineString' | 'LinearRing', coords }
+//   { type: 'Polygon', outer, inner: [ring, ...] }   holes from <innerBoundaryIs>
+//   { type: 'Track', coords }                         each vertex also has a `time` (or null)
+//   { type: 'Model', coord, href }                    drawn at its <Location>
+//   { type: 'MultiGeometry', geometries: [...] }
+//   { type: 'MultiTrack', geometries: [Track, ...], interpolate }
+// Every geometry except the multi types carries its altitudeMode. Returns null for
+// unknown or empty elements.
+function parseKmlGeometry(element) {
+    const type = localTagName(element);
+    const altitudeMode = parseAltitudeMode(element);
+    
+    if (type === 'Point') {
+        const coords = parseCoordinateList(childElement(element, 'coordinates'));
+        return coords.length > 0 ? { type: type, coord: coords[0], altitudeMode: altitudeMode } : null;
+    }
+    
+    if (type === 'LineString' || type === 'LinearRing') {
+        const coords = parseCoordinateList(childElement(element, 'coordinates'));
+        return coords.length > 1 ? { type: type, coords: coords, altitudeMode: altitudeMode } : null;
+    }
+    
+    if (type === 'Polygon') {
+        const ringOf = boundary => parseCoordinateList(childElement(childElement(boundary, 'LinearRing'), 'coordinates'));
+        const outer = ringOf(childElement(element, 'outerBoundaryIs'));
+        if (outer.length < 3) return null;
+        const inner = Array.from(element.children)
+            .filter(child => child.tagName === 'innerBoundaryIs')
+            .map(ringOf)
+            .filter(ring => ring.length >= 3);
+        return { type: type, outer: outer, inner: inner, altitudeMode: altitudeMode };
+    }
+    
+    if (type === 'Track') {
+        // <when> and <gx:coord> elements pair up in document order
+        const children = Array.from(element.children);
+        const whens = children.filter(child => child.tagName === 'when');
+        const coords = [];
+        children.filter(child => localTagName(child) === 'coord').forEach((coordElement, index) => {
+            const [lng, lat, alt] = coordElement.textContent.trim().split(/\s+/).map(parseFloat);
+            if (isNaN(lat) || isNaN(lng)) return;
+            coords.push({
+                lng: lng,
+                lat: lat,
+                alt: alt || 0,
+                time: whens[index] ? parseKmlWhen(whens[index].textContent) : null
+            });
+        });
+        return coords.length > 0 ? { type: type, coords: coords, altitudeMode: altitudeMode } : null;
+    }
+    
+    if (type === 'Model') {
+        const location = childElement(element, 'Location');
+        const lat = parseOptionalFloat(childText(location, 'latitude'));
+        const lng = parseOptionalFloat(childText(location, 'longitude'));
+        if (lat === null || lng === null) return null;
+        const link = childElement(element, 'Link');
+        return {
+            type: type,
+            coord: { lat: lat, lng: lng, alt: parseOptionalFloat(childText(location, 'altitude')) || 0 },
+            href: childText(link, 'href'),
+            altitudeMode: altitudeMode
+        };
+    }
+    
+    if (type === 'MultiGeometry' || type === 'MultiTrack') {
+        const geometries = Array.from(element.children)
+            .filter(child => KML_GEOMETRY_TAGS.includes(localTagName(child)))
+            .map(parseKmlGeometry)
+            .filter(geometry => geometry);
+        if (geometries.length === 0) return null;
+        const geometry = { type: type, geometries: geometries };
+        if (type === 'MultiTrack') {
+            geometry.interpolate = parseKmlBoolean(childText(element, 'gx:interpolate')) === true;
+        }
+        return geometry;
+    }
+    
+    return null;
+}
+
+// Parse the geometry that is a direct child of a placemark, or null if it has none
+function parsePlacemarkGeometry(placemark) {
+    const element = Array.from(placemark.children).find(child => KML_GEOMETRY_TAGS.includes(localTagName(child)));
+    return element ? parseKmlGeometry(element) : null;
+}
+
+// The single (non-multi) geometries inside a geometry, in document order
+function flattenGeometry(geometry) {
+    if (geometry.geometries) {
+        return geometry.geometries.reduce((parts, part) => parts.concat(flattenGeometry(part)), []);
+    }
+    return [geometry];
+}
+
+// Location type for a geometry: 'point', 'line', 'polygon', or 'multi' for a
+// MultiGeometry/MultiTrack with more than one part
+function getGeometryLocationType(geometry) {
+    const parts = flattenGeometry(geometry);
+    if (parts.length > 1) return 'multi';
+    const type = parts[0].type;
+    if (type === 'Point' || type === 'Model') return 'point';
+    if (type === 'Polygon') return 'polygon';
+    return 'line';
+}
+
+// A location's `coords`: the vertex for a point, the vertices of a line, the outer
+// ring of a polygon, or every vertex of every part for a multi-part placemark
+function getGeometryLocationCoords(geometry) {
+    const parts = flattenGeometry(geometry);
+    const vertices = parts.map(part => part.coord ? [part.coord] : (part.outer || part.coords));
+    if (parts.length === 1) {
+        return parts[0].coord || vertices[0];
+    }
+    return vertices.reduce((all, coords) => all.concat(coords), []);
+}
+
+// Map position that stands for a location: its point, the first point of a multi-part
+// placemark, or else the center of its vertices
+function getLocationLatLng(loc) {
+    const point = loc.geometry
+        ? flattenGeometry(loc.geometry).find(part => part.coord)
+        : (loc.type === 'point' ? { coord: loc.coords } : null);
+    if (point) {
+        return L.latLng(point.coord.lat, point.coord.lng);
+    }
+    return loc.coords.length > 0 ? L.latLngBounds(loc.coords.map(c => [c.lat, c.lng])).getCenter() : null;
+}
+
+// Get the innermost Folder around a KML element as a { id, name, path, visibility, open, parent }
+// record, creating records for its ancestor folders on first use
+function getKmlFolder(element, folderCache) {
+    let node = element.parentNode;
+    while (node && node.nodeType === 1 && node.tagName !== 'Folder') {
+        node = node.parentNode;
+    }
+    if (!node || node.nodeType !== 1) return null;
+    if (folderCache.has(node)) return folderCache.get(node);
+    
+    const parent = getKmlFolder(node, folderCache);
+    const name = childText(node, 'name') || 'Untitled Folder';
+    const folder = {
+        id: node.getAttribute('id') || 'folder-' + folderCache.size,
+        name: name,
+        path: parent ? parent.path.concat(name) : [name],
+        // KML defaults: folders are visible and collapsed
+        visibility: parseKmlBoolean(childText(node, 'visibility')) !== false,
+        open: parseKmlBoolean(childText(node, 'open')) === true,
+        parent: parent
+    };
+    folderCache.set(node, folder);
+    return folder;
+}
+
 // Main function to parse KML content and create location data
 async function parseKmlLocations(kmlUrl) {
     const response = await fetch(kmlUrl);
+    if (!response.ok) {
+        throw new Error(`Could not load ${kmlUrl}: ${response.status} ${response.statusText}`);
+    }
     const kmlText = await response.text();
-    
+    return parseKmlText(kmlText);
+}
+
+// Parse KML source text into location data
+function parseKmlText(kmlText) {
     const parser = new DOMParser();
     const kmlDoc = parser.parseFromString(kmlText, 'text/xml');
+    if (kmlDoc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Invalid KML: ' + kmlDoc.getElementsByTagName('parsererror')[0].textContent.trim());
+    }
     
+    const styleTable = parseKmlStyles(kmlDoc);
+    const schemas = parseKmlSchemas(kmlDoc);
+    const folderCache = new Map();
     const locations = [];
     const placemarks = kmlDoc.getElementsByTagName('Placemark');
     
@@ -84,282 +760,643 @@ async function parseKmlLocations(kmlUrl) {
         const placemark = placemarks[i];
         
         // Get name
-        const nameElement = placemark.getElementsByTagName('name')[0];
+        const nameElement = childElement(placemark, 'name');
         const name = nameElement ? nameElement.textContent : 'Unknown';
         
         // Get description
-        const descElement = placemark.getElementsByTagName('description')[0];
+        const descElement = childElement(placemark, 'description');
         const description = descElement ? descElement.textContent : '';
         
         // Get styleUrl
-        const styleElement = placemark.getElementsByTagName('styleUrl')[0];
-        const styleUrl = styleElement ? styleElement.textContent : '';
-        
-        // Get Point coordinates
-        const pointElement = placemark.getElementsByTagName('Point')[0];
-        if (pointElement) {
-            const coordElement = pointElement.getElementsByTagName('coordinates')[0];
-            if (coordElement) {
-                const coords = parseCoordinates(coordElement.textContent);
-                
-                // Try to extract time from description
-                const timeStr = extractTimeFromDescription(description);
-                const timestamp = parseTimeOnDate(timeStr, BASE_DATE);
-                
-                locations.push({
-                    type: 'point',
-                    name: name,
-                    description: description,
-                    coords: coords,
-                    timestamp: timestamp,
-                    timeStr: timeStr,
-                    style: styleUrl
-                });
-            }
-        }
+        const styleElement = childElement(placemark, 'styleUrl');
+        const styleUrl = styleElement ? styleElement.textContent.trim() : '';
+        const kmlStyle = resolvePlacemarkStyle(placemark, styleUrl, styleTable);
         
-        // Get LineString coordinates (for GPS trails)
-        const lineElements = placemark.getElementsByTagName('LineString');
-        for (let j = 0; j < lineElements.length; j++) {
-            const lineElement = lineElements[j];
-            const coordElement = lineElement.getElementsByTagName('coordinates')[0];
-            if (coordElement) {
-                const coordsText = coordElement.textContent.trim();
-                const coordLines = coordsText.split(/\s+/).filter(c => c.length > 0);
-                const lineCoords = coordLines.map(parseCoordinates);
-                
-                locations.push({
-                    type: 'line',
-                    name: name,
-                    description: description,
-                    coords: lineCoords,
-                    timestamp: null,
-                    style: styleUrl
-                });
-            }
-        }
+        // Get the enclosing folder and the placemark's own <visibility>
+        const folder = getKmlFolder(placemark, folderCache);
+        const visibility = parseKmlBoolean(childText(placemark, 'visibility')) !== false;
         
-        // Get Polygon coordinates (for areas)
-        const polygonElements = placemark.getElementsByTagName('Polygon');
-        for (let j = 0; j < polygonElements.length; j++) {
-            const polyElement = polygonElements[j];
-            const coordElement = polyElement.getElementsByTagName('coordinates')[0];
-            if (coordElement) {
-                const coordsText = coordElement.textContent.trim();
-                const coordLines = coordsText.split(/\s+/).filter(c => c.length > 0);
-                const polyCoords = coordLines.map(parseCoordinates);
-                
-                locations.push({
-                    type: 'polygon',
-                    name: name,
-                    description: description,
-                    coords: polyCoords,
-                    timestamp: null,
-                    style: styleUrl
-                });
-            }
-        }
+        // Get ExtendedData (category, event_date, cite_lines, source_title, precision)
+        const extendedData = parseExtendedData(placemark, schemas);
+        const kmlTime = parseKmlTimePrimitive(placemark);
+        const timeInfo = resolveLocationTime(extendedData.fields, description, kmlTime);
+        const approximate = /approx/i.test(extendedData.fields.precision || '');
+        
+        // Get the placemark's geometry, with MultiGeometry parts kept together
+        const geometry = parsePlacemarkGeometry(placemark);
+        if (!geometry) continue;
+        
+        locations.push({
+            type: getGeometryLocationType(geometry),
+            name: name,
+            description: description,
+            geometry: geometry,
+            coords: getGeometryLocationCoords(geometry),
+            timestamp: timeInfo.timestamp,
+            timeStr: timeInfo.timeStr,
+            timeSource: timeInfo.timeSource,
+            timeSpan: kmlTime,
+            style: styleUrl,
+            kmlStyle: kmlStyle,
+            folder: folder,
+            folderPath: folder ? folder.path : [],
+            visibility: visibility,
+            lookAt: parseKmlView(placemark),
+            extendedData: extendedData.fields,
+            extendedDataRaw: extendedData.raw,
+            approximate: approximate
+        });
     }
     
     return locations;
 }
 
-// Define the timeline events with specific timestamps from the case
-// Comprehensive cell phone timeline data from court documents and post-conviction filings
-function getTimelineEvents() {
-    
-    const events = [
-        // Timeline start
-        { time: '6:00', label: 'Timeline Start', lat: 35.6792874, lng: -88.1758007, phone: 'timeline' },
-        
-        // Abduction events
-        { time: '7:45', label: 'Abduction - Screaming heard at Bobo Residence', lat: 35.6785775930745, lng: -88.17477273224679, phone: 'event' },
-        { time: '7:50', label: 'Holly Bobo seen walking into woods', lat: 35.6792874, lng: -88.1758007, phone: 'event' },
-        
-        // HOLLY BOBO'S CELL PHONE - Source: Cell phone tracking exhibit
-        { time: '8:00', label: '[Holly] Cell phone departs Bobo Residence', lat: 35.67957104790676, lng: -88.17468256470195, phone: 'holly' },
-        { time: '8:11', label: '[Holly] CR 1253 Sector 1 - Henderson County area', lat: 35.76346036385862, lng: -88.19034415007265, phone: 'holly' },
-        { time: '8:16', label: '[Holly] CR 1096 Sector 2 - Moving northward', lat: 35.78, lng: -88.15, phone: 'holly' },
-        { time: '8:26', label: '[Holly] CR 1096 Shiloh Road Tower Sector 1 (start) - Natchez Trace area', lat: 35.80728968907157, lng: -88.1216288597432, phone: 'holly' },
-        { time: '8:30', label: '[Holly] Phone pings near remains site - undermines State theory', lat: 35.8215758, lng: -88.16926100000001, phone: 'holly' },
-        { time: '8:56', label: '[Holly] CR 1096 Shiloh Road Tower Sector 1 (end) - 30 min in area', lat: 35.80728968907157, lng: -88.1216288597432, phone: 'holly' },
-        { time: '9:00', label: '[Holly] Exit route: CR 1096 Sec 1 → CR 3152 Sec 3', lat: 35.83, lng: -88.13, phone: 'holly' },
-        { time: '9:02', label: '[Holly] CR 3152 Sector 3 - Benton County', lat: 35.842345623928, lng: -88.1276129764545, phone: 'holly' },
-        { time: '9:06', label: '[Holly] CR 3152 Sector 3 - Continuing in area', lat: 35.82094274393113, lng: -88.13629720440629, phone: 'holly' },
-        { time: '9:10', label: '[Holly] CR 3152 Sector 2 - Near marker 17', lat: 35.8285377036733, lng: -88.0218543180404, phone: 'holly' },
-        { time: '9:25', label: '[Holly] CR 1257 Sector 3 - Creek Gooch Road (lunchbox/notebook found)', lat: 35.75837617082156, lng: -88.17459209850702, phone: 'holly' },
-        
-        // ZACHARY ADAMS & JASON AUTRY CELL PHONES - Source: Reeves Affidavit
-        { time: '9:42', label: '[Adams/Autry] Birdsong Tower East Sector 39077 - First recorded use', lat: 35.8680952, lng: -87.9434109, phone: 'adams' },
-        { time: '9:50', label: '[Adams/Autry] Birdsong Tower East Sector 39077 - NE of dividing line', lat: 35.8680952, lng: -87.9434109, phone: 'adams' },
-        { time: '10:32', label: '[Adams/Autry] Birdsong Tower East Sector 39077 - Last east sector use', lat: 35.8680952, lng: -87.9434109, phone: 'adams' },
-        { time: '10:35', label: '[Adams/Autry] Birdsong Tower West Sector 39079 - Bypassed south 39078!', lat: 35.8680952, lng: -87.9434109, phone: 'adams' },
-        { time: '10:37', label: '[Adams/Autry] Birdsong Tower West Sector 39079 - Last west sector use', lat: 35.8680952, lng: -87.9434109, phone: 'adams' },
-        { time: '10:38', label: '[Adams] Home tower - Only possible via I-40, not backroads', lat: 35.8214583, lng: -88.0837789, phone: 'adams' },
-        
-        // ATM VIDEO EVIDENCE - Source: Post-Conviction Filing
-        { time: '11:12', label: '[Adams] ATM Video - Adams, Dylan Adams, Shayne Austin at CB&S Bank', lat: 35.6492403, lng: -88.1279471, phone: 'evidence' },
-        
-        // Continued activity
-        { time: '12:35', label: '[Adams] Cell phone still in Parsons area', lat: 35.6492403, lng: -88.1279471, phone: 'adams' },
-    ];
-    
-    return events.map(event => {
-        const [hours, minutes] = event.time.split(':').map(Number);
-        const timestamp = new Date(BASE_DATE);
-        timestamp.setHours(hours, minutes, 0, 0);
-        return {
-            ...event,
-            timestamp: timestamp
-        };
-    });
-}
+// Timeline tracks: marker color and legend label for each event `phone` value
+const PHONE_TRACKS = {
+    holly: { color: '#e91e63', label: "Holly Bobo's Phone" },
+    adams: { color: '#2196f3', label: 'Adams/Autry Phones' },
+    evidence: { color: '#4caf50', label: 'Video Evidence (ATM)' },
+    event: { color: '#ff5722', label: 'Events' },
+    timeline: { color: '#9e9e9e', label: 'Timeline' }
+};
+
+// Colors handed out in turn to phones not listed above (e.g. numbers from a CDR import)
+const EXTRA_TRACK_COLORS = ['#9c27b0', '#009688', '#795548', '#3f51b5', '#827717', '#607d8b'];
 
 // Create a TimeDimension layer for KML locations
 L.TimeDimension.Layer.KmlLocations = L.TimeDimension.Layer.extend({
     
+    options: {
+        // Fade a phone's marker out over this many ms after its last ping; null keeps it
+        trackFadeAfter: 30 * 60 * 1000,
+        // Event categories drawn as a marker only, without a breadcrumb line
+        markerOnlyPhones: ['timeline', 'event', 'evidence'],
+        // Sidecar vertex times for the GPS trail (see setTrailTimes)
+        trailTimes: null,
+        // KmlLocations layer whose timeline this layer's times are merged into (used for
+        // dropped case files); null makes this layer set the player's times itself
+        timelineOwner: null,
+        // Part in the player's times (see TIME_ROLES); null: 'contributor' with a timelineOwner,
+        // otherwise 'primary'
+        timeRole: null
+    },
+    
+    // timelineEvents is either an array of loaded events or the URL of a CSV/JSON/KML events file
     initialize: function(locations, timelineEvents, options) {
         L.TimeDimension.Layer.prototype.initialize.call(this, L.layerGroup(), options);
         
         this._locations = locations;
-        this._timelineEvents = timelineEvents;
+        this._timelineEvents = [];
+        this._availableTimes = [];
         this._markers = {};
+        this._placemarkLayers = null;
+        this._folderVisibility = new Map();
+        this._locationVisibility = new Map();
         this._staticLayers = L.layerGroup();
         this._animatedMarkers = L.layerGroup();
         this._gpsTrailLayer = L.layerGroup();
         this._currentMarker = null;
         this._trailPolyline = null;
         this._trailPoints = [];
-        
-        // Sort timeline events by time
-        this._timelineEvents.sort((a, b) => a.timestamp - b.timestamp);
+        this._sectorWedges = new Map();
+        this._trackVisibility = new Map();
+        this._trackColors = new Map();
+        this.setTowers((options && options.towers) || []);
         
         // Extract GPS trail coordinates from locations
         this._extractGpsTrail();
         
-        // Create available times from events
-        this._availableTimes = this._timelineEvents.map(e => e.timestamp.getTime());
+        if (typeof timelineEvents === 'string') {
+            this._loadTimelineEvents(timelineEvents);
+        } else {
+            this.setTimelineEvents(timelineEvents || []);
+        }
+    },
+    
+    _loadTimelineEvents: function(url) {
+        loadTimelineEvents(url).then(events => {
+            this.setTimelineEvents(events);
+        }).catch(error => {
+            console.error('Error loading timeline events:', error);
+            this.fire('timelineerror', { error: error });
+        });
+    },
+    
+    getTimelineEvents: function() {
+        return this._timelineEvents;
+    },
+    
+    // Replace the timeline events and the times the player steps through
+    setTimelineEvents: function(events) {
+        // Sort timeline events by time
+        this._timelineEvents = events.slice().sort((a, b) => a.timestamp - b.timestamp);
+        
+        this._refreshAvailableTimes();
+        this.fire('timelineload', { events: this._timelineEvents });
+        return this;
+    },
+    
+    // Times the player steps through: every event, plus the vertex times of timed GPS
+    // trail segments so the trail head moves with the clock
+    _refreshAvailableTimes: function() {
+        const times = new Set(this._timelineEvents.map(e => e.timestamp.getTime()));
+        this._gpsTrailSegments.forEach(segment => segment.times.forEach(time => times.add(time)));
+        this._availableTimes = Array.from(times).sort((a, b) => a - b);
+        
+        if (this._map) {
+            this._setAvailableTimes();
+        }
+    },
+
+    // Merge more events (e.g. an imported CDR file) into the timeline; events whose id is
+    // already present replace the earlier copy, so re-importing a file does not duplicate it
+    addTimelineEvents: function(events) {
+        const ids = new Set(events.map(e => e.id));
+        const kept = this._timelineEvents.filter(e => !ids.has(e.id));
+        return this.setTimelineEvents(kept.concat(events));
+    },
+
+    // Tower/sector table (see towers.json) used to place pings that name a tower and sector
+    setTowers: function(towers) {
+        this._towers = towers;
+        this._sectorIndex = buildSectorIndex(towers);
+        this._sectorWedges.clear();
+        if (this._map) {
+            this._update();
+        }
+        return this;
+    },
+    
+    // Coverage area for an event that names a tower and sector (or gives an azimuth):
+    // { latlngs, label, approximate } or null for events that are plain points.
+    // The KML "Sector X Wedge" under the tower's folder wins, then the tower table, then the
+    // azimuth/beamwidth/range given on the event itself.
+    getEventSector: function(event) {
+        const key = [event.tower, event.sector, event.azimuth, event.beamwidth, event.range, event.lat, event.lng].join('|');
+        if (!this._sectorWedges.has(key)) {
+            this._sectorWedges.set(key, this._resolveEventSector(event));
+        }
+        return this._sectorWedges.get(key);
+    },
+    
+    _resolveEventSector: function(event) {
+        if (event.tower && event.sector) {
+            const entry = lookupSector(this._sectorIndex, event.tower, event.sector);
+            const kmlTower = entry ? (entry.tower.kmlFolder || entry.tower.name) : event.tower;
+            const kmlSector = entry && entry.sector.kmlSector ? entry.sector.kmlSector : event.sector;
+            const wedge = findKmlSectorWedge(this._locations, kmlTower, kmlSector);
+            if (wedge) {
+                return {
+                    latlngs: wedge.coords.map(c => [c.lat, c.lng]),
+                    label: `${kmlTower} Sector ${kmlSector}`,
+                    approximate: wedge.approximate || !!(entry && entry.sector.approximate)
+                };
+            }
+            if (entry && isFinite(entry.sector.azimuth)) {
+                return {
+                    latlngs: computeSectorWedge(entry.tower.lat, entry.tower.lng, entry.sector.azimuth,
+                        entry.sector.beamwidth || entry.tower.beamwidth, entry.sector.range || entry.tower.range),
+                    label: `${entry.tower.name} Sector ${entry.sectorId}` + (entry.sector.label ? ` (${entry.sector.label})` : ''),
+                    approximate: !!entry.sector.approximate
+                };
+            }
+        }
+        if (event.azimuth !== undefined && event.azimuth !== '' && isFinite(event.azimuth)) {
+            return {
+                latlngs: computeSectorWedge(event.lat, event.lng, Number(event.azimuth),
+                    Number(event.beamwidth) || undefined, Number(event.range) || undefined),
+                label: event.sector ? `Sector ${event.sector}` : `Sector facing ${event.azimuth}°`,
+                approximate: true
+            };
+        }
+        return null;
+    },
+    
+    // Events grouped into one track per `phone`: [{ phone, label, color, visible, events }]
+    getTracks: function() {
+        const tracks = new Map();
+        this._timelineEvents.forEach(event => {
+            if (!tracks.has(event.phone)) {
+                tracks.set(event.phone, {
+                    phone: event.phone,
+                    label: PHONE_TRACKS[event.phone] ? PHONE_TRACKS[event.phone].label : event.phone,
+                    color: this.getTrackColor(event.phone),
+                    visible: this.isTrackVisible(event.phone),
+                    events: []
+                });
+            }
+            tracks.get(event.phone).events.push(event);
+        });
+        return Array.from(tracks.values());
+    },
+    
+    getTrackColor: function(phone) {
+        if (PHONE_TRACKS[phone]) return PHONE_TRACKS[phone].color;
+        if (!this._trackColors.has(phone)) {
+            this._trackColors.set(phone, EXTRA_TRACK_COLORS[this._trackColors.size % EXTRA_TRACK_COLORS.length]);
+        }
+        return this._trackColors.get(phone);
+    },
+    
+    isTrackVisible: function(phone) {
+        return this._trackVisibility.get(phone) !== false;
+    },
+    
+    setTrackVisible: function(phone, visible) {
+        this._trackVisibility.set(phone, visible);
+        if (this._map) {
+            this._update();
+        }
+        this.fire('trackvisibilitychange', { phone: phone, visible: visible });
+        return this;
+    },
+    
+    // Give the player this layer's times; the TimeDimension merges them with the other
+    // layers' by their time roles (see TimeSync.js)
+    _setAvailableTimes: function() {
+        if (this._timeDimension) {
+            this._timeDimension.setTimeLayer(this, this._getTimeRole());
+        }
+    },
+    
+    _getTimeRole: function() {
+        return this.options.timeRole || (this.options.timelineOwner ? 'contributor' : 'primary');
+    },
+    
+    // Times this layer contributes to the player
+    getAvailableTimes: function() {
+        return this._availableTimes;
     },
     
     _extractGpsTrail: function() {
-        // Find all line segments that are GPS trails
-        this._gpsTrailCoords = [];
+        // Find the GPS trail lines and time-tagged gx:Track parts. Segments with vertex times
+        // are revealed by the clock; trail lines without them are drawn whole, marked untimed.
+        this._gpsTrailSegments = [];
+        this._untimedTrailLines = [];
         this._locations.forEach(loc => {
-            if (loc.type === 'line' && loc.name && loc.name.includes('GPS TRAIL')) {
-                loc.coords.forEach(coord => {
-                    this._gpsTrailCoords.push([coord.lat, coord.lng]);
-                });
+            if (!this.isLocationShown(loc)) return;
+            const lines = flattenGeometry(loc.geometry).filter(part => this._isAnimatedPart(loc, part));
+            lines.forEach(line => {
+                const style = this._getPathOptions(loc, 'normal', 'line');
+                const segment = this._getTimedTrailSegment(loc, line.coords, lines.length === 1);
+                if (segment) {
+                    segment.style = style;
+                    this._gpsTrailSegments.push(segment);
+                } else if (line.coords.length > 1) {
+                    this._untimedTrailLines.push({
+                        latlngs: line.coords.map(coord => [coord.lat, coord.lng]),
+                        style: style,
+                        name: loc.name
+                    });
+                }
+            });
+        });
+    },
+    
+    // Lines drawn by the clock instead of as static paths: every line of a GPS TRAIL
+    // placemark, and any gx:Track with <when> times
+    _isAnimatedPart: function(loc, part) {
+        if (!part.coords) return false;
+        if (loc.name && loc.name.includes('GPS TRAIL')) return true;
+        return part.type === 'Track' && part.coords.some(coord => coord.time);
+    },
+    
+    // Per-vertex times for the GPS trail, keyed by placemark name:
+    // { "tracks": { "<name>": { "when": [time or null per vertex] } or { "begin", "end" } } }
+    setTrailTimes: function(trailTimes) {
+        L.setOptions(this, { trailTimes: trailTimes });
+        this._extractGpsTrail();
+        this._refreshAvailableTimes();
+        return this;
+    },
+    
+    // { latlngs, times } for one trail line of a placemark whose vertex times are known or can
+    // be interpolated (sidecar times, gx:Track <when>s, or TimeSpan endpoints), else null.
+    // Sidecar and TimeSpan times describe the whole placemark, so they apply only to a
+    // placemark with a single line.
+    _getTimedTrailSegment: function(loc, coords, wholePlacemark) {
+        const sidecar = wholePlacemark && this.options.trailTimes && this.options.trailTimes.tracks
+            ? this.options.trailTimes.tracks[loc.name] : null;
+        let times = null;
+        
+        if (sidecar && Array.isArray(sidecar.when)) {
+            if (sidecar.when.length === coords.length) {
+                times = sidecar.when.map(parseKmlWhen);
+            } else {
+                console.warn(`Trail times for "${loc.name}" list ${sidecar.when.length} times for ${coords.length} vertices; ignoring them`);
+            }
+        } else if (sidecar && (sidecar.begin || sidecar.end)) {
+            times = coords.map(() => null);
+            times[0] = parseKmlWhen(sidecar.begin);
+            times[times.length - 1] = parseKmlWhen(sidecar.end);
+        } else if (coords.some(coord => coord.time)) {
+            times = coords.map(coord => coord.time || null);
+        } else if (wholePlacemark && loc.timeSpan && loc.timeSpan.type === 'TimeSpan' && loc.timeSpan.end > loc.timeSpan.begin) {
+            times = coords.map(() => null);
+            times[0] = loc.timeSpan.begin;
+            times[times.length - 1] = loc.timeSpan.end;
+        }
+        if (!times) return null;
+        
+        // Keep the vertices that have (or could be given) a time
+        const filled = interpolateVertexTimes(coords, times);
+        const latlngs = [];
+        const vertexTimes = [];
+        coords.forEach((coord, index) => {
+            if (filled[index] !== null) {
+                latlngs.push([coord.lat, coord.lng]);
+                vertexTimes.push(filled[index]);
             }
         });
+        return latlngs.length > 1 ? { latlngs: latlngs, times: vertexTimes } : null;
     },
     
     onAdd: function(map) {
         L.TimeDimension.Layer.prototype.onAdd.call(this, map);
         
-        // Add static layers (polygons, all point markers)
-        this._addStaticLayers();
+        // Add static layers (polygons, all point markers) for the visible folders
+        if (!this._placemarkLayers) {
+            this._addStaticLayers();
+        }
+        this._refreshStaticLayers();
         map.addLayer(this._staticLayers);
         map.addLayer(this._animatedMarkers);
         map.addLayer(this._gpsTrailLayer);
         
         // Set available times
-        if (this._timeDimension) {
-            this._timeDimension.setAvailableTimes(this._availableTimes, 'replace');
-            if (this._availableTimes.length > 0) {
-                this._timeDimension.setCurrentTime(this._availableTimes[0]);
-            }
-        }
+        this._setAvailableTimes();
     },
     
     onRemove: function(map) {
         map.removeLayer(this._staticLayers);
         map.removeLayer(this._animatedMarkers);
         map.removeLayer(this._gpsTrailLayer);
+        if (this._timeDimension) {
+            this._timeDimension.removeTimeLayer(this);
+        }
         L.TimeDimension.Layer.prototype.onRemove.call(this, map);
     },
     
+    getLocations: function() {
+        return this._locations;
+    },
+    
+    // Map layer drawn for a placemark, or null if it has not been drawn
+    getPlacemarkLayer: function(loc) {
+        return this._placemarkLayers ? this._placemarkLayers.get(loc) || null : null;
+    },
+    
+    // Nest the KML folders and their placemarks as { folder, children, locations } nodes
+    getFolderTree: function() {
+        const root = { folder: null, children: [], locations: [] };
+        const nodes = new Map();
+        const nodeFor = (folder) => {
+            if (!folder) return root;
+            if (!nodes.has(folder)) {
+                const node = { folder: folder, children: [], locations: [] };
+                nodes.set(folder, node);
+                nodeFor(folder.parent).children.push(node);
+            }
+            return nodes.get(folder);
+        };
+        this._locations.forEach(loc => nodeFor(loc.folder).locations.push(loc));
+        return root;
+    },
+    
+    isFolderVisible: function(folder) {
+        if (!this._folderVisibility.has(folder)) {
+            this._folderVisibility.set(folder, folder.visibility);
+        }
+        return this._folderVisibility.get(folder);
+    },
+    
+    setFolderVisible: function(folder, visible) {
+        this._folderVisibility.set(folder, visible);
+        this._onVisibilityChanged();
+        return this;
+    },
+    
+    isLocationVisible: function(loc) {
+        if (!this._locationVisibility.has(loc)) {
+            this._locationVisibility.set(loc, loc.visibility !== false);
+        }
+        return this._locationVisibility.get(loc);
+    },
+    
+    setLocationVisible: function(loc, visible) {
+        this._locationVisibility.set(loc, visible);
+        this._onVisibilityChanged();
+        return this;
+    },
+    
+    // A placemark is drawn only when it and every enclosing folder are switched on
+    isLocationShown: function(loc) {
+        if (!this.isLocationVisible(loc)) return false;
+        for (let folder = loc.folder; folder; folder = folder.parent) {
+            if (!this.isFolderVisible(folder)) return false;
+        }
+        return true;
+    },
+    
+    _onVisibilityChanged: function() {
+        this._refreshStaticLayers();
+        this._extractGpsTrail();
+        // A hidden timed trail takes its vertex times off the player, a shown one puts them back
+        this._refreshAvailableTimes();
+        this._update();
+        this.fire('visibilitychange');
+    },
+    
+    _refreshStaticLayers: function() {
+        if (!this._placemarkLayers) return;
+        this._placemarkLayers.forEach((layer, loc) => {
+            const shown = this.isLocationShown(loc);
+            if (shown && !this._staticLayers.hasLayer(layer)) {
+                this._staticLayers.addLayer(layer);
+            } else if (!shown && this._staticLayers.hasLayer(layer)) {
+                this._staticLayers.removeLayer(layer);
+            }
+        });
+    },
+    
     _addStaticLayers: function() {
-        const self = this;
+        this._placemarkLayers = new Map();
         
-        // Add all point markers
+        // One layer per placemark; GPS trail lines and timed tracks are animated separately
         this._locations.forEach(loc => {
-            if (loc.type === 'point') {
-                const marker = L.circleMarker([loc.coords.lat, loc.coords.lng], {
-                    radius: 8,
-                    fillColor: self._getMarkerColor(loc),
-                    color: '#333',
-                    weight: 1,
-                    opacity: 1,
-                    fillOpacity: 0.8
-                });
-                
-                // Create popup content
-                let popupContent = `<b>${loc.name}</b>`;
-                if (loc.timeStr) {
-                    popupContent += `<br><em>Time: ${loc.timeStr}</em>`;
-                }
-                if (loc.description) {
-                    // Only truncate and add ellipsis if description is longer than 200 chars
-                    if (loc.description.length > 200) {
-                        popupContent += `<br>${loc.description.substring(0, 200)}...`;
-                    } else {
-                        popupContent += `<br>${loc.description}`;
-                    }
-                }
-                marker.bindPopup(popupContent);
-                
-                self._staticLayers.addLayer(marker);
-            }
-            
-            // Add polygons
-            if (loc.type === 'polygon') {
-                const latlngs = loc.coords.map(c => [c.lat, c.lng]);
-                const polygon = L.polygon(latlngs, {
-                    color: '#0000ff',
-                    fillColor: '#0000ff',
-                    fillOpacity: 0.2,
-                    weight: 2
-                });
-                polygon.bindPopup(`<b>${loc.name}</b><br>${loc.description || ''}`);
-                self._staticLayers.addLayer(polygon);
-            }
-            
-            // Add lines (GPS trails will be animated separately)
-            if (loc.type === 'line' && !loc.name.includes('GPS TRAIL')) {
-                const latlngs = loc.coords.map(c => [c.lat, c.lng]);
-                const polyline = L.polyline(latlngs, {
-                    color: '#ff5500',
-                    weight: 4,
-                    opacity: 0.8
-                });
-                polyline.bindPopup(`<b>${loc.name}</b><br>${loc.description || ''}`);
-                self._staticLayers.addLayer(polyline);
+            const layer = this._createGeometryLayer(loc, loc.geometry);
+            if (layer) {
+                layer.bindPopup(this._buildPopupContent(loc));
+                this._placemarkLayers.set(loc, layer);
             }
         });
     },
     
-    _getMarkerColor: function(loc) {
-        const style = loc.style || '';
-        const name = loc.name || '';
+    // Build the map layer for a geometry record (see parseKmlGeometry). Multi-part geometries
+    // become a feature group, so the placemark toggles, highlights and opens as one.
+    _createGeometryLayer: function(loc, geometry) {
+        if (geometry.geometries) {
+            const layers = geometry.geometries
+                .map(part => this._createGeometryLayer(loc, part))
+                .filter(layer => layer);
+            return layers.length > 0 ? L.featureGroup(layers) : null;
+        }
         
-        // Color based on location type/name
-        if (name.includes('ABDUCTION') || name.includes('BOBO')) {
-            return '#ef5350'; // Red
+        const toLatLngs = coords => coords.map(c => [c.lat, c.lng]);
+        if (geometry.type === 'Point' || geometry.type === 'Model') {
+            return this._createPointMarker(loc, geometry.coord);
         }
-        if (name.includes('CELL') || name.includes('TOWER')) {
-            return '#fbc235'; // Yellow
+        if (geometry.type === 'Polygon') {
+            const polygon = L.polygon([toLatLngs(geometry.outer)].concat(geometry.inner.map(toLatLngs)),
+                this._getPathOptions(loc, 'normal', 'polygon'));
+            this._bindPathHighlight(polygon, loc, 'polygon');
+            return polygon;
         }
-        if (name.includes('BODY') || name.includes('REMAINS')) {
-            return '#d32f2f'; // Dark red
+        if (this._isAnimatedPart(loc, geometry)) return null;
+        const polyline = L.polyline(toLatLngs(geometry.coords), this._getPathOptions(loc, 'normal', 'line'));
+        this._bindPathHighlight(polyline, loc, 'line');
+        return polyline;
+    },
+    
+    // Popup for a placemark: its sanitized balloon (see KmlBalloon.js), then its time and metadata
+    _buildPopupContent: function(loc) {
+        const style = loc.kmlStyle && loc.kmlStyle.normal;
+        const balloonHasFields = !!(style && style.balloon && balloonShowsExtendedData(style.balloon.text));
+        let footer = '';
+        if (loc.timeStr) {
+            footer += `<div class="kml-balloon-time"><em>Time: ${escapeHtml(loc.timeStr)}</em></div>`;
         }
-        if (name.includes('ATM')) {
-            return '#4caf50'; // Green
+        
+        // The map is flat, so say how high a point placed above the ground is
+        const raised = flattenGeometry(loc.geometry).find(part => part.coord && !/^clampTo/.test(part.altitudeMode));
+        if (raised) {
+            const reference = {
+                absolute: 'above sea level',
+                relativeToSeaFloor: 'above the sea floor'
+            }[raised.altitudeMode] || 'above ground';
+            footer += `<div class="kml-balloon-altitude">Altitude: ${Math.round(raised.coord.alt)} m ${reference}</div>`;
         }
-        if (name.includes('Marker')) {
-            return '#fbc02d'; // Yellow
+        return renderKmlBalloon(loc, footer + this._buildMetadataSection(loc, balloonHasFields));
+    },
+    
+    // Table of ExtendedData fields. When the balloon template already shows them, only the
+    // cited lines (as chips) and the approximate-placement note are added.
+    _buildMetadataSection: function(loc, citationsOnly) {
+        const fields = loc.extendedData || {};
+        const labels = {
+            category: 'Category',
+            event_date: 'Date',
+            cite_lines: 'Cite',
+            source_title: 'Source',
+            precision: 'Precision'
+        };
+        
+        // Cited lines from cite_lines and from "[cite: N]" markers in the description
+        const citations = getLocationCitations(loc);
+        const citeChips = renderCitationChips(citations.refs, citations.sourceTitle);
+        
+        // Known schema fields first, in schema order, then any other ExtendedData
+        const keys = citationsOnly
+            ? (citeChips ? ['cite_lines'] : [])
+            : Object.keys(labels).filter(key => fields[key] || (key === 'cite_lines' && citeChips))
+                .concat(Object.keys(fields).filter(key => !labels[key]));
+        if (keys.length === 0) {
+            return loc.approximate ? '<div class="kml-metadata"><div class="kml-approximate-note">Approximate placement</div></div>' : '';
         }
         
-        return '#1976d2'; // Blue default
+        let html = '<div class="kml-metadata"><table>';
+        keys.forEach(key => {
+            const value = key === 'cite_lines' && citeChips ? citeChips : escapeHtml(fields[key]);
+            html += `<tr><th>${escapeHtml(labels[key] || key)}</th><td>${value}</td></tr>`;
+        });
+        html += '</table>';
+        if (loc.approximate) {
+            html += '<div class="kml-approximate-note">Approximate placement</div>';
+        }
+        return html + '</div>';
+    },
+    
+    // Create a marker from the placemark's IconStyle, or a colored circle when it has no icon image
+    _createPointMarker: function(loc, coord) {
+        const latlng = [coord.lat, coord.lng];
+        const normal = loc.kmlStyle && loc.kmlStyle.normal;
+        const normalIcon = kmlIconToLeafletIcon(normal && normal.icon);
+        
+        if (normalIcon) {
+            const marker = L.marker(latlng, { icon: normalIcon });
+            const highlightIcon = kmlIconToLeafletIcon(loc.kmlStyle.highlight.icon);
+            if (highlightIcon && loc.kmlStyle.highlight !== normal) {
+                marker.on('mouseover', () => marker.setIcon(highlightIcon));
+                marker.on('mouseout', () => marker.setIcon(normalIcon));
+            }
+            
+            // Fall back to a circle in the icon's color if the image cannot be loaded
+            marker.on('add', () => {
+                const element = marker.getElement();
+                if (element && loc.approximate) {
+                    L.DomUtil.addClass(element, 'kml-approximate');
+                }
+                if (element) {
+                    element.addEventListener('error', () => {
+                        marker.off('mouseover mouseout');
+                        marker.setIcon(this._createFallbackIcon(loc));
+                    }, { once: true });
+                }
+            });
+            return marker;
+        }
+        
+        return L.circleMarker(latlng, {
+            radius: 8,
+            fillColor: this._getMarkerColor(loc),
+            color: '#333',
+            weight: 1,
+            opacity: 1,
+            fillOpacity: 0.8,
+            dashArray: loc.approximate ? '3 3' : null
+        });
+    },
+    
+    _createFallbackIcon: function(loc) {
+        return L.divIcon({
+            className: 'kml-fallback-icon',
+            html: `<div style="width:14px;height:14px;border-radius:50%;border:1px solid #333;background:${this._getMarkerColor(loc)};"></div>`,
+            iconSize: [16, 16],
+            iconAnchor: [8, 8]
+        });
+    },
+    
+    // Path options for a placemark's 'line' or 'polygon' part (default: its own type)
+    _getPathOptions: function(loc, state, geometryType) {
+        const type = geometryType || loc.type;
+        const style = loc.kmlStyle && loc.kmlStyle[state];
+        if (!style) {
+            return type === 'polygon'
+                ? { color: DEFAULT_MARKER_COLOR, fillColor: DEFAULT_MARKER_COLOR, fillOpacity: 0.2, weight: 2 }
+                : { color: DEFAULT_PATH_COLOR, weight: 4, opacity: 0.8 };
+        }
+        return kmlStyleToPathOptions(style, type);
+    },
+    
+    // Swap to the StyleMap highlight style while the pointer is over a path
+    _bindPathHighlight: function(path, loc, geometryType) {
+        if (!loc.kmlStyle || loc.kmlStyle.highlight === loc.kmlStyle.normal) return;
+        path.on('mouseover', () => path.setStyle(this._getPathOptions(loc, 'highlight', geometryType)));
+        path.on('mouseout', () => path.setStyle(this._getPathOptions(loc, 'normal', geometryType)));
+    },
+    
+    // Circle color for points without a usable icon image: the color encoded in a
+    // Google Earth icon URL, or the IconStyle tint, or the default
+    _getMarkerColor: function(loc) {
+        const icon = loc.kmlStyle && loc.kmlStyle.normal && loc.kmlStyle.normal.icon;
+        const hrefColor = icon && icon.href && icon.href.match(/[?&]color=([0-9a-f]{6})\b/i);
+        if (hrefColor) {
+            return '#' + hrefColor[1];
+        }
+        if (icon && icon.color) {
+            return icon.color.color;
+        }
+        return DEFAULT_MARKER_COLOR;
     },
     
     _onNewTimeLoading: function(ev) {
@@ -370,6 +1407,70 @@ L.TimeDimension.Layer.KmlLocations = L.TimeDimension.Layer.extend({
         return true;
     },
     
+    // Where a ping sits on its breadcrumb line: the middle of the sector wedge for sector pings
+    _getEventPosition: function(event) {
+        const sector = this.getEventSector(event);
+        return sector ? L.latLngBounds(sector.latlngs).getCenter() : L.latLng(event.lat, event.lng);
+    },
+    
+    // Source line for an event popup, with chips for any cited lines
+    _buildEventCitations: function(event) {
+        if (!event.source && !event.cite) return '';
+        const citations = getEventCitations(event);
+        const chips = renderCitationChips(citations.refs, citations.sourceTitle);
+        return `<br><span class="event-source">Source: ${escapeHtml(citations.sourceTitle)}` +
+            (chips ? ' ' + chips : '') +
+            '</span>';
+    },
+    
+    // Head marker for a track's latest ping: a pulsing dot, or the sector wedge for sector pings
+    _createTrackHead: function(event, color, opacity, ended) {
+        // Convert hex to rgba for proper transparency
+        const hexToRgba = (hex, alpha) => {
+            const r = parseInt(hex.slice(1, 3), 16);
+            const g = parseInt(hex.slice(3, 5), 16);
+            const b = parseInt(hex.slice(5, 7), 16);
+            return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+        };
+        
+        const timeStr = formatCaseTime(event.timestamp);
+        
+        // A sector ping only says the phone was somewhere in the sector's coverage,
+        // so highlight the wedge instead of putting a dot on the tower
+        const sector = this.getEventSector(event);
+        if (sector) {
+            const wedge = L.polygon(sector.latlngs, {
+                className: 'active-sector-wedge',
+                color: color,
+                weight: 3,
+                opacity: opacity,
+                fillColor: color,
+                fillOpacity: 0.35 * opacity,
+                dashArray: sector.approximate ? '6 4' : null
+            });
+            wedge.bindPopup(`<b>${escapeHtml(event.label)}</b><br>Time: ${timeStr}<br>` +
+                `Served by ${escapeHtml(sector.label)}` +
+                (sector.approximate ? ' (approximate coverage)' : '') +
+                this._buildEventCitations(event));
+            return wedge;
+        }
+        
+        // Phones with no further pings stop pulsing
+        const pulsingIcon = L.divIcon({
+            className: 'pulsing-marker' + (ended ? ' track-ended' : ''),
+            html: `<div class="pulse-ring" style="background: ${hexToRgba(color, 0.4)};"></div><div class="pulse-core" style="background: ${color};"></div>`,
+            iconSize: [30, 30],
+            iconAnchor: [15, 15]
+        });
+        
+        const marker = L.marker([event.lat, event.lng], {
+            icon: pulsingIcon,
+            opacity: opacity
+        });
+        marker.bindPopup(`<b>${escapeHtml(event.label)}</b><br>Time: ${timeStr}` + this._buildEventCitations(event));
+        return marker;
+    },
+    
     _update: function() {
         if (!this._map || !this._timeDimension) return;
         
@@ -378,87 +1479,74 @@ L.TimeDimension.Layer.KmlLocations = L.TimeDimension.Layer.extend({
     },
     
     _updateAnimatedElements: function(currentTime) {
-        const self = this;
-        
         // Clear animated markers
         this._animatedMarkers.clearLayers();
         this._gpsTrailLayer.clearLayers();
         
-        // Find current event based on time
-        let currentEventIndex = 0;
-        for (let i = 0; i < this._timelineEvents.length; i++) {
-            if (this._timelineEvents[i].timestamp.getTime() <= currentTime) {
-                currentEventIndex = i;
-            } else {
-                break;
-            }
-        }
-        
-        const currentEvent = this._timelineEvents[currentEventIndex];
-        
-        // Get color based on phone type
-        const getPhoneColor = (phone) => {
-            switch(phone) {
-                case 'holly': return '#e91e63'; // Pink for Holly Bobo's phone
-                case 'adams': return '#2196f3'; // Blue for Adams/Autry phones
-                case 'evidence': return '#4caf50'; // Green for evidence (ATM video)
-                case 'event': return '#ff5722'; // Orange for events
-                case 'timeline': return '#9e9e9e'; // Gray for timeline markers
-                default: return '#ff0000'; // Red default
-            }
-        };
-        
-        // Add a prominent marker for current event
-        if (currentEvent) {
-            const phoneColor = getPhoneColor(currentEvent.phone);
-            // Convert hex to rgba for proper transparency
-            const hexToRgba = (hex, alpha) => {
-                const r = parseInt(hex.slice(1, 3), 16);
-                const g = parseInt(hex.slice(3, 5), 16);
-                const b = parseInt(hex.slice(5, 7), 16);
-                return `rgba(${r}, ${g}, ${b}, ${alpha})`;
-            };
-            
-            const pulsingIcon = L.divIcon({
-                className: 'pulsing-marker',
-                html: `<div class="pulse-ring" style="background: ${hexToRgba(phoneColor, 0.4)};"></div><div class="pulse-core" style="background: ${phoneColor};"></div>`,
-                iconSize: [30, 30],
-                iconAnchor: [15, 15]
-            });
+        // Each phone is its own track: a head marker at its latest ping, a breadcrumb line
+        // through its earlier pings, and a fade once the phone has no more pings
+        let newestHead = null;
+        this.getTracks().filter(track => track.visible).forEach(track => {
+            const past = track.events.filter(e => e.timestamp.getTime() <= currentTime);
+            if (past.length === 0) return;
             
-            const marker = L.marker([currentEvent.lat, currentEvent.lng], {
-                icon: pulsingIcon
-            });
+            const lastEvent = past[past.length - 1];
+            const ended = past.length === track.events.length;
+            const fadeAfter = this.options.trackFadeAfter;
+            const opacity = ended && fadeAfter
+                ? Math.max(0.25, 1 - (currentTime - lastEvent.timestamp.getTime()) / fadeAfter)
+                : 1;
             
-            const timeStr = currentEvent.timestamp.toLocaleTimeString('en-US', {
-                hour: 'numeric',
-                minute: '2-digit',
-                hour12: true
-            });
+            if (past.length > 1 && !this.options.markerOnlyPhones.includes(track.phone)) {
+                this._animatedMarkers.addLayer(L.polyline(past.map(e => this._getEventPosition(e)), {
+                    className: 'phone-track',
+                    color: track.color,
+                    weight: 3,
+                    opacity: 0.8 * opacity
+                }));
+            }
             
-            marker.bindPopup(`<b>${currentEvent.label}</b><br>Time: ${timeStr}`).openPopup();
-            this._animatedMarkers.addLayer(marker);
+            const head = this._createTrackHead(lastEvent, track.color, opacity, ended);
+            this._animatedMarkers.addLayer(head);
+            if (!newestHead || lastEvent.timestamp >= newestHead.event.timestamp) {
+                newestHead = { event: lastEvent, layer: head };
+            }
+        });
+        
+        // Show the popup of the most recent ping across all phones
+        if (newestHead) {
+            newestHead.layer.openPopup();
         }
         
-        // Draw GPS trail up to current time
-        if (this._gpsTrailCoords.length > 0) {
-            // Calculate how much of the trail to show based on time progression
-            const startTime = this._availableTimes[0];
-            const endTime = this._availableTimes[this._availableTimes.length - 1];
-            const progress = (currentTime - startTime) / (endTime - startTime);
-            
-            const pointsToShow = Math.max(1, Math.floor(this._gpsTrailCoords.length * progress));
-            const visibleCoords = this._gpsTrailCoords.slice(0, pointsToShow);
-            
-            if (visibleCoords.length > 1) {
-                const trailLine = L.polyline(visibleCoords, {
-                    color: '#ff5500',
-                    weight: 5,
-                    opacity: 0.8
-                });
-                this._gpsTrailLayer.addLayer(trailLine);
+        // Draw the timed GPS trail segments and tracks as far as the clock has reached, with a
+        // head marker where the phone is while a segment is in progress
+        this._gpsTrailSegments.forEach(segment => {
+            const position = getTimedLinePosition(segment.latlngs, segment.times, currentTime);
+            if (!position) return;
+            if (position.latlngs.length > 1) {
+                this._gpsTrailLayer.addLayer(L.polyline(position.latlngs, segment.style));
             }
-        }
+            if (position.moving) {
+                this._gpsTrailLayer.addLayer(L.circleMarker(position.head, {
+                    className: 'gps-trail-head',
+                    radius: 6,
+                    color: segment.style.color || DEFAULT_PATH_COLOR,
+                    weight: 2,
+                    fillColor: '#ffffff',
+                    fillOpacity: 1
+                }));
+            }
+        });
+        
+        // Trail lines without times say nothing about when the phone was there, so they are
+        // drawn whole and dashed at every time instead of following the clock
+        this._untimedTrailLines.forEach(line => {
+            this._gpsTrailLayer.addLayer(L.polyline(line.latlngs, {
+                ...line.style,
+                className: 'gps-trail-untimed',
+                dashArray: '8 6'
+            }).bindTooltip(`${line.name || 'GPS trail'} (untimed)`, { sticky: true }));
+        });
         
         this.fire('timeload', { time: currentTime });
     }
@@ -470,4 +1558,7 @@ L.timeDimension.layer.kmlLocations = function(locations, timelineEvents, options
 
 // Export functions
 window.parseKmlLocations = parseKmlLocations;
-window.getTimelineEvents = getTimelineEvents;
+window.parseKmlText = parseKmlText;
+window.parseKmlView = parseKmlView;
+window.flattenGeometry = flattenGeometry;
+window.getLocationLatLng = getLocationLatLng;
@@ -0,0 +1,640 @@
+/**
+ * Map Export
+ * Writes what the page has loaded (KML placemarks, dropped case files, timeline events and
+ * user annotations) to a KML or GeoJSON file for use in Google Earth and other GIS tools.
+ * Times are written as ISO 8601 with the case time zone's offset; times of day read from
+ * descriptions are written as a derived_time field, not as the placemark's time.
+ */
+
+// Timeline event fields copied to exported placemarks and features, besides label and time
+const EXPORT_EVENT_FIELDS = ['id', 'phone', 'source', 'cite', 'tower', 'sector', 'azimuth', 'originating', 'terminating'];
+
+// Icon for exported timeline events, tinted with the track color in Google Earth
+const EXPORT_EVENT_ICON = 'https://maps.google.com/mapfiles/kml/shapes/placemark_circle.png';
+
+// Gather the exportable contents of KmlLocations layers.
+// sources: [{ name, layer }]; options: { visibleOnly, annotations }
+// visibleOnly keeps layers on the map, switched-on folders/placemarks and tracks shown in the legend.
+// annotations are location records (as from parseKmlText) drawn by the user.
+// Returns { layers: [{ name, locations, tracks }], annotations }
+function collectMapExport(sources, options) {
+    options = options || {};
+    const visibleOnly = !!options.visibleOnly;
+
+    const layers = sources
+        .filter(source => !visibleOnly || (source.layer._map && source.layer._map.hasLayer(source.layer)))
+        .map(source => ({
+            name: source.name,
+            locations: source.layer.getLocations()
+                .filter(loc => !visibleOnly || source.layer.isLocationShown(loc)),
+            tracks: source.layer.getTracks()
+                .filter(track => !visibleOnly || track.visible)
+                .map(track => ({
+                    ...track,
+                    // Marker-only categories (case events, evidence) are not movements
+                    path: !source.layer.options.markerOnlyPhones.includes(track.phone)
+                }))
+        }));
+
+    return {
+        layers: layers,
+        annotations: options.annotations || []
+    };
+}
+
+// Format an export time, or return null for a missing date
+function formatExportTime(date) {
+    return date ? formatCaseIsoDate(date) : null;
+}
+
+// Format the case-time-zone day of a date as "2011-04-14", for times known only to the day
+function formatExportDay(date) {
+    const p = getCaseDateParts(date);
+    const pad = value => String(value).padStart(2, '0');
+    return `${p.year}-${pad(p.month + 1)}-${pad(p.day)}`;
+}
+
+// Time a location is exported with: { timeSpan, timestamp } for a time its record gives
+// (KML time, an event_date with a time of day, an annotation's time), `day` for an event_date
+// with no time of day, and `derived` for a time of day read from the description, which is
+// written as a derived_time field instead of as the placemark's time
+function getLocationExportTime(loc) {
+    if (!loc.timeSource) {
+        return { timeSpan: loc.timeSpan, timestamp: null, day: null, derived: null };
+    }
+    const dayOnly = loc.timeSource === 'event_date' && !loc.timeStr;
+    const fromDescription = loc.timeSource === 'description' || loc.timeSource === 'event_date+description';
+    return {
+        timeSpan: loc.timeSpan,
+        timestamp: dayOnly || fromDescription ? null : loc.timestamp,
+        day: dayOnly || loc.timeSource === 'event_date+description' ? formatExportDay(loc.timestamp) : null,
+        derived: fromDescription ? loc.timestamp : null
+    };
+}
+
+// A location's ExtendedData fields, plus its derived_time when it has one
+function getLocationExportFields(loc, time) {
+    const fields = loc.extendedDataRaw && Object.keys(loc.extendedDataRaw).length > 0 ? loc.extendedDataRaw : loc.extendedData;
+    return time.derived ? { ...fields, derived_time: formatExportTime(time.derived) } : fields;
+}
+
+// Scalar ExtendedData-style fields of a timeline event
+function getEventExportFields(event) {
+    const fields = {};
+    EXPORT_EVENT_FIELDS.forEach(key => {
+        const value = event[key];
+        if (value !== null && value !== undefined && value !== '' && typeof value !== 'object') {
+            fields[key] = String(value);
+        }
+    });
+    return fields;
+}
+
+// ---- KML ----
+
+// Convert a { color, opacity } CSS color to KML aabbggrr
+function toKmlColor(color) {
+    const hex = color.color.replace(/^#/, '');
+    const alpha = Math.round((color.opacity === undefined ? 1 : color.opacity) * 255);
+    return alpha.toString(16).padStart(2, '0') + hex.slice(4, 6) + hex.slice(2, 4) + hex.slice(0, 2);
+}
+
+// Wrap text in a CDATA section (descriptions keep their HTML)
+function kmlCdata(text) {
+    return '<![CDATA[' + String(text).replace(/]]>/g, ']]]]><![CDATA[>') + ']]>';
+}
+
+// Indent lines of XML by one level
+function indentKml(lines) {
+    return lines.map(line => '  ' + line);
+}
+
+// KML <coordinates> text for a list of vertices
+function kmlCoordinateText(coords) {
+    return coords.map(c => `${c.lng},${c.lat},${c.alt || 0}`).join(' ');
+}
+
+// <altitudeMode> line for a geometry, omitted for the KML default
+function kmlAltitudeMode(geometry) {
+    const mode = geometry.altitudeMode;
+    if (!mode || mode === 'clampToGround') return [];
+    return /SeaFloor$/.test(mode) ? [`<gx:altitudeMode>${mode}</gx:altitudeMode>`] : [`<altitudeMode>${mode}</altitudeMode>`];
+}
+
+// KML lines for a geometry record (see parseKmlGeometry)
+function geometryToKml(geometry) {
+    const mode = kmlAltitudeMode(geometry);
+    const ring = coords => [
+        '<LinearRing>',
+        ...indentKml([`<coordinates>${kmlCoordinateText(coords)}</coordinates>`]),
+        '</LinearRing>'
+    ];
+
+    switch (geometry.type) {
+        case 'Point':
+            return ['<Point>', ...indentKml(mode.concat(`<coordinates>${kmlCoordinateText([geometry.coord])}</coordinates>`)), '</Point>'];
+        case 'LineString':
+        case 'LinearRing':
+            return [`<${geometry.type}>`, ...indentKml(mode.concat(`<coordinates>${kmlCoordinateText(geometry.coords)}</coordinates>`)), `</${geometry.type}>`];
+        case 'Polygon':
+            return ['<Polygon>', ...indentKml(mode.concat(
+                '<outerBoundaryIs>', ...indentKml(ring(geometry.outer)), '</outerBoundaryIs>',
+                ...geometry.inner.reduce((lines, inner) => lines.concat('<innerBoundaryIs>', ...indentKml(ring(inner)), '</innerBoundaryIs>'), [])
+            )), '</Polygon>'];
+        case 'Track':
+            return ['<gx:Track>', ...indentKml(mode.concat(
+                geometry.coords.map(c => c.time ? `<when>${formatExportTime(c.time)}</when>` : '<when/>'),
+                geometry.coords.map(c => `<gx:coord>${c.lng} ${c.lat} ${c.alt || 0}</gx:coord>`)
+            )), '</gx:Track>'];
+        case 'Model':
+            return ['<Model>', ...indentKml(mode.concat(
+                '<Location>',
+                ...indentKml([
+                    `<longitude>${geometry.coord.lng}</longitude>`,
+                    `<latitude>${geometry.coord.lat}</latitude>`,
+                    `<altitude>${geometry.coord.alt || 0}</altitude>`
+                ]),
+                '</Location>',
+                geometry.href ? `<Link><href>${escapeHtml(geometry.href)}</href></Link>` : []
+            )), '</Model>'];
+        case 'MultiTrack':
+            return ['<gx:MultiTrack>', ...indentKml([`<gx:interpolate>${geometry.interpolate ? 1 : 0}</gx:interpolate>`]
+                .concat(...geometry.geometries.map(geometryToKml))), '</gx:MultiTrack>'];
+        case 'MultiGeometry':
+            return ['<MultiGeometry>', ...indentKml([].concat(...geometry.geometries.map(geometryToKml))), '</MultiGeometry>'];
+        default:
+            return [];
+    }
+}
+
+// KML lines for the contents of a <Style> built from a parsed style (see parseStyleElement)
+function styleToKml(style) {
+    const lines = [];
+    if (style.icon) {
+        const icon = style.icon;
+        lines.push('<IconStyle>', ...indentKml([].concat(
+            icon.color ? `<color>${toKmlColor(icon.color)}</color>` : [],
+            icon.scale !== null && icon.scale !== undefined ? `<scale>${icon.scale}</scale>` : [],
+            icon.href ? `<Icon><href>${escapeHtml(icon.href)}</href></Icon>` : [],
+            icon.hotSpot ? `<hotSpot x="${icon.hotSpot.x}" y="${icon.hotSpot.y}" xunits="${icon.hotSpot.xunits}" yunits="${icon.hotSpot.yunits}"/>` : []
+        )), '</IconStyle>');
+    }
+    if (style.label) {
+        lines.push('<LabelStyle>', ...indentKml([].concat(
+            style.label.color ? `<color>${toKmlColor(style.label.color)}</color>` : [],
+            style.label.scale !== null && style.label.scale !== undefined ? `<scale>${style.label.scale}</scale>` : []
+        )), '</LabelStyle>');
+    }
+    if (style.line) {
+        lines.push('<LineStyle>', ...indentKml([].concat(
+            style.line.color ? `<color>${toKmlColor(style.line.color)}</color>` : [],
+            style.line.width !== null && style.line.width !== undefined ? `<width>${style.line.width}</width>` : []
+        )), '</LineStyle>');
+    }
+    if (style.poly) {
+        lines.push('<PolyStyle>', ...indentKml([].concat(
+            style.poly.color ? `<color>${toKmlColor(style.poly.color)}</color>` : [],
+            style.poly.fill !== null && style.poly.fill !== undefined ? `<fill>${style.poly.fill ? 1 : 0}</fill>` : [],
+            style.poly.outline !== null && style.poly.outline !== undefined ? `<outline>${style.poly.outline ? 1 : 0}</outline>` : []
+        )), '</PolyStyle>');
+    }
+    if (style.balloon && style.balloon.text) {
+        lines.push('<BalloonStyle>', ...indentKml([`<text>${kmlCdata(style.balloon.text)}</text>`]), '</BalloonStyle>');
+    }
+    return lines;
+}
+
+// KML lines for a <TimeStamp> or <TimeSpan>
+function timeToKml(timeSpan, timestamp) {
+    if (timeSpan && timeSpan.type === 'TimeSpan') {
+        return ['<TimeSpan>', ...indentKml([
+            `<begin>${formatExportTime(timeSpan.begin)}</begin>`,
+            `<end>${formatExportTime(timeSpan.end)}</end>`
+        ]), '</TimeSpan>'];
+    }
+    const when = timeSpan ? timeSpan.begin : timestamp;
+    return when ? ['<TimeStamp>', ...indentKml([`<when>${formatExportTime(when)}</when>`]), '</TimeStamp>'] : [];
+}
+
+// KML lines for a <LookAt> or <Camera> read with parseKmlView
+function viewToKml(view) {
+    if (!view) return [];
+    return [`<${view.type}>`, ...indentKml([].concat(
+        timeToKml(view.time, null).map(line => line.replace(/^<(\/?)(TimeStamp|TimeSpan)>/, '<$1gx:$2>')),
+        `<longitude>${view.lng}</longitude>`,
+        `<latitude>${view.lat}</latitude>`,
+        `<altitude>${view.altitude}</altitude>`,
+        `<heading>${view.heading}</heading>`,
+        `<tilt>${view.tilt}</tilt>`,
+        view.fovy !== null ? `<gx:fovy>${view.fovy}</gx:fovy>` : [],
+        view.range !== null ? `<range>${view.range}</range>` : [],
+        `<altitudeMode>${view.altitudeMode}</altitudeMode>`
+    )), `</${view.type}>`];
+}
+
+// KML lines for <ExtendedData> from a { name: value } map
+function extendedDataToKml(fields) {
+    const names = Object.keys(fields || {});
+    if (names.length === 0) return [];
+    return ['<ExtendedData>', ...indentKml(names.map(name =>
+        `<Data name="${escapeHtml(name)}"><value>${escapeHtml(fields[name])}</value></Data>`
+    )), '</ExtendedData>'];
+}
+
+// Shared styles of an export: one <Style> (or <StyleMap> of two) per placemark style
+function createKmlStyleRegistry() {
+    const ids = new Map();
+    const lines = [];
+    const addStyle = (id, style) => {
+        lines.push(`<Style id="${id}">`, ...indentKml(styleToKml(style)), '</Style>');
+    };
+    return {
+        lines: lines,
+        // Style id for a placemark's { normal, highlight } style, or null if it has none
+        idFor: function(kmlStyle) {
+            if (!kmlStyle || !kmlStyle.normal) return null;
+            if (!ids.has(kmlStyle)) {
+                const id = 'style-' + (ids.size + 1);
+                ids.set(kmlStyle, id);
+                if (kmlStyle.highlight && kmlStyle.highlight !== kmlStyle.normal) {
+                    addStyle(id + '-normal', kmlStyle.normal);
+                    addStyle(id + '-highlight', kmlStyle.highlight);
+                    lines.push(`<StyleMap id="${id}">`, ...indentKml([
+                        `<Pair><key>normal</key><styleUrl>#${id}-normal</styleUrl></Pair>`,
+                        `<Pair><key>highlight</key><styleUrl>#${id}-highlight</styleUrl></Pair>`
+                    ]), '</StyleMap>');
+                } else {
+                    addStyle(id, kmlStyle.normal);
+                }
+            }
+            return ids.get(kmlStyle);
+        },
+        // Style id for a timeline track color
+        idForTrack: function(track) {
+            const key = 'track:' + track.phone;
+            if (!ids.has(key)) {
+                const id = 'track-' + (ids.size + 1);
+                ids.set(key, id);
+                addStyle(id, {
+                    icon: { href: EXPORT_EVENT_ICON, color: { color: track.color, opacity: 1 }, scale: 0.8 },
+                    line: { color: { color: track.color, opacity: 1 }, width: 3 }
+                });
+            }
+            return ids.get(key);
+        }
+    };
+}
+
+// KML lines for a location record as a <Placemark>
+function locationToKml(loc, styles) {
+    const styleId = styles.idFor(loc.kmlStyle);
+    const time = getLocationExportTime(loc);
+    return ['<Placemark>', ...indentKml([].concat(
+        `<name>${escapeHtml(loc.name)}</name>`,
+        loc.visibility === false ? '<visibility>0</visibility>' : [],
+        loc.description ? `<description>${kmlCdata(loc.description)}</description>` : [],
+        viewToKml(loc.lookAt),
+        time.day
+            ? ['<TimeStamp>', ...indentKml([`<when>${time.day}</when>`]), '</TimeStamp>']
+            : timeToKml(time.timeSpan, time.timestamp),
+        styleId ? `<styleUrl>#${styleId}</styleUrl>` : [],
+        extendedDataToKml(getLocationExportFields(loc, time)),
+        geometryToKml(loc.geometry)
+    )), '</Placemark>'];
+}
+
+// KML lines for locations nested in <Folder>s by their folder path
+function folderTreeToKml(locations, depth, styles) {
+    const lines = [];
+    const subfolders = new Map();
+    locations.forEach(loc => {
+        const name = loc.folderPath[depth];
+        if (name === undefined) {
+            lines.push(...locationToKml(loc, styles));
+        } else {
+            if (!subfolders.has(name)) subfolders.set(name, []);
+            subfolders.get(name).push(loc);
+        }
+    });
+    subfolders.forEach((children, name) => {
+        lines.push('<Folder>', ...indentKml([`<name>${escapeHtml(name)}</name>`]
+            .concat(folderTreeToKml(children, depth + 1, styles))), '</Folder>');
+    });
+    return lines;
+}
+
+// KML lines for a layer's timeline tracks: one time-stamped placemark per event, and a
+// gx:Track per phone so Google Earth can animate its movement
+function tracksToKml(tracks, styles) {
+    return tracks.reduce((lines, track) => {
+        const styleId = styles.idForTrack(track);
+        const events = track.events.map(event => ['<Placemark>', ...indentKml([].concat(
+            `<name>${escapeHtml(event.label)}</name>`,
+            timeToKml(null, event.timestamp),
+            `<styleUrl>#${styleId}</styleUrl>`,
+            extendedDataToKml(getEventExportFields(event)),
+            geometryToKml({ type: 'Point', coord: { lat: event.lat, lng: event.lng, alt: 0 } })
+        )), '</Placemark>']);
+        const path = track.path && track.events.length > 1 ? ['<Placemark>', ...indentKml([].concat(
+            `<name>${escapeHtml(track.label)} movement</name>`,
+            `<styleUrl>#${styleId}</styleUrl>`,
+            geometryToKml({
+                type: 'Track',
+                coords: track.events.map(event => ({ lat: event.lat, lng: event.lng, alt: 0, time: event.timestamp }))
+            })
+        )), '</Placemark>'] : [];
+        return lines.concat('<Folder>', ...indentKml([`<name>${escapeHtml(track.label)}</name>`]
+            .concat(...events, path)), '</Folder>');
+    }, []);
+}
+
+// Write collected export data (see collectMapExport) as a KML document
+function exportMapKml(data, title) {
+    const styles = createKmlStyleRegistry();
+    const body = [];
+    data.layers.forEach(layer => {
+        const content = folderTreeToKml(layer.locations, 0, styles);
+        if (layer.tracks.length > 0) {
+            content.push('<Folder>', ...indentKml(['<name>Timeline Events</name>'].concat(tracksToKml(layer.tracks, styles))), '</Folder>');
+        }
+        body.push('<Folder>', ...indentKml([`<name>${escapeHtml(layer.name)}</name>`].concat(content)), '</Folder>');
+    });
+    if (data.annotations.length > 0) {
+        body.push('<Folder>', ...indentKml(['<name>Annotations</name>']
+            .concat(...data.annotations.map(loc => locationToKml(loc, styles)))), '</Folder>');
+    }
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+        ...indentKml(['<Document>', ...indentKml([`<name>${escapeHtml(title || 'Map export')}</name>`]
+            .concat(styles.lines, body)), '</Document>']),
+        '</kml>',
+        ''
+    ].join('\n');
+}
+
+// ---- GeoJSON ----
+
+// GeoJSON position for a vertex (the altitude is kept when it is not zero)
+function toGeoJsonPosition(coord) {
+    return coord.alt ? [coord.lng, coord.lat, coord.alt] : [coord.lng, coord.lat];
+}
+
+// GeoJSON geometry for a geometry record. Parts of one type become a Multi* geometry and
+// mixed parts a GeometryCollection.
+function geometryToGeoJson(geometry) {
+    const closeRing = coords => {
+        const ring = coords.map(toGeoJsonPosition);
+        const first = ring[0];
+        const last = ring[ring.length - 1];
+        if (first[0] !== last[0] || first[1] !== last[1]) ring.push(first.slice());
+        return ring;
+    };
+
+    switch (geometry.type) {
+        case 'Point':
+        case 'Model':
+            return { type: 'Point', coordinates: toGeoJsonPosition(geometry.coord) };
+        case 'LineString':
+        case 'LinearRing':
+        case 'Track':
+            return { type: 'LineString', coordinates: geometry.coords.map(toGeoJsonPosition) };
+        case 'Polygon':
+            return { type: 'Polygon', coordinates: [geometry.outer].concat(geometry.inner).map(closeRing) };
+        case 'MultiGeometry':
+        case 'MultiTrack': {
+            const parts = geometry.geometries.map(geometryToGeoJson);
+            const types = new Set(parts.map(part => part.type));
+            if (types.size === 1 && !types.has('GeometryCollection') && !parts[0].type.startsWith('Multi')) {
+                return { type: 'Multi' + parts[0].type, coordinates: parts.map(part => part.coordinates) };
+            }
+            return { type: 'GeometryCollection', geometries: parts };
+        }
+        default:
+            return null;
+    }
+}
+
+// Per-vertex times of a geometry's tracks ("coordTimes", as written by other GIS tools),
+// or null when it has no tracks
+function getGeoJsonCoordTimes(geometry) {
+    if (geometry.type === 'Track') {
+        return geometry.coords.map(c => formatExportTime(c.time));
+    }
+    if (geometry.type === 'MultiTrack') {
+        return geometry.geometries.map(getGeoJsonCoordTimes);
+    }
+    return null;
+}
+
+// simplestyle-spec properties (marker-color, stroke, fill, ...) for a placemark's style
+function getGeoJsonStyleProperties(loc) {
+    const style = loc.kmlStyle && loc.kmlStyle.normal;
+    if (!style) return {};
+    const properties = {};
+    if (style.icon && style.icon.color) properties['marker-color'] = style.icon.color.color;
+    if (style.line) {
+        const line = kmlStyleToPathOptions(style, 'line');
+        properties.stroke = line.color;
+        properties['stroke-opacity'] = line.opacity;
+        properties['stroke-width'] = line.weight;
+    }
+    if (style.poly) {
+        const poly = kmlStyleToPathOptions(style, 'polygon');
+        properties.fill = poly.fillColor;
+        properties['fill-opacity'] = poly.fill ? poly.fillOpacity : 0;
+    }
+    return properties;
+}
+
+// GeoJSON time properties: "time" for an instant, "begin"/"end" for a span
+function getGeoJsonTimeProperties(timeSpan, timestamp) {
+    if (timeSpan && timeSpan.type === 'TimeSpan') {
+        return { begin: formatExportTime(timeSpan.begin), end: formatExportTime(timeSpan.end) };
+    }
+    const when = timeSpan ? timeSpan.begin : timestamp;
+    return when ? { time: formatExportTime(when) } : {};
+}
+
+// GeoJSON feature for a location record. ExtendedData fields become properties, without
+// overwriting the name, description, time and layer properties.
+function locationToGeoJson(loc, layerName, kind) {
+    const time = getLocationExportTime(loc);
+    const properties = {
+        ...(loc.extendedData || {}),
+        ...getGeoJsonStyleProperties(loc),
+        name: loc.name,
+        description: loc.description || '',
+        kind: kind,
+        layer: layerName,
+        folder: loc.folderPath.join(' / '),
+        ...(time.day ? { time: time.day } : getGeoJsonTimeProperties(time.timeSpan, time.timestamp))
+    };
+    if (time.derived) properties.derived_time = formatExportTime(time.derived);
+    const coordTimes = getGeoJsonCoordTimes(loc.geometry);
+    if (coordTimes) properties.coordTimes = coordTimes;
+    const raised = flattenGeometry(loc.geometry).find(part => part.altitudeMode && part.altitudeMode !== 'clampToGround');
+    if (raised) properties.altitudeMode = raised.altitudeMode;
+
+    return { type: 'Feature', properties: properties, geometry: geometryToGeoJson(loc.geometry) };
+}
+
+// Write collected export data (see collectMapExport) as a GeoJSON FeatureCollection.
+// Each feature's "kind" is "placemark", "timeline-event", "track" or "annotation".
+function exportMapGeoJson(data, title) {
+    const features = [];
+    data.layers.forEach(layer => {
+        layer.locations.forEach(loc => features.push(locationToGeoJson(loc, layer.name, 'placemark')));
+        layer.tracks.forEach(track => {
+            track.events.forEach(event => features.push({
+                type: 'Feature',
+                properties: {
+                    ...getEventExportFields(event),
+                    name: event.label,
+                    kind: 'timeline-event',
+                    layer: layer.name,
+                    track: track.label,
+                    'marker-color': track.color,
+                    time: formatExportTime(event.timestamp)
+                },
+                geometry: { type: 'Point', coordinates: [event.lng, event.lat] }
+            }));
+            if (track.path && track.events.length > 1) {
+                features.push({
+                    type: 'Feature',
+                    properties: {
+                        name: `${track.label} movement`,
+                        kind: 'track',
+                        layer: layer.name,
+                        phone: track.phone,
+                        stroke: track.color,
+                        begin: formatExportTime(track.events[0].timestamp),
+                        end: formatExportTime(track.events[track.events.length - 1].timestamp),
+                        coordTimes: track.events.map(event => formatExportTime(event.timestamp))
+                    },
+                    geometry: { type: 'LineString', coordinates: track.events.map(event => [event.lng, event.lat]) }
+                });
+            }
+        });
+    });
+    data.annotations.forEach(loc => features.push(locationToGeoJson(loc, 'Annotations', 'annotation')));
+
+    return JSON.stringify({ type: 'FeatureCollection', name: title || 'Map export', features: features }, null, 2) + '\n';
+}
+
+// Save a Blob (text, an image, a PDF) as a file download
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Save text as a file download
+function downloadTextFile(text, fileName, mimeType) {
+    downloadBlob(new Blob([text], { type: mimeType }), fileName);
+}
+
+// Export button: choose KML or GeoJSON and whether to include only what is shown.
+// Sources are the KmlLocations layers to export (addSource adds dropped case files);
+// options.getAnnotations returns the user's annotations as location records.
+// Fires 'export' ({ format, fileName, text }).
+L.Control.MapExport = L.Control.extend({
+    options: {
+        position: 'topleft',
+        title: 'TN v. Zachary Adams',
+        fileName: 'case-map-export',
+        getAnnotations: null
+    },
+
+    initialize: function(sources, options) {
+        L.setOptions(this, options);
+        this._sources = sources.slice();
+    },
+
+    // Add a layer to the export, e.g. a case file dropped on the map
+    addSource: function(name, layer) {
+        this._sources.push({ name: name, layer: layer });
+        return this;
+    },
+
+    // Stop exporting a layer, e.g. a case file taken off the map
+    removeSource: function(layer) {
+        this._sources = this._sources.filter(source => source.layer !== layer);
+        return this;
+    },
+
+    onAdd: function(map) {
+        const container = L.DomUtil.create('div', 'map-export leaflet-bar');
+        L.DomEvent.disableClickPropagation(container);
+
+        const button = L.DomUtil.create('a', 'map-export-button', container);
+        button.href = '#';
+        button.title = 'Export the map and timeline as KML or GeoJSON';
+        button.textContent = 'Export';
+
+        const form = L.DomUtil.create('div', 'map-export-form', container);
+        form.style.display = 'none';
+        const format = L.DomUtil.create('select', '', form);
+        [['kml', 'KML (Google Earth)'], ['geojson', 'GeoJSON']].forEach(([value, label]) => {
+            const option = L.DomUtil.create('option', '', format);
+            option.value = value;
+            option.textContent = label;
+        });
+        const visibleLabel = L.DomUtil.create('label', '', form);
+        const visibleOnly = L.DomUtil.create('input', '', visibleLabel);
+        visibleOnly.type = 'checkbox';
+        visibleOnly.checked = true;
+        visibleLabel.appendChild(document.createTextNode(' Visible layers only'));
+        const download = L.DomUtil.create('button', '', form);
+        download.type = 'button';
+        download.textContent = 'Download';
+
+        L.DomEvent.on(button, 'click', (e) => {
+            L.DomEvent.preventDefault(e);
+            form.style.display = form.style.display === 'none' ? '' : 'none';
+        });
+        L.DomEvent.on(download, 'click', () => {
+            this.exportMap(format.value, visibleOnly.checked);
+            form.style.display = 'none';
+        });
+
+        return container;
+    },
+
+    // Build the export file and download it. Returns { format, fileName, text }.
+    exportMap: function(format, visibleOnly) {
+        const data = collectMapExport(this._sources, {
+            visibleOnly: visibleOnly,
+            annotations: this.options.getAnnotations ? this.options.getAnnotations() : []
+        });
+        const geoJson = format === 'geojson';
+        const result = {
+            format: geoJson ? 'geojson' : 'kml',
+            fileName: this.options.fileName + (geoJson ? '.geojson' : '.kml'),
+            text: geoJson ? exportMapGeoJson(data, this.options.title) : exportMapKml(data, this.options.title)
+        };
+        downloadTextFile(result.text, result.fileName,
+            geoJson ? 'application/geo+json' : 'application/vnd.google-earth.kml+xml');
+        this.fire('export', result);
+        return result;
+    }
+});
+
+L.Control.MapExport.include(L.Evented.prototype);
+
+L.control.mapExport = function(sources, options) {
+    return new L.Control.MapExport(sources, options);
+};
+
+// Export functions
+window.collectMapExport = collectMapExport;
+window.exportMapKml = exportMapKml;
+window.exportMapGeoJson = exportMapGeoJson;
+window.downloadBlob = downloadBlob;
+window.downloadTextFile = downloadTextFile;
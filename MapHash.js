@@ -0,0 +1,410 @@
+/**
+ * Map Hash
+ * Keeps the current view in the URL hash, e.g.
+ * #t=2011-04-13T09:42&z=13&ll=35.86,-87.94&layers=kml-locations,cell-towers&event=event-12,
+ * so a shared link opens the same time, place, layers and selected event, and the browser's
+ * back and forward buttons step through earlier views. Hand-written links may shorten layer
+ * names to a word, e.g. layers=towers,gps
+ */
+
+// Hash parameters, in the order they are written
+// t:      player time, wall clock in the case time zone (a UTC offset may be added)
+// z, ll:  map zoom and center (lat,lng)
+// layers: overlays and KML folders switched on, and phone tracks switched off (see getHashLayers)
+// event:  selected evidence entry: a timeline event or annotation id, or "place:" and a placemark's path
+const MAP_HASH_KEYS = ['t', 'z', 'll', 'layers', 'event'];
+
+// Hash key for a name: lower case words joined by '-', e.g. "CELL TOWERS" -> "cell-towers"
+function toHashSlug(name) {
+    return String(name).toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Hash key for a KML folder: the slugs of its path, e.g. "cell-towers/parsons-cell-tower/sector-a"
+function getFolderHashKey(folder) {
+    return folder.path.map(toHashSlug).join('/');
+}
+
+// Whether a short layer key names a slug: its words appear together in it, e.g. "towers" in
+// "cell-towers" or "gps" in "phone-gps-trail"
+function hashKeyMatches(key, slug) {
+    return ('-' + slug + '-').includes('-' + key + '-');
+}
+
+// Hash key for an evidence panel entry
+function getEntryHashKey(entry) {
+    if (entry.event) {
+        return entry.event.id;
+    }
+    if (entry.annotation) {
+        return entry.annotation.id;
+    }
+    return 'place:' + entry.location.folderPath.concat(entry.location.name).map(toHashSlug).join('/');
+}
+
+// Time as written in the hash: case time zone, without seconds when they are zero
+function formatHashTime(time) {
+    const text = formatCaseIsoDate(new Date(time));
+    return text.slice(17, 19) === '00' ? text.slice(0, 16) : text.slice(0, 19);
+}
+
+// Read a hash ("#t=...&z=...") into { time, zoom, center, layers, event }; missing or
+// unreadable parameters are null
+function parseMapHash(hash) {
+    const params = {};
+    String(hash || '').replace(/^#/, '').split('&').forEach(pair => {
+        const index = pair.indexOf('=');
+        if (index > 0) {
+            try {
+                params[pair.slice(0, index)] = decodeURIComponent(pair.slice(index + 1));
+            } catch (error) {
+                // Leave out a parameter with broken escapes
+            }
+        }
+    });
+
+    const date = params.t ? parseKmlWhen(params.t) : null;
+    const zoom = params.z !== undefined ? Number(params.z) : NaN;
+    const ll = params.ll ? params.ll.split(',').map(Number) : [];
+    return {
+        time: date ? date.getTime() : null,
+        zoom: params.z !== '' && isFinite(zoom) ? zoom : null,
+        center: ll.length === 2 && ll.every(isFinite) && Math.abs(ll[0]) <= 90 && Math.abs(ll[1]) <= 180
+            ? L.latLng(ll[0], ll[1]) : null,
+        layers: params.layers !== undefined ? params.layers.split(',').filter(key => key) : null,
+        event: params.event || null
+    };
+}
+
+// Write a state from MapHash.getState() as a hash, without the leading '#'
+function buildMapHash(state) {
+    // Commas, slashes and colons stay readable in the address bar
+    const encode = value => encodeURIComponent(value).replace(/%2C/g, ',').replace(/%2F/g, '/').replace(/%3A/g, ':');
+    // About a metre at the zoom level's scale
+    const precision = Math.max(2, Math.ceil(Math.log10(Math.pow(2, state.zoom || 0))));
+    const values = {
+        t: state.time !== null ? formatHashTime(state.time) : null,
+        z: state.zoom !== null ? String(state.zoom) : null,
+        ll: state.center ? state.center.lat.toFixed(precision) + ',' + state.center.lng.toFixed(precision) : null,
+        layers: state.layers ? state.layers.join(',') : null,
+        event: state.event
+    };
+    return MAP_HASH_KEYS
+        .filter(key => values[key] !== null && values[key] !== undefined)
+        .map(key => key + '=' + encode(values[key]))
+        .join('&');
+}
+
+// Follows the map, the player, the KML layer's folders and tracks and the evidence panel's
+// selection, and writes them to the hash; reading a hash (on load or back/forward) restores them.
+// overlays are the layer control's overlays ({ name: layer }), listed in the hash by name.
+// Fires 'unmatchedlayers' ({ keys }) when a restored hash lists layers that are not on the map.
+L.MapHash = L.Evented.extend({
+    options: {
+        // Wait this long (ms) after a change before writing the hash
+        writeDelay: 300,
+        // Time steps closer together than this (ms), as while the player runs, share one
+        // history entry instead of filling the back button
+        historyDelay: 5000
+    },
+
+    initialize: function(kmlLayer, overlays, evidencePanel, options) {
+        L.setOptions(this, options);
+        this._kmlLayer = kmlLayer;
+        this._overlays = new Map();
+        this._evidencePanel = evidencePanel || null;
+        this._selectedEntry = null;
+        Object.keys(overlays || {}).forEach(name => this.addOverlay(name, overlays[name]));
+    },
+
+    addTo: function(map) {
+        this._map = map;
+        map.on('moveend', this._onChange, this);
+        map.on('layeradd layerremove', this._onLayerChange, this);
+        map.timeDimension.on('timeload', this._onTimeLoad, this);
+        this._kmlLayer.on('visibilitychange trackvisibilitychange', this._onChange, this);
+        if (this._evidencePanel) {
+            this._evidencePanel.on('select', this._onSelect, this);
+        }
+        this._onHashChange = this._onHashChange.bind(this);
+        window.addEventListener('popstate', this._onHashChange);
+        window.addEventListener('hashchange', this._onHashChange);
+
+        if (location.hash.length > 1) {
+            this.setState(parseMapHash(location.hash));
+        }
+        return this;
+    },
+
+    remove: function() {
+        this._map.off('moveend', this._onChange, this);
+        this._map.off('layeradd layerremove', this._onLayerChange, this);
+        this._map.timeDimension.off('timeload', this._onTimeLoad, this);
+        this._kmlLayer.off('visibilitychange trackvisibilitychange', this._onChange, this);
+        if (this._evidencePanel) {
+            this._evidencePanel.off('select', this._onSelect, this);
+        }
+        window.removeEventListener('popstate', this._onHashChange);
+        window.removeEventListener('hashchange', this._onHashChange);
+        clearTimeout(this._writeTimer);
+        this._map = null;
+        return this;
+    },
+
+    // Track another overlay (e.g. a weather source added after the page loaded); it is switched
+    // on if the hash being shown lists it
+    addOverlay: function(name, layer) {
+        const key = toHashSlug(name);
+        this._overlays.set(key, layer);
+        const listed = this._restoredLayers && Array.from(this._restoredLayers).some(listedKey =>
+            listedKey === key || (!/[/:]/.test(listedKey) && hashKeyMatches(listedKey, key)));
+        if (this._map && listed && !this._map.hasLayer(layer)) {
+            this._map.addLayer(layer);
+        }
+        return this;
+    },
+
+    // Stop tracking an overlay, e.g. a case file taken off the map
+    removeOverlay: function(layer) {
+        this._overlays.forEach((overlay, key) => {
+            if (overlay === layer) this._overlays.delete(key);
+        });
+        this._onChange();
+        return this;
+    },
+
+    // { time, zoom, center, layers, event } of the current view
+    getState: function() {
+        return {
+            time: this._map.timeDimension.getCurrentTime(),
+            zoom: this._map.getZoom(),
+            center: this._map.getCenter(),
+            layers: this.getHashLayers(),
+            event: this._selectedEntry ? getEntryHashKey(this._selectedEntry) : null
+        };
+    },
+
+    // Layer keys for the hash. Overlays on the map are listed by name. KML folders are listed
+    // only where they differ from the folder above: a top-level folder when it is on, and a
+    // folder inside one that is on with a leading '-' when it is off. A folder switched off
+    // with '-' keeps its subfolders' own switches, so one key turns off a whole branch.
+    // Phone tracks are on unless listed as "-phone:<phone>".
+    getHashLayers: function() {
+        const keys = [];
+        this._overlays.forEach((layer, key) => {
+            if (this._map.hasLayer(layer)) keys.push(key);
+        });
+
+        const addFolders = (node, inherited) => {
+            node.children.forEach(child => {
+                const visible = this._kmlLayer.isFolderVisible(child.folder);
+                if (visible !== inherited) {
+                    keys.push((visible ? '' : '-') + getFolderHashKey(child.folder));
+                }
+                addFolders(child, visible || inherited);
+            });
+        };
+        addFolders(this._kmlLayer.getFolderTree(), false);
+
+        this._kmlLayer.getTracks().forEach(track => {
+            if (!track.visible) keys.push('-phone:' + track.phone);
+        });
+        return keys;
+    },
+
+    // Restore a state read with parseMapHash; parameters that are null are left as they are
+    setState: function(state) {
+        this._restoring = true;
+        if (state.layers) {
+            const layers = this._resolveHashLayers(state.layers);
+            this._restoredLayers = new Set(state.layers);
+            this._applyHashLayers(layers.keys);
+            if (layers.unmatched.length > 0) {
+                this.fire('unmatchedlayers', { keys: layers.unmatched });
+            }
+        }
+        const entry = state.event ? this._findEntry(state.event) : null;
+        if (entry) {
+            // Selecting seeks and pans to the entry; t, z and ll below win over it
+            this._evidencePanel.select(entry);
+        }
+        this._selectedEntry = entry;
+        if (state.time !== null) {
+            this._map.timeDimension.setCurrentTime(state.time);
+        }
+        if (state.center || state.zoom !== null) {
+            this._map.setView(state.center || this._map.getCenter(),
+                state.zoom !== null ? state.zoom : this._map.getZoom(), { animate: false });
+        }
+        this._restoring = false;
+        this._lastHash = location.hash;
+        // The restored view replaces its own history entry once the time and layers have settled
+        this._replaceNext = true;
+        this._scheduleWrite();
+        this.fire('restore', { state: state });
+        return this;
+    },
+
+    // The overlay, folder and phone keys named by a hash's layer keys: { keys, unmatched }.
+    // Besides the keys getHashLayers writes, a short key names the overlays whose name holds
+    // its words, else the shallowest folders whose own name does, e.g. "towers" for the
+    // "CELL TOWERS" folder or "-gps" to switch off "PHONE GPS TRAIL". Listing a folder keeps
+    // the KML layer itself on.
+    _resolveHashLayers: function(keys) {
+        const folders = [];
+        const addFolders = node => node.children.forEach(child => {
+            folders.push({ key: getFolderHashKey(child.folder), depth: child.folder.path.length });
+            addFolders(child);
+        });
+        addFolders(this._kmlLayer.getFolderTree());
+        const phones = new Set(this._kmlLayer.getTracks().map(track => '-phone:' + track.phone));
+
+        const resolved = new Set();
+        const unmatched = [];
+        let folderListed = false;
+        keys.forEach(key => {
+            if (phones.has(key)) {
+                resolved.add(key);
+                return;
+            }
+            const off = key.startsWith('-');
+            const name = off ? key.slice(1) : key;
+            let matches = [];
+            if (this._overlays.has(name) || folders.some(folder => folder.key === name)) {
+                matches = [name];
+            } else if (!/[/:]/.test(name)) {
+                matches = Array.from(this._overlays.keys()).filter(overlay => hashKeyMatches(name, overlay));
+                if (matches.length === 0) {
+                    const named = folders.filter(folder => hashKeyMatches(name, folder.key.split('/').pop()));
+                    const depth = Math.min(...named.map(folder => folder.depth));
+                    matches = named.filter(folder => folder.depth === depth).map(folder => folder.key);
+                }
+            }
+            if (matches.length === 0) {
+                unmatched.push(key);
+            }
+            matches.forEach(match => {
+                const isFolder = !this._overlays.has(match);
+                if (off && isFolder) {
+                    resolved.add('-' + match);
+                } else if (!off) {
+                    resolved.add(match);
+                    folderListed = folderListed || isFolder;
+                }
+            });
+        });
+
+        if (folderListed) {
+            this._overlays.forEach((layer, key) => {
+                if (layer === this._kmlLayer) resolved.add(key);
+            });
+        }
+        return { keys: Array.from(resolved), unmatched: unmatched };
+    },
+
+    _applyHashLayers: function(keys) {
+        const listed = new Set(keys);
+        this._overlays.forEach((layer, key) => {
+            if (listed.has(key) && !this._map.hasLayer(layer)) {
+                this._map.addLayer(layer);
+            } else if (!listed.has(key) && this._map.hasLayer(layer)) {
+                this._map.removeLayer(layer);
+            }
+        });
+
+        // Unlisted folders follow the folder above (see getHashLayers), top-level ones are off
+        const applyFolders = (node, inherited) => {
+            node.children.forEach(child => {
+                const key = getFolderHashKey(child.folder);
+                const visible = listed.has(key) ? true : listed.has('-' + key) ? false : inherited;
+                if (this._kmlLayer.isFolderVisible(child.folder) !== visible) {
+                    this._kmlLayer.setFolderVisible(child.folder, visible);
+                }
+                applyFolders(child, visible || inherited);
+            });
+        };
+        applyFolders(this._kmlLayer.getFolderTree(), false);
+
+        this._kmlLayer.getTracks().forEach(track => {
+            const visible = !listed.has('-phone:' + track.phone);
+            if (track.visible !== visible) {
+                this._kmlLayer.setTrackVisible(track.phone, visible);
+            }
+        });
+    },
+
+    _findEntry: function(key) {
+        if (!this._evidencePanel) return null;
+        return this._evidencePanel.getEntries().find(entry => getEntryHashKey(entry) === key) || null;
+    },
+
+    _onSelect: function(e) {
+        this._selectedEntry = e.entry;
+        this._onChange();
+    },
+
+    // Moving the player away from the selected entry's time ends the selection
+    _onTimeLoad: function(e) {
+        if (this._selectedEntry && this._map.timeDimension.seekNearestTime(this._selectedEntry.time) !== e.time) {
+            this._selectedEntry = null;
+        }
+        this._onChange();
+    },
+
+    // Only the overlays listed in the hash matter, not every marker the layers add
+    _onLayerChange: function(e) {
+        if (Array.from(this._overlays.values()).includes(e.layer)) {
+            this._onChange();
+        }
+    },
+
+    _onChange: function() {
+        if (!this._restoring) {
+            this._scheduleWrite();
+        }
+    },
+
+    _scheduleWrite: function() {
+        clearTimeout(this._writeTimer);
+        this._writeTimer = setTimeout(() => this._write(), this.options.writeDelay);
+    },
+
+    _write: function() {
+        if (!this._map) return;
+        const state = this.getState();
+        const hash = '#' + buildMapHash(state);
+        if (hash === location.hash) {
+            this._replaceNext = false;
+            return;
+        }
+
+        // A change of time alone soon after another one updates the current history entry
+        const rest = buildMapHash({ ...state, time: null });
+        const now = Date.now();
+        const timeStep = this._lastWrite && this._lastWrite.rest === rest && now - this._lastWrite.at < this.options.historyDelay;
+        if (this._replaceNext || timeStep) {
+            history.replaceState(null, '', hash);
+        } else {
+            history.pushState(null, '', hash);
+        }
+        this._replaceNext = false;
+        this._lastWrite = { rest: rest, at: now };
+        this._lastHash = hash;
+        this.fire('hashchange', { hash: hash, state: state });
+    },
+
+    // Back/forward, or a hash edited by hand
+    _onHashChange: function() {
+        if (location.hash === this._lastHash) return;
+        this._lastWrite = null;
+        this.setState(parseMapHash(location.hash));
+    }
+});
+
+L.mapHash = function(kmlLayer, overlays, evidencePanel, options) {
+    return new L.MapHash(kmlLayer, overlays, evidencePanel, options);
+};
+
+// Export functions
+window.toHashSlug = toHashSlug;
+window.parseMapHash = parseMapHash;
+window.buildMapHash = buildMapHash;
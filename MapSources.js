@@ -0,0 +1,101 @@
+/**
+ * Map Sources
+ * Chooses where the base tiles and current weather come from, following the mode in
+ * map-config.js or ?mode= in the page's URL: OpenStreetMap and RainViewer online, the local
+ * tiles and weather named in the configuration offline. The libraries are vendored in ./vendor
+ * and load the same way in both modes. Also registers the service worker (service-worker.js)
+ * that keeps the map usable without a network.
+ */
+
+const MAP_MODES = ['online', 'offline'];
+
+const DEFAULT_MAP_CONFIG = {
+    mode: 'online',
+    offlineTiles: {
+        url: './tiles/{z}/{x}/{y}.png',
+        name: 'Case Area (offline)',
+        maxZoom: 19,
+        attribution: ''
+    },
+    offlineWeather: null,
+    serviceWorker: true
+};
+
+let currentMapConfig = null;
+
+// The settings in map-config.js over the defaults, with the mode from the URL when one is given
+function getMapConfig() {
+    if (currentMapConfig) {
+        return currentMapConfig;
+    }
+    const settings = window.MAP_CONFIG || {};
+    const config = {
+        ...DEFAULT_MAP_CONFIG,
+        ...settings,
+        offlineTiles: { ...DEFAULT_MAP_CONFIG.offlineTiles, ...settings.offlineTiles }
+    };
+    const requested = new URLSearchParams(location.search).get('mode');
+    if (requested) {
+        config.mode = requested;
+    }
+    if (!MAP_MODES.includes(config.mode)) {
+        console.warn(`Unknown map mode "${config.mode}"; using online`);
+        config.mode = 'online';
+    }
+    currentMapConfig = config;
+    return config;
+}
+
+// Whether the map uses the offline sources
+function isOfflineMode() {
+    return getMapConfig().mode === 'offline';
+}
+
+// The current weather settings for Rainviewer.js: the online settings as given, the saved copy
+// named in offlineWeather offline, or null when there is none
+function getCurrentWeatherConfig(onlineConfig) {
+    const config = getMapConfig();
+    if (config.mode === 'online') {
+        return onlineConfig;
+    }
+    return config.offlineWeather ? { ...onlineConfig, ...config.offlineWeather } : null;
+}
+
+// Register service-worker.js (or remove it when serviceWorker is off), then ask it to keep the
+// offline tile archive. Only pages served over http(s) can have one
+async function registerMapServiceWorker() {
+    const config = getMapConfig();
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) {
+        return null;
+    }
+    if (!config.serviceWorker) {
+        const scope = new URL('./', location.href).href;
+        const registrations = await navigator.serviceWorker.getRegistrations();
+        await Promise.all(registrations
+            .filter(registration => registration.scope === scope)
+            .map(registration => registration.unregister()));
+        return null;
+    }
+    const registration = await navigator.serviceWorker.register('./service-worker.js');
+    const keep = [];
+    if (config.mode === 'offline' && isPmTilesUrl(config.offlineTiles.url)) {
+        keep.push(config.offlineTiles.url);
+    }
+    if (keep.length > 0) {
+        const worker = (await navigator.serviceWorker.ready).active;
+        worker.postMessage({ type: 'keep', urls: keep.map(url => new URL(url, location.href).href) });
+    }
+    return registration;
+}
+
+// Whether a tile URL names a PMTiles archive rather than a {z}/{x}/{y} template
+function isPmTilesUrl(url) {
+    return /\.pmtiles([?#]|$)/i.test(url);
+}
+
+// Export functions
+window.getMapConfig = getMapConfig;
+window.isOfflineMode = isOfflineMode;
+window.getCurrentWeatherConfig = getCurrentWeatherConfig;
+window.registerMapServiceWorker = registerMapServiceWorker;
+window.isPmTilesUrl = isPmTilesUrl;
@@ -0,0 +1,329 @@
+/**
+ * Offline Tiles
+ * Base tiles for offline mode (see MapSources.js). A PMTiles archive (version 3) holds the case
+ * area's raster tiles in one file next to index.html; it is read with byte range requests, and
+ * when the server ignores them (as python3 -m http.server does) the whole file is read once and
+ * tiles are cut from it. A directory of {z}/{x}/{y} tiles uses Leaflet's own tile layer.
+ */
+
+const PMTILES_HEADER_LENGTH = 127;
+
+// The header and root directory are in the archive's first 16 KiB
+const PMTILES_ROOT_LENGTH = 16384;
+
+// Leaf directories are nested at most this deep below the root
+const PMTILES_MAX_DEPTH = 3;
+
+const PMTILES_COMPRESSIONS = { 0: 'unknown', 1: 'none', 2: 'gzip', 3: 'brotli', 4: 'zstd' };
+
+// Image types of raster archives; type 1 is vector tiles, which Leaflet cannot draw
+const PMTILES_IMAGE_TYPES = { 2: 'image/png', 3: 'image/jpeg', 4: 'image/webp', 5: 'image/avif' };
+
+class PmTilesError extends Error {
+    constructor(url, message) {
+        super(`Could not read tile archive ${url}: ${message}`);
+        this.name = 'PmTilesError';
+        this.url = url;
+    }
+}
+
+// Tile id of z/x/y in an archive: the count of tiles at lower zooms, then the tile's place
+// along the zoom's Hilbert curve
+function zxyToPmTileId(z, x, y) {
+    let id = (Math.pow(4, z) - 1) / 3;
+    for (let s = Math.pow(2, z - 1); s >= 1; s /= 2) {
+        const rx = (x & s) > 0 ? 1 : 0;
+        const ry = (y & s) > 0 ? 1 : 0;
+        id += s * s * ((3 * rx) ^ ry);
+        if (ry === 0) {
+            if (rx === 1) {
+                x = s - 1 - x;
+                y = s - 1 - y;
+            }
+            [x, y] = [y, x];
+        }
+    }
+    return id;
+}
+
+// Read the fixed-size header at the start of an archive
+function parsePmTilesHeader(bytes, url) {
+    if (bytes.length < PMTILES_HEADER_LENGTH || String.fromCharCode(...bytes.subarray(0, 7)) !== 'PMTiles') {
+        throw new PmTilesError(url, 'not a PMTiles archive');
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, PMTILES_HEADER_LENGTH);
+    const version = view.getUint8(7);
+    if (version !== 3) {
+        throw new PmTilesError(url, `version ${version} archives are not supported; convert it with "pmtiles convert"`);
+    }
+    const uint64 = offset => view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 4294967296;
+    const degrees = offset => view.getInt32(offset, true) / 1e7;
+    const header = {
+        rootDirectoryOffset: uint64(8),
+        rootDirectoryLength: uint64(16),
+        leafDirectoryOffset: uint64(40),
+        tileDataOffset: uint64(56),
+        internalCompression: view.getUint8(97),
+        tileCompression: view.getUint8(98),
+        tileType: view.getUint8(99),
+        minZoom: view.getUint8(100),
+        maxZoom: view.getUint8(101),
+        // [[south, west], [north, east]]
+        bounds: [[degrees(106), degrees(102)], [degrees(114), degrees(110)]],
+        center: { zoom: view.getUint8(118), lat: degrees(123), lng: degrees(119) }
+    };
+    if (!PMTILES_IMAGE_TYPES[header.tileType]) {
+        const kind = header.tileType === 1 ? 'vector tiles' : 'tiles of an unknown type';
+        throw new PmTilesError(url, `it holds ${kind}; the map needs PNG, JPEG or WebP tiles`);
+    }
+    return header;
+}
+
+// Undo the compression of a directory or tile
+async function decompressPmTiles(bytes, compression, url) {
+    if (compression === 0 || compression === 1) {
+        return bytes;
+    }
+    if (compression !== 2) {
+        throw new PmTilesError(url, `${PMTILES_COMPRESSIONS[compression] || compression} compression is not supported; use gzip`);
+    }
+    if (typeof DecompressionStream === 'undefined') {
+        throw new PmTilesError(url, 'this browser cannot read gzip-compressed archives');
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Read a directory: the count of entries, then their tile ids (as steps from the one before),
+// run lengths, lengths and offsets, each as varints. An offset of 0 after the first entry
+// means the entry follows the one before it
+function parsePmTilesDirectory(bytes) {
+    let position = 0;
+    const readVarint = () => {
+        let value = 0;
+        let factor = 1;
+        let byte;
+        do {
+            if (position >= bytes.length) {
+                throw new RangeError('directory ends early');
+            }
+            byte = bytes[position++];
+            value += (byte & 0x7f) * factor;
+            factor *= 128;
+        } while (byte & 0x80);
+        return value;
+    };
+
+    const count = readVarint();
+    const entries = [];
+    let tileId = 0;
+    for (let i = 0; i < count; i++) {
+        tileId += readVarint();
+        entries.push({ tileId: tileId, runLength: 0, length: 0, offset: 0 });
+    }
+    entries.forEach(entry => { entry.runLength = readVarint(); });
+    entries.forEach(entry => { entry.length = readVarint(); });
+    entries.forEach((entry, i) => {
+        const value = readVarint();
+        entry.offset = value === 0 && i > 0
+            ? entries[i - 1].offset + entries[i - 1].length
+            : value - 1;
+    });
+    return entries;
+}
+
+// The directory entry covering a tile id: its tiles, or a leaf directory (run length 0) to
+// look in next. Null when the archive has no such tile
+function findPmTilesEntry(entries, tileId) {
+    let low = 0;
+    let high = entries.length - 1;
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+        const difference = tileId - entries[middle].tileId;
+        if (difference > 0) {
+            low = middle + 1;
+        } else if (difference < 0) {
+            high = middle - 1;
+        } else {
+            return entries[middle];
+        }
+    }
+    // entries[high] is the last one starting before the tile id
+    if (high >= 0) {
+        const entry = entries[high];
+        if (entry.runLength === 0 || tileId - entry.tileId < entry.runLength) {
+            return entry;
+        }
+    }
+    return null;
+}
+
+// A PMTiles archive at a URL, read as tiles are asked for
+class PmTilesArchive {
+    constructor(url) {
+        this.url = url;
+        this._header = null;
+        this._directories = new Map();
+        // The whole file, once the server has answered a range request with all of it
+        this._file = null;
+    }
+
+    // Bytes [offset, offset + length) of the archive
+    async _read(offset, length) {
+        if (!this._file) {
+            let response;
+            try {
+                response = await fetch(this.url, { headers: { Range: `bytes=${offset}-${offset + length - 1}` } });
+            } catch (error) {
+                throw new PmTilesError(this.url, error.message || 'network error');
+            }
+            if (!response.ok) {
+                throw new PmTilesError(this.url, `${response.status} ${response.statusText}`);
+            }
+            if (response.status === 206) {
+                return new Uint8Array(await response.arrayBuffer());
+            }
+            this._file = response.arrayBuffer();
+        }
+        const file = await this._file;
+        const start = Math.min(offset, file.byteLength);
+        return new Uint8Array(file, start, Math.min(length, file.byteLength - start));
+    }
+
+    // The archive's header, read once along with its root directory
+    getHeader() {
+        if (!this._header) {
+            this._header = this._read(0, PMTILES_ROOT_LENGTH).then(bytes => {
+                const header = parsePmTilesHeader(bytes, this.url);
+                const rootEnd = header.rootDirectoryOffset + header.rootDirectoryLength;
+                if (rootEnd <= bytes.length) {
+                    this._directories.set(header.rootDirectoryOffset, this._parseDirectory(
+                        bytes.subarray(header.rootDirectoryOffset, rootEnd), header));
+                }
+                return header;
+            });
+        }
+        return this._header;
+    }
+
+    async _parseDirectory(bytes, header) {
+        const data = await decompressPmTiles(bytes, header.internalCompression, this.url);
+        try {
+            return parsePmTilesDirectory(data);
+        } catch (error) {
+            throw new PmTilesError(this.url, error.message);
+        }
+    }
+
+    // A directory's entries, read once
+    _getDirectory(offset, length, header) {
+        if (!this._directories.has(offset)) {
+            this._directories.set(offset, this._read(offset, length)
+                .then(bytes => this._parseDirectory(bytes, header)));
+        }
+        return this._directories.get(offset);
+    }
+
+    // The image of tile z/x/y as a Blob, or null when the archive does not have it
+    async getTile(z, x, y) {
+        const header = await this.getHeader();
+        if (z < header.minZoom || z > header.maxZoom) {
+            return null;
+        }
+        const tileId = zxyToPmTileId(z, x, y);
+        let offset = header.rootDirectoryOffset;
+        let length = header.rootDirectoryLength;
+        for (let depth = 0; depth <= PMTILES_MAX_DEPTH; depth++) {
+            const entry = findPmTilesEntry(await this._getDirectory(offset, length, header), tileId);
+            if (!entry) {
+                return null;
+            }
+            if (entry.runLength > 0) {
+                const bytes = await this._read(header.tileDataOffset + entry.offset, entry.length);
+                const image = await decompressPmTiles(bytes, header.tileCompression, this.url);
+                return new Blob([image], { type: PMTILES_IMAGE_TYPES[header.tileType] });
+            }
+            offset = header.leafDirectoryOffset + entry.offset;
+            length = entry.length;
+        }
+        throw new PmTilesError(this.url, 'its leaf directories are nested too deeply');
+    }
+}
+
+// Tile layer showing the raster tiles of a PMTiles archive. Once the archive's header is read
+// the layer keeps to its bounds and scales up its deepest tiles past its maximum zoom.
+// Fires 'archiveload' with the header, or 'archiveerror' with the error
+L.TileLayer.PMTiles = L.TileLayer.extend({
+
+    initialize: function(url, options) {
+        L.TileLayer.prototype.initialize.call(this, url, options);
+        this._archive = new PmTilesArchive(url);
+        this._headerRequest = null;
+    },
+
+    onAdd: function(map) {
+        L.TileLayer.prototype.onAdd.call(this, map);
+        if (!this._headerRequest) {
+            this._headerRequest = this._archive.getHeader()
+                .then(header => {
+                    L.setOptions(this, {
+                        bounds: L.latLngBounds(header.bounds),
+                        maxNativeZoom: header.maxZoom
+                    });
+                    if (this._map) {
+                        this.redraw();
+                    }
+                    this.fire('archiveload', { header: header });
+                })
+                .catch(error => {
+                    console.error(error);
+                    this.fire('archiveerror', { error: error });
+                });
+        }
+    },
+
+    createTile: function(coords, done) {
+        const tile = document.createElement('img');
+        tile.alt = '';
+        tile.setAttribute('role', 'presentation');
+        this._archive.getTile(coords.z, coords.x, coords.y)
+            .then(blob => {
+                // Left empty when the archive has no tile here, or Leaflet dropped the tile meanwhile
+                if (!blob || tile.getAttribute('src')) {
+                    done(null, tile);
+                    return;
+                }
+                tile.onload = () => done(null, tile);
+                tile.onerror = () => done(new Error(`Tile ${coords.z}/${coords.x}/${coords.y} is not a readable image`), tile);
+                tile.src = URL.createObjectURL(blob);
+            })
+            .catch(error => done(error, tile));
+        return tile;
+    },
+
+    // Free a tile's image when Leaflet drops it
+    _removeTile: function(key) {
+        const tile = this._tiles[key];
+        if (tile && tile.el.src.startsWith('blob:')) {
+            URL.revokeObjectURL(tile.el.src);
+        }
+        return L.TileLayer.prototype._removeTile.call(this, key);
+    }
+});
+
+L.tileLayer.pmTiles = function(url, options) {
+    return new L.TileLayer.PMTiles(url, options);
+};
+
+// The offline base layer from offlineTiles in map-config.js: a PMTiles archive, or a tile
+// directory given as a {z}/{x}/{y} template
+function createOfflineTileLayer(settings) {
+    const { url, name, ...options } = settings;
+    return isPmTilesUrl(url) ? L.tileLayer.pmTiles(url, options) : L.tileLayer(url, options);
+}
+
+// Export functions
+window.PmTilesError = PmTilesError;
+window.PmTilesArchive = PmTilesArchive;
+window.zxyToPmTileId = zxyToPmTileId;
+window.createOfflineTileLayer = createOfflineTileLayer;
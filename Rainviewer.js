@@ -1,31 +1,60 @@
 
 
+// How far (ms) a RainViewer frame may be from the player time and still be shown; its frames
+// are 10 minutes apart
+const RAINVIEWER_TIME_TOLERANCE = 15 * 60 * 1000;
+
 L.TimeDimension.Layer.Rainviewer = L.TimeDimension.Layer.extend({
 
+  // endpoint is the RainViewer weather-maps.json URL, or a historical weather source
+  // (see loadWeatherSource) whose frames are shown at their own times
   initialize: function(endpoint, options={}) {
+    const source = typeof endpoint === 'string' ? null : endpoint;
     
-    options['attribution'] = options['attribution'] || "<a href='https://www.rainviewer.com/api.html' rel='noopener noreferrer' target='_blank'>RainViewer</a>";
+    options['attribution'] = options['attribution'] || (source
+        ? source.attribution || ''
+        : "<a href='https://www.rainviewer.com/api.html' rel='noopener noreferrer' target='_blank'>RainViewer</a>");
 
     L.TimeDimension.Layer.prototype.initialize.call(this, L.tileLayer(''), options);
         this._metadata = {};
         this._frames = {};
-        this._layers = {};
+        // Frame layers by frame time, least recently used first
+        this._layers = new Map();
         this._defaultTime = 12;
         this._availableTimes = [];
-        this._timeCacheBackward = this.options.cacheBackward || this.options.cache || 0;
-        this._timeCacheForward = this.options.cacheForward || this.options.cache || 0;
-        this._updateTimeDimension = this.options.updateTimeDimension  || true ;
-        this._updateTimeDimensionMode = this.options.updateTimeDimensionMode || 'union'; // 'union', 'replace' or extremes
-        this._type = this.options.type || 'radar';
+        // At most cacheSize frames are kept on the map (each holds the tiles of the current view);
+        // the player's next frames are loaded ahead, enough for prefetchTime ms of playback
+        this._cacheSize = Math.max(2, this.options.cacheSize || 12);
+        this._prefetchTime = this.options.prefetchTime !== undefined ? this.options.prefetchTime : 4000;
+        this._minimumPrefetch = 1;
+        this._pendingFrames = new Set();
+        // Part in the player's times (see TIME_ROLES): weather follows the case timeline unless
+        // made the primary layer, and then the player starts on the latest past frame
+        this._timeRole = this.options.timeRole || 'follower';
+        // Player time + timeOffset (ms) is matched to the nearest frame no more than timeTolerance
+        // ms away (null: any distance). RainViewer frames default to RAINVIEWER_TIME_TOLERANCE, so
+        // the layer clears at times its recent frames do not cover
+        this._timeOffset = this.options.timeOffset || 0;
+        this._source = source;
+        this._type = source ? (source.images ? 'images' : 'template') : this.options.type || 'radar';
+        this._timeTolerance = this.options.timeTolerance !== undefined ? this.options.timeTolerance
+            : source ? (source.maxFrameAge ? source.maxFrameAge * 60 * 1000 : null)
+            : RAINVIEWER_TIME_TOLERANCE;
         this._loaded = false;
+        // Metadata endpoint (RainViewer's API or a local file in its schema) and its tile host,
+        // which defaults to the metadata's "host"
+        this._endpoint = source ? null : endpoint;
+        this._tileHost = this.options.tileHost || null;
+        this._retries = this.options.retries !== undefined ? this.options.retries : 3;
+        this._retryDelay = this.options.retryDelay || 2000;
+        this._refreshInterval = this.options.refreshInterval !== undefined ? this.options.refreshInterval : 10 * 60 * 1000;
+        // RainViewer metadata is first requested when the layer is switched on (see onAdd)
+        this._status = source ? 'loading' : 'idle';
+        this._error = null;
 
-        fetchRainviewerMetadata(endpoint).then((metadata) => {
-          this._metadata = metadata;
-          this._loaded = true;
-          if(this._map && this._map.hasLayer(this)){
-            this._setAvailableTimes();
-          }
-        });
+        if (source) {
+          this._applyMetadata(source);
+        }
 
         this._baseLayer.on('load', (function() {
             this._baseLayer.setLoaded(true);
@@ -39,36 +68,129 @@ L.TimeDimension.Layer.Rainviewer = L.TimeDimension.Layer.extend({
         if (this._loaded) {
             this._setAvailableTimes();
         }
+        // Switching the layer on fetches its frames the first time, and retries a failed endpoint
+        if (this._status === 'idle' || this._status === 'error') {
+            this.reload();
+        }
+        if (this._endpoint && this._refreshInterval > 0) {
+            this._refreshTimer = setInterval(() => this.reload(), this._refreshInterval);
+        }
     },
+
+    onRemove: function(map) {
+        clearInterval(this._refreshTimer);
+        this._refreshTimer = null;
+        if (this._timeDimension) {
+            this._timeDimension.removeTimeLayer(this);
+        }
+        L.TimeDimension.Layer.prototype.onRemove.call(this, map);
+    },
+
+    // 'idle' (not switched on yet), 'loading', 'ready' or 'error'
+    getStatus: function() {
+        return this._status;
+    },
+
+    // Error from the last failed metadata request, or null
+    getError: function() {
+        return this._error;
+    },
+
+    // Fetch the metadata again (with retries) and pick up new frames; the page keeps working
+    // without it, the failure is reported through a 'statuschange' event instead
+    reload: function() {
+        if (!this._endpoint) {
+            return Promise.resolve(this._metadata);
+        }
+        if (this._reloading) {
+            return this._reloading;
+        }
+        this._setStatus('loading');
+        this._reloading = fetchRainviewerMetadata(this._endpoint, { retries: this._retries, retryDelay: this._retryDelay })
+            .then(metadata => {
+                this._applyMetadata(metadata);
+                return metadata;
+            })
+            .catch(error => {
+                console.warn(error.message);
+                this._setStatus('error', error);
+                return null;
+            })
+            .finally(() => {
+                this._reloading = null;
+            });
+        return this._reloading;
+    },
+
+    _applyMetadata: function(metadata) {
+        this._metadata = metadata;
+        this._loaded = true;
+        if (this._map && this._map.hasLayer(this)) {
+            this._setAvailableTimes();
+        }
+        this._setStatus('ready');
+    },
+
+    // stale: older frames are still shown after a failed refresh
+    _setStatus: function(status, error) {
+        this._status = status;
+        this._error = error || null;
+        this.fire('statuschange', { status: status, error: this._error, stale: status === 'error' && this._loaded });
+    },
+
+    // Layer returned while there is no frame to show: before the metadata arrives, or when no
+    // frame is within the time tolerance
+    _isEmptyLayer: function(layer) {
+        return layer === this._baseLayer;
+    },
+
+    // Frame times, in order
+    getAvailableTimes: function() {
+        return this._availableTimes;
+    },
+
+    // Where the player starts when this is the primary layer: the latest observed frame
+    // (RainViewer also lists nowcast frames ahead of it), or a source's first frame
+    getStartTime: function() {
+        const frames = this._type == 'radar' ? this._metadata.radar.past
+            : this._type == 'satellite' ? this._metadata.satellite.infrared : [];
+        return frames.length ? frames[frames.length - 1].time * 1000 : null;
+    },
+
     _setAvailableTimes() {
+      if(!this._source){
+        // A refresh replaces the frames, RainViewer only keeps the last two hours
+        this._frames = {};
+      }
       if(this._type == 'radar'){
         let times = [...this._metadata['radar'].nowcast, ...this._metadata['radar'].past];
         times.forEach(frame => this._frames[frame.time * 1000] = frame);
       }else if(this._type == 'satellite'){
         let times = this._metadata['satellite'].infrared;
         times.forEach(frame => this._frames[frame.time * 1000] = frame);
+      }else if(this._source){
+        getWeatherSourceFrames(this._source).forEach(frame => this._frames[frame.time] = frame);
       }
 
       this._availableTimes = L.TimeDimension.Util.sort_and_deduplicate(Object.keys(this._frames).map(time => Number(time)));
-      this._updateCurrentTime = this._updateCurrentTime || (this._timeDimension && this._timeDimension.getAvailableTimes().length == 0);
-      if (this._timeDimension && (this._updateTimeDimension || this._timeDimension.getAvailableTimes().length == 0)) {
-          this._timeDimension.setAvailableTimes(this._availableTimes, this._updateTimeDimensionMode);
-      }
-      if (this._updateCurrentTime && this._timeDimension && this._availableTimes.length) {
-          this._timeDimension.setCurrentTime(this._availableTimes[this._defaultTime]);
+      // Frames a refresh dropped are not coming back
+      this._removeFrames(Array.from(this._layers.keys()).filter(frameTime => !this._frames.hasOwnProperty(frameTime)));
+      if (this._timeDimension) {
+          this._timeDimension.setTimeLayer(this, this._timeRole);
       }
     },
     eachLayer: function(method, context) {
-        for (var prop in this._layers) {
-            if (this._layers.hasOwnProperty(prop)) {
-                method.call(context, this._layers[prop]);
-            }
-        }
+        this._layers.forEach(layer => method.call(context, layer));
         return L.TimeDimension.Layer.prototype.eachLayer.call(this, method, context);
     },
 
+    // The player is about to show ev.time (or is buffering ahead): start loading its frame
     _onNewTimeLoading: function(ev) {
+        this._loadingTime = ev.time;
         var layer = this._getLayerForTime(ev.time);
+        if (this._isEmptyLayer(layer)) {
+            return;
+        }
         if (!this._map.hasLayer(layer)) {
             this._map.addLayer(layer);
         }
@@ -76,6 +198,10 @@ L.TimeDimension.Layer.Rainviewer = L.TimeDimension.Layer.extend({
 
     isReady: function(time) {
         var layer = this._getLayerForTime(time);
+        // A time without a frame has nothing to wait for
+        if (this._isEmptyLayer(layer)) {
+            return true;
+        }
         var currentZoom = this._map.getZoom();
         if (layer.options.minZoom && currentZoom < layer.options.minZoom){
             return true;
@@ -94,6 +220,14 @@ L.TimeDimension.Layer.Rainviewer = L.TimeDimension.Layer.extend({
         // Then, the layer will be loaded if necessary, adding it to the map (and show it after loading).
         // If it already on the map (but probably hidden), it will be shown
         var layer = this._getLayerForTime(time);
+        // Without a frame for the time the radar is cleared rather than left on a stale frame
+        if (this._isEmptyLayer(layer)) {
+            if (this._currentLayer) {
+                this._currentLayer.hide();
+                this._currentLayer = null;
+            }
+            return;
+        }
         if (this._currentLayer == null) {
             this._currentLayer = layer;
         }
@@ -102,60 +236,24 @@ L.TimeDimension.Layer.Rainviewer = L.TimeDimension.Layer.extend({
         } else {
             this._showLayer(layer, time);
         }
+        this._prefetch(time);
     },
 
     setOpacity: function(opacity) {
         L.TimeDimension.Layer.prototype.setOpacity.apply(this, arguments);
         // apply to all preloaded caches
-        for (var prop in this._layers) {
-            if (this._layers.hasOwnProperty(prop) && this._layers[prop].setOpacity) {
-                this._layers[prop].setOpacity(opacity);
-            }
-        }
+        this._layers.forEach(layer => layer.setOpacity && layer.setOpacity(opacity));
     },
-    
+
     setZIndex: function(zIndex){
         L.TimeDimension.Layer.prototype.setZIndex.apply(this, arguments);
         // apply to all preloaded caches
-        for (var prop in this._layers) {
-            if (this._layers.hasOwnProperty(prop) && this._layers[prop].setZIndex) {
-                this._layers[prop].setZIndex(zIndex);
-            }
-        }
+        this._layers.forEach(layer => layer.setZIndex && layer.setZIndex(zIndex));
     },
 
-    _unvalidateCache: function() {
-        var time = this._timeDimension.getCurrentTime();
-        for (var prop in this._layers) {
-            if (time != prop && this._layers.hasOwnProperty(prop)) {
-                this._layers[prop].setLoaded(false); // mark it as unloaded
-                this._layers[prop].redraw();
-            }
-        }
-    },
-
-    _evictCachedTimes: function(keepforward, keepbackward) {
-        // Cache management
-        var times = this._getLoadedTimes();
-        var strTime = String(this._currentTime);
-        var index = times.indexOf(strTime);
-        var remove = [];
-        // remove times before current time
-        if (keepbackward > -1) {
-            var objectsToRemove = index - keepbackward;
-            if (objectsToRemove > 0) {
-                remove = times.splice(0, objectsToRemove);
-                this._removeLayers(remove);
-            }
-        }
-        if (keepforward > -1) {
-            index = times.indexOf(strTime);
-            var objectsToRemove = times.length - index - keepforward - 1;
-            if (objectsToRemove > 0) {
-                remove = times.splice(index + keepforward + 1, objectsToRemove);
-                this._removeLayers(remove);
-            }
-        }
+    // Number of frames still loading
+    getPendingFrameCount: function() {
+        return this._pendingFrames.size;
     },
 
     _showLayer: function(layer, time) {
@@ -163,63 +261,161 @@ L.TimeDimension.Layer.Rainviewer = L.TimeDimension.Layer.extend({
             this._currentLayer.hide();
         }
         layer.show();
-        if (this._currentLayer && this._currentLayer === layer) {
-            return;
-        }
         this._currentLayer = layer;
         this._currentTime = time;
-        console.log('Show layer with time: ' + new Date(time).toISOString());
+    },
 
-        this._evictCachedTimes(this._timeCacheForward, this._timeCacheBackward);
+    // Frame shown at player time `time`, or null
+    _getFrameTime: function(time) {
+        if (time == 0 || time == this._defaultTime || time == null || !this._loaded) {
+            return null;
+        }
+        var frameTime = findFollowerFrameTime(this._availableTimes, time, this._timeOffset, this._timeTolerance);
+        return frameTime !== null && this._frames.hasOwnProperty(frameTime) ? frameTime : null;
     },
 
     _getLayerForTime: function(time) {
-        if (time == 0 || time == this._defaultTime || time == null || !this._loaded) {
+        var frameTime = this._getFrameTime(time);
+        if (frameTime === null) {
             return this._baseLayer;
         }
-        if (this._layers.hasOwnProperty(time)) {
-            return this._layers[time];
-        }
-        var nearestTime = this._getNearestTime(time);
-        if (this._layers.hasOwnProperty(nearestTime)) {
-            return this._layers[nearestTime];
-        }
-        if (!this._frames.hasOwnProperty(nearestTime)){
-            return this._baseLayer;
+        var layer = this._layers.get(frameTime);
+        if (layer) {
+            // Most recently used frames go to the end
+            this._layers.delete(frameTime);
+            this._layers.set(frameTime, layer);
+            return layer;
         }
 
-        var newLayer = this._createLayerForTime(nearestTime);
-       
-        this._layers[time] = newLayer;
+        layer = this._createLayerForTime(frameTime);
+        this._layers.set(frameTime, layer);
 
-        newLayer.on('load', (function(layer, time) {
+        // Tile layers start loading again when the view moves, so 'loading' can come more than once
+        layer.on('loading', () => {
+            layer.setLoaded(false);
+            this._setFramePending(frameTime, true);
+        });
+        layer.on('load error', () => {
             layer.setLoaded(true);
-            // this time entry should exists inside _layers
-            // but it might be deleted by cache management
-            if (!this._layers[time]) {
-                this._layers[time] = layer;
-            }
-            if (this._timeDimension && time == this._timeDimension.getCurrentTime() && !this._timeDimension.isLoading()) {
-                this._showLayer(layer, time);
+            this._setFramePending(frameTime, false);
+            var currentTime = this._timeDimension && this._timeDimension.getCurrentTime();
+            if (this._getFrameTime(currentTime) === frameTime && !this._timeDimension.isLoading()) {
+                this._showLayer(layer, currentTime);
             }
-            // console.log('Loaded layer ' + layer.wmsParams.layers + ' with time: ' + new Date(time).toISOString());
+            // The player waits for the time it is loading, which may be any of the times this frame serves
             this.fire('timeload', {
-                time: time
+                time: this._getFrameTime(this._loadingTime) === frameTime ? this._loadingTime : currentTime
             });
-        }).bind(this, newLayer, time));
+        });
 
         // Hack to hide the layer when added to the map.
         // It will be shown when timeload event is fired from the map (after all layers are loaded)
-        newLayer.onAdd = (function(map) {
+        layer.onAdd = (function(map) {
             Object.getPrototypeOf(this).onAdd.call(this, map);
             this.hide();
-        }).bind(newLayer);
-        return newLayer;
+            // Image overlays load with their image and have no 'loading' event of their own
+            if (!this.isLoaded() && this instanceof L.ImageOverlay) {
+                this.fire('loading');
+            }
+        }).bind(layer);
+
+        this._evictFrames();
+        return layer;
     },
-    
+
+    _setFramePending: function(frameTime, pending) {
+        var had = this._pendingFrames.has(frameTime);
+        if (pending) {
+            this._pendingFrames.add(frameTime);
+        } else {
+            this._pendingFrames.delete(frameTime);
+        }
+        if (had !== pending) {
+            this.fire('framesloading', { pending: this._pendingFrames.size });
+        }
+    },
+
+    // Load the frames the player reaches in the next prefetchTime ms, in the direction it is
+    // moving. Speed and direction are taken from the last two time changes.
+    _prefetch: function(time) {
+        var now = Date.now();
+        var previous = this._lastUpdate;
+        this._lastUpdate = { time: time, at: now };
+        if (!this._timeDimension || !this._loaded || this._prefetchTime <= 0) {
+            return;
+        }
+        var direction = previous && time < previous.time ? -1 : 1;
+        var stepInterval = previous && previous.time !== time ? now - previous.at : this._prefetchTime;
+        var steps = Math.max(this._minimumPrefetch, Math.ceil(this._prefetchTime / Math.max(stepInterval, 1)));
+        // Never more than the cache holds besides the current frame
+        steps = Math.min(steps, this._cacheSize - 1);
+
+        var times = this._timeDimension.getAvailableTimes();
+        var index = times.indexOf(time);
+        var currentFrame = this._getFrameTime(time);
+        var frames = [];
+        for (var i = index + direction; index > -1 && i >= 0 && i < times.length && frames.length < steps; i += direction) {
+            var frameTime = this._getFrameTime(times[i]);
+            if (frameTime !== null && frameTime !== currentFrame && !frames.includes(frameTime)) {
+                frames.push(frameTime);
+            }
+        }
+        // Load the nearest last so it is the most recently used, then mark the shown frame used again
+        frames.reverse().forEach(frameTime => {
+            var layer = this._getLayerForTime(frameTime - this._timeOffset);
+            if (!this._map.hasLayer(layer)) {
+                this._map.addLayer(layer);
+            }
+        });
+        if (currentFrame !== null) {
+            this._getLayerForTime(time);
+        }
+    },
+
+    // Keep the cache within cacheSize frames, dropping the least recently used (never the shown one)
+    _evictFrames: function() {
+        var remove = [];
+        var excess = this._layers.size - this._cacheSize;
+        for (var [frameTime, layer] of this._layers) {
+            if (excess <= 0) {
+                break;
+            }
+            if (layer !== this._currentLayer) {
+                remove.push(frameTime);
+                excess--;
+            }
+        }
+        this._removeFrames(remove);
+    },
+
+    _removeFrames: function(frameTimes) {
+        frameTimes.forEach(frameTime => {
+            var layer = this._layers.get(frameTime);
+            if (this._map) {
+                this._map.removeLayer(layer);
+            }
+            if (layer === this._currentLayer) {
+                this._currentLayer = null;
+            }
+            this._layers.delete(frameTime);
+            this._setFramePending(frameTime, false);
+        });
+    },
+
     _createLayerForTime:function(time){
       var options = this.options;
-      var url = this._metadata.host;
+      if(this._type == 'template'){
+        return new L.TileLayer(expandWeatherTimeTemplate(this._source.tileTemplate, time), {
+            ...options,
+            maxNativeZoom: this._source.maxNativeZoom,
+            subdomains: this._source.subdomains || 'abc'
+        });
+      }
+      if(this._type == 'images'){
+        var frame = this._frames[time];
+        return new L.ImageOverlay(frame.url, frame.bounds || this._source.bounds, options);
+      }
+      var url = this._tileHost || this._metadata.host;
       let color = 2;
       if(this._type == 'satellite'){
         color = 0;
@@ -228,65 +424,201 @@ L.TimeDimension.Layer.Rainviewer = L.TimeDimension.Layer.extend({
       return new L.TileLayer(url + this._frames[time].path + "/256/{z}/{x}/{y}/" + color + "/1_1.png", options);
     },
 
-    _getLoadedTimes: function() {
-        var result = [];
-        for (var prop in this._layers) {
-            if (this._layers.hasOwnProperty(prop)) {
-                result.push(prop);
-            }
-        }
-        return result.sort(function(a, b) {
-            return a - b;
-        });
+    // The player asks for `value` times to be buffered ahead; the cache size still caps it
+    setMinimumForwardCache: function(value) {
+        this._minimumPrefetch = Math.max(this._minimumPrefetch, Math.min(value, this._cacheSize - 1));
     },
+});
 
-    _removeLayers: function(times) {
-        for (var i = 0, l = times.length; i < l; i++) {
-            if (this._map)
-                this._map.removeLayer(this._layers[times[i]]);
-            delete this._layers[times[i]];
-        }
+L.timeDimension.layer.rainviewer = function(endpoint, options) {
+    return new L.TimeDimension.Layer.Rainviewer(endpoint, options);
+};
+
+// Image overlays get the same show/hide/loaded helpers TimeDimension gives tile layers,
+// so a set of timestamped radar images can be cached and swapped like tiles
+L.ImageOverlay.include({
+    _visible: true,
+    _loaded: false,
+
+    setLoaded: function(loaded) {
+        this._loaded = loaded;
     },
 
-    setMinimumForwardCache: function(value) {
-        if (value > this._timeCacheForward) {
-            this._timeCacheForward = value;
-        }
+    isLoaded: function() {
+        return this._loaded;
     },
 
-    _getNearestTime: function(time) {
-        if (this._layers.hasOwnProperty(time)) {
-            return time;
-        }
-        if (this._availableTimes.length == 0) {
-            return time;
+    hide: function() {
+        this._visible = false;
+        if (this._image) {
+            this._image.style.display = 'none';
         }
-        var index = 0;
-        var len = this._availableTimes.length;
-        for (; index < len; index++) {
-            if (time < this._availableTimes[index]) {
-                break;
-            }
-        }
-        // We've found the first index greater than the time. Get the previous
-        if (index > 0) {
-            index--;
-        }
-        if (time != this._availableTimes[index]) {
-            console.log('Search layer time: ' + new Date(time).toISOString());
-            console.log('Return layer time: ' + new Date(this._availableTimes[index]).toISOString());
-        }
-        return this._availableTimes[index];
     },
+
+    show: function() {
+        this._visible = true;
+        if (this._image) {
+            this._image.style.display = '';
+        }
+    }
 });
 
-L.timeDimension.layer.rainviewer = function(endpoint, options) {
-    return new L.TimeDimension.Layer.Rainviewer(endpoint, options);
+// Historical weather source, e.g. archived NEXRAD radar for the case date:
+// {
+//   "name": "NEXRAD composite, April 13, 2011",
+//   "attribution": "...",
+//   "tileTemplate": "./radar/{yyyy}{MM}{dd}{HH}{mm}/{z}/{x}/{y}.png",
+//   "times": ["2011-04-13T07:00", "2011-04-13T07:05", ...]
+//            or { "start": "2011-04-13T06:00", "end": "2011-04-13T13:00", "period": "PT5M" },
+//   "maxFrameAge": 15,
+//   "maxNativeZoom": 8
+// }
+// Instead of a tile template, "images" lists single images with their time and an optional
+// bounds ([[south, west], [north, east]], default: the source's "bounds"):
+//   "images": [{ "time": "2011-04-13T07:00", "url": "./radar/0700.png" }, ...]
+// Times without a UTC offset are in the case time zone. Template times ({yyyy} {MM} {dd}
+// {HH} {mm} {ss}, or {unix} seconds and {iso}) are in UTC, as radar archives name frames.
+// maxFrameAge (minutes) hides a frame that long after its time.
+async function loadWeatherSource(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load weather source ${url}: ${response.status} ${response.statusText}`);
+    }
+    const source = await response.json();
+    if (!source.tileTemplate && !Array.isArray(source.images)) {
+        throw new Error(`Weather source ${url} needs a "tileTemplate" or an "images" list`);
+    }
+    if (getWeatherSourceFrames(source).length === 0) {
+        throw new Error(`Weather source ${url} lists no valid frame times`);
+    }
+    return source;
+}
+
+// Parse a source time: epoch milliseconds, or an ISO date (case time zone without an offset)
+function parseWeatherSourceTime(value) {
+    if (typeof value === 'number') return value;
+    const date = parseKmlWhen(String(value || ''));
+    return date ? date.getTime() : null;
+}
+
+// Frames of a historical weather source as [{ time, url?, bounds? }], in time order
+function getWeatherSourceFrames(source) {
+    if (Array.isArray(source.images)) {
+        return source.images
+            .map(image => ({ time: parseWeatherSourceTime(image.time), url: image.url, bounds: image.bounds }))
+            .filter(frame => frame.time !== null && frame.url)
+            .sort((a, b) => a.time - b.time);
+    }
+    let times = [];
+    if (Array.isArray(source.times)) {
+        times = source.times.map(parseWeatherSourceTime).filter(time => time !== null);
+    } else if (source.times && source.times.start && source.times.end) {
+        const start = parseWeatherSourceTime(source.times.start);
+        const end = parseWeatherSourceTime(source.times.end);
+        if (start !== null && end !== null) {
+            times = L.TimeDimension.Util.explodeTimeRange(new Date(start), new Date(end), source.times.period || 'PT5M');
+        }
+    }
+    return L.TimeDimension.Util.sort_and_deduplicate(times).map(time => ({ time: time }));
+}
+
+// Fill the time fields of a tile URL template for a frame time (UTC); {z}/{x}/{y} are kept for Leaflet
+function expandWeatherTimeTemplate(template, time) {
+    const date = new Date(time);
+    const pad = value => String(value).padStart(2, '0');
+    const fields = {
+        yyyy: date.getUTCFullYear(),
+        MM: pad(date.getUTCMonth() + 1),
+        dd: pad(date.getUTCDate()),
+        HH: pad(date.getUTCHours()),
+        mm: pad(date.getUTCMinutes()),
+        ss: pad(date.getUTCSeconds()),
+        unix: Math.floor(time / 1000),
+        iso: date.toISOString().replace(/\.\d{3}Z$/, 'Z')
+    };
+    return template.replace(/\{(yyyy|MM|dd|HH|mm|ss|unix|iso)\}/g, (match, key) => fields[key]);
+}
+
+L.timeDimension.layer.weatherSource = function(source, options) {
+    return new L.TimeDimension.Layer.Rainviewer(source, options);
 };
 
-async function fetchRainviewerMetadata(endpoint){
-  let response = await fetch(endpoint);
-  let metadata = await response.json();
-  return metadata;
+// Error raised when the RainViewer metadata cannot be loaded; retryable is false for a
+// response that will not get better by asking again (not JSON, or not the RainViewer schema)
+class RainviewerMetadataError extends Error {
+    constructor(endpoint, message, retryable) {
+        super(`Could not load weather frames from ${endpoint}: ${message}`);
+        this.name = 'RainviewerMetadataError';
+        this.endpoint = endpoint;
+        this.retryable = retryable;
+    }
+}
+
+// Fetch and check RainViewer weather-maps.json metadata, retrying failed requests
+// (options.retries times, waiting options.retryDelay ms and doubling the wait each time)
+async function fetchRainviewerMetadata(endpoint, options = {}) {
+    const retries = options.retries || 0;
+    const retryDelay = options.retryDelay || 2000;
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await requestRainviewerMetadata(endpoint);
+        } catch (error) {
+            if (attempt >= retries || error.retryable === false) {
+                throw error;
+            }
+            await new Promise(resolve => setTimeout(resolve, retryDelay * Math.pow(2, attempt)));
+        }
+    }
+}
 
+// Fetch the metadata once
+async function requestRainviewerMetadata(endpoint) {
+    let response;
+    try {
+        response = await fetch(endpoint);
+    } catch (error) {
+        throw new RainviewerMetadataError(endpoint, error.message || 'network error', true);
+    }
+    if (!response.ok) {
+        throw new RainviewerMetadataError(endpoint, `${response.status} ${response.statusText}`, true);
+    }
+
+    let metadata;
+    try {
+        metadata = await response.json();
+    } catch (error) {
+        throw new RainviewerMetadataError(endpoint, 'the response is not JSON', false);
+    }
+    const radar = metadata && metadata.radar;
+    const satellite = metadata && metadata.satellite;
+    if (!metadata || typeof metadata.host !== 'string' ||
+        !((radar && Array.isArray(radar.past)) || (satellite && Array.isArray(satellite.infrared)))) {
+        throw new RainviewerMetadataError(endpoint, 'expected "host" and "radar.past" or "satellite.infrared" frames', false);
+    }
+    // A stand-in file may leave out the frame kinds it has no tiles for
+    metadata.radar = { past: [], nowcast: [], ...radar };
+    metadata.satellite = { infrared: [], ...satellite };
+    return metadata;
 }
+
+// Rename an overlay in place, keeping its position in the layer control
+L.Control.Layers.include({
+    setOverlayName: function(layer, name) {
+        const entry = this._getLayer(L.Util.stamp(layer));
+        if (entry) {
+            entry.name = name;
+            if (this._map) {
+                this._update();
+            }
+        }
+        return this;
+    }
+});
+
+// Export functions
+window.RAINVIEWER_TIME_TOLERANCE = RAINVIEWER_TIME_TOLERANCE;
+window.RainviewerMetadataError = RainviewerMetadataError;
+window.fetchRainviewerMetadata = fetchRainviewerMetadata;
+window.loadWeatherSource = loadWeatherSource;
+window.getWeatherSourceFrames = getWeatherSourceFrames;
+window.expandWeatherTimeTemplate = expandWeatherTimeTemplate;
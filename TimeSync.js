@@ -0,0 +1,112 @@
+/**
+ * Time Synchronization
+ * Decides which layers set the player's times: one primary layer defines the slider,
+ * contributor layers add their times to it, and follower layers only show their nearest frame
+ */
+
+// Roles a TimeDimension layer can take in the player's times (the layers' `timeRole` option)
+// primary:     defines the slider; when several are on the map, the first one added is used
+// contributor: adds its times to the primary's (e.g. dropped case files)
+// follower:    never changes the player's times or current time (e.g. weather frames)
+const TIME_ROLES = ['primary', 'contributor', 'follower'];
+
+L.TimeDimension.include({
+
+    // Add a layer to the player's times, or change its role. A layer's times are read from
+    // its getAvailableTimes(), so call this again when they change.
+    setTimeLayer: function(layer, role) {
+        if (!TIME_ROLES.includes(role)) {
+            throw new Error(`Unknown time role "${role}" (expected ${TIME_ROLES.join(', ')})`);
+        }
+        this._timeLayers = this._timeLayers || [];
+        const entry = this._timeLayers.find(e => e.layer === layer);
+        if (entry) {
+            entry.role = role;
+        } else {
+            this._timeLayers.push({ layer: layer, role: role });
+        }
+        this._syncTimeLayers();
+        return this;
+    },
+
+    // Take a layer's times off the player; the current time stays where it is
+    removeTimeLayer: function(layer) {
+        this._timeLayers = (this._timeLayers || []).filter(e => e.layer !== layer);
+        this._syncTimeLayers();
+        return this;
+    },
+
+    // Layer whose times define the slider, or null
+    getPrimaryTimeLayer: function() {
+        const entry = (this._timeLayers || []).find(e => e.role === 'primary');
+        return entry ? entry.layer : null;
+    },
+
+    // Rebuild the player's times from the primary and its contributors. The current time is kept
+    // (snapped to the nearest new time); the player only moves to the primary's start when the
+    // slider had no times before. With no primary or contributor times left, the slider is left as is.
+    _syncTimeLayers: function() {
+        const primary = this.getPrimaryTimeLayer();
+        const times = new Set();
+        this._timeLayers.forEach(entry => {
+            if (entry.layer === primary || entry.role === 'contributor') {
+                entry.layer.getAvailableTimes().forEach(time => times.add(time));
+            }
+        });
+        if (times.size === 0) {
+            return;
+        }
+        const merged = Array.from(times).sort((a, b) => a - b);
+        const current = this.getAvailableTimes();
+        const wasEmpty = current.length === 0;
+        // Adding a follower (or a contributor with no new times) leaves the player alone
+        if (merged.length === current.length && merged.every((time, i) => time === current[i])) {
+            return;
+        }
+        this.setAvailableTimes(merged, 'replace');
+        if (wasEmpty) {
+            const start = primary && primary.getStartTime ? primary.getStartTime() : null;
+            this.setCurrentTime(start !== null ? start : merged[0]);
+        }
+    },
+
+    // Replaces the library version, which fires 'timeload' while the time is still marked as
+    // loading: a synced layer that answers with its own 'timeload' (as KmlLocations does from
+    // _update) brought the player back here until the stack overflowed
+    _newTimeIndexLoaded: function() {
+        if (this._loadingTimeIndex === -1) {
+            return;
+        }
+        const time = this._availableTimes[this._loadingTimeIndex];
+        this._currentTimeIndex = this._loadingTimeIndex;
+        this._loadingTimeIndex = -1;
+        this.fire('timeload', {
+            time: time
+        });
+    }
+});
+
+// Frame time a follower layer shows at player time `time`: the latest frame at or before
+// time + offset, else the first frame after it, as long as it is within `tolerance` ms
+// (null: any distance). Returns null when no frame is close enough. frameTimes must be sorted.
+function findFollowerFrameTime(frameTimes, time, offset, tolerance) {
+    const target = time + (offset || 0);
+    const withinTolerance = frame => tolerance === null || tolerance === undefined || Math.abs(target - frame) <= tolerance;
+    let index = 0;
+    while (index < frameTimes.length && frameTimes[index] <= target) {
+        index++;
+    }
+    const before = index > 0 ? frameTimes[index - 1] : null;
+    const after = index < frameTimes.length ? frameTimes[index] : null;
+    if (before !== null && withinTolerance(before)) {
+        return before;
+    }
+    if (after !== null && withinTolerance(after)) {
+        return after;
+    }
+    return null;
+}
+
+// Export functions
+window.TIME_ROLES = TIME_ROLES;
+window.findFollowerFrameTime = findFollowerFrameTime;
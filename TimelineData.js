@@ -0,0 +1,253 @@
+/**
+ * Timeline Event Data Loader
+ * Loads timeline events (cell phone pings, case events) from CSV, JSON or KML files
+ * and validates them before they reach the KmlLocations TimeDimension layer
+ */
+
+// Columns/keys understood in timeline event records
+// time:   "8:11" (24-hour clock on the case date), "8:11 AM", or a full "2011-04-13T08:11" date,
+//         all in the case time zone unless the date carries a UTC offset
+// label:  text shown for the event
+// lat/lng: WGS84 decimal degrees
+// phone:  track/category the event belongs to (e.g. "holly", "adams", "event")
+// source: optional citation for the record
+// cite:   optional line references in the source, e.g. "53-54" or "45;107"
+// id:     optional stable identifier (defaults to "event-<position in file>")
+
+// Error raised when timeline data fails validation; `problems` lists every bad record
+class TimelineDataError extends Error {
+    constructor(sourceName, problems) {
+        super(`Invalid timeline data in ${sourceName}:\n` +
+            problems.map(p => `  ${p.record}: ${p.message}`).join('\n'));
+        this.name = 'TimelineDataError';
+        this.sourceName = sourceName;
+        this.problems = problems;
+    }
+}
+
+// Parse CSV text (RFC 4180 quoting) into { row, values } entries, where values are keyed by
+// the header row and row is the 1-based spreadsheet row number of the record
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                // Count line breaks inside quoted fields so later rows keep their row numbers
+                if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) line++;
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push({ line: rowLine, values: row });
+            row = [];
+            field = '';
+            line++;
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push({ line: rowLine, values: row });
+    }
+
+    // Drop blank lines, then key each row by the trimmed header names
+    const nonEmpty = rows.filter(r => r.values.some(value => value.trim() !== ''));
+    if (nonEmpty.length === 0) return [];
+    const header = nonEmpty[0].values.map(name => name.trim());
+    return nonEmpty.slice(1).map(entry => {
+        const values = {};
+        header.forEach((name, index) => {
+            values[name] = entry.values[index] !== undefined ? entry.values[index].trim() : '';
+        });
+        return { row: entry.line, values: values };
+    });
+}
+
+// Parse CSV text into objects keyed by the header row
+function parseCsv(text) {
+    return parseCsvRows(text).map(entry => entry.values);
+}
+
+// Parse an event time into a Date, or return null if it is not a recognizable time.
+// Times without a UTC offset are in the case time zone (CASE_TIME_ZONE).
+function parseEventTime(value) {
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? null : new Date(value);
+    }
+    if (value === null || value === undefined) return null;
+    const text = String(value).trim();
+
+    // Full date and time
+    if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+        return parseKmlWhen(text);
+    }
+
+    // Clock time on the case date, 24-hour or with am/pm
+    const match = text.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?$/i);
+    if (!match) return null;
+    let hours = parseInt(match[1]);
+    const minutes = parseInt(match[2]);
+    const seconds = match[3] ? parseInt(match[3]) : 0;
+    const period = match[4] ? match[4].toLowerCase() : null;
+    if (minutes > 59 || seconds > 59) return null;
+    if (period) {
+        if (hours < 1 || hours > 12) return null;
+        if (period.startsWith('p') && hours !== 12) hours += 12;
+        if (period.startsWith('a') && hours === 12) hours = 0;
+    } else if (hours > 23) {
+        return null;
+    }
+
+    const day = getCaseDateParts(BASE_DATE);
+    return caseDateTime(day.year, day.month, day.day, hours, minutes, seconds);
+}
+
+// Check one raw record and build a timeline event from it. Returns { event, errors }.
+function normalizeTimelineEvent(record, index) {
+    const errors = [];
+
+    const timestamp = parseEventTime(record.time);
+    if (!timestamp) {
+        errors.push(`time "${record.time === undefined ? '' : record.time}" is not a valid time (expected e.g. "8:11", "8:11 AM" or "2011-04-13T08:11")`);
+    }
+
+    const lat = Number(record.lat);
+    const lng = Number(record.lng);
+    if (record.lat === '' || record.lat === null || record.lat === undefined || !isFinite(lat) || lat < -90 || lat > 90) {
+        errors.push(`lat "${record.lat === undefined ? '' : record.lat}" must be a number between -90 and 90`);
+    }
+    if (record.lng === '' || record.lng === null || record.lng === undefined || !isFinite(lng) || lng < -180 || lng > 180) {
+        errors.push(`lng "${record.lng === undefined ? '' : record.lng}" must be a number between -180 and 180`);
+    }
+
+    const label = record.label !== undefined && record.label !== null ? String(record.label).trim() : '';
+    if (!label) {
+        errors.push('label is empty');
+    }
+
+    if (errors.length > 0) {
+        return { event: null, errors: errors };
+    }
+
+    const event = {
+        ...record,
+        id: record.id ? String(record.id) : 'event-' + (index + 1),
+        label: label,
+        lat: lat,
+        lng: lng,
+        phone: record.phone ? String(record.phone).trim() : 'event',
+        timestamp: timestamp
+    };
+    if (!record.source) {
+        delete event.source;
+    }
+    // CSV cells read "true", "yes" or "1"
+    if (record.approximate !== undefined) {
+        event.approximate = record.approximate === true || /^(true|yes|1)$/i.test(String(record.approximate).trim());
+    }
+    return { event: event, errors: [] };
+}
+
+// Validate a list of raw records, throwing a TimelineDataError that lists every bad record
+function validateTimelineEvents(records, sourceName) {
+    sourceName = sourceName || 'timeline data';
+    if (!Array.isArray(records)) {
+        throw new TimelineDataError(sourceName, [{ record: 'file', message: 'expected a list of events' }]);
+    }
+
+    const events = [];
+    const problems = [];
+    records.forEach((record, index) => {
+        const { event, errors } = normalizeTimelineEvent(record || {}, index);
+        // CSV records are reported by spreadsheet row (the header is row 1)
+        const recordName = record && record.__row ? `row ${record.__row}` : `event ${index + 1}`;
+        errors.forEach(message => problems.push({ record: recordName, message: message }));
+        if (event) {
+            delete event.__row;
+            events.push(event);
+        }
+    });
+
+    if (problems.length > 0) {
+        throw new TimelineDataError(sourceName, problems);
+    }
+    return events;
+}
+
+// Build timeline events from KML placemarks with a point that carry a <TimeStamp> or <TimeSpan>
+function timelineEventsFromLocations(locations) {
+    return locations
+        .filter(loc => loc.timeSpan && flattenGeometry(loc.geometry).some(part => part.coord))
+        .map((loc, index) => ({
+            time: loc.timeSpan.begin,
+            label: loc.name,
+            lat: getLocationLatLng(loc).lat,
+            lng: getLocationLatLng(loc).lng,
+            phone: loc.extendedData.phone || loc.extendedData.category || 'event',
+            source: loc.extendedData.source_title || loc.extendedData.source,
+            id: 'kml-event-' + (index + 1)
+        }));
+}
+
+// Parse timeline source text by format ('csv', 'json' or 'kml') into raw records
+function parseTimelineText(text, format) {
+    if (format === 'csv') {
+        return parseCsvRows(text).map(entry => ({ ...entry.values, __row: entry.row }));
+    }
+    if (format === 'kml') {
+        return timelineEventsFromLocations(parseKmlText(text));
+    }
+    const data = JSON.parse(text);
+    return Array.isArray(data) ? data : data.events;
+}
+
+// Guess the format of a timeline file from its name
+function getTimelineFormat(fileName) {
+    const extension = String(fileName).split(/[?#]/)[0].split('.').pop().toLowerCase();
+    return ['csv', 'kml', 'json'].includes(extension) ? extension : 'json';
+}
+
+// Load and validate timeline events from a CSV, JSON or KML file
+async function loadTimelineEvents(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load timeline events from ${url}: ${response.status} ${response.statusText}`);
+    }
+    const text = await response.text();
+
+    let records;
+    try {
+        records = parseTimelineText(text, getTimelineFormat(url));
+    } catch (error) {
+        throw new TimelineDataError(url, [{ record: 'file', message: error.message }]);
+    }
+    return validateTimelineEvents(records, url);
+}
+
+// Export functions
+window.TimelineDataError = TimelineDataError;
+window.parseCsv = parseCsv;
+window.parseCsvRows = parseCsvRows;
+window.validateTimelineEvents = validateTimelineEvents;
+window.timelineEventsFromLocations = timelineEventsFromLocations;
+window.loadTimelineEvents = loadTimelineEvents;
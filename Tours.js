@@ -0,0 +1,822 @@
+/**
+ * Presentation Tours
+ * Scripted walkthroughs of the case for presenting it: each step seeks the timeline, moves the
+ * map to a view, switches layers and shows a caption for a set time. Tours are read from JSON
+ * files or from a KML <gx:Tour>, and can be recorded from the map and saved as JSON, so the
+ * same walkthrough plays the same way every time.
+ */
+
+// Seconds a step stays on screen when it gives no dwell time (and has no narration to wait for)
+const TOUR_DEFAULT_DWELL = 8;
+
+// Seconds the map takes to fly to a step's view when the step does not say
+const TOUR_DEFAULT_FLY_DURATION = 2;
+
+// Vertical field of view (degrees) of KML views without <gx:fovy>: Google Earth's 60 degree
+// wide view on a usual window, and what it writes as <gx:fovy>
+const KML_DEFAULT_FOVY = 35;
+
+// Error raised when a tour file cannot be read; `fileName` names the file
+class TourError extends Error {
+    constructor(fileName, message) {
+        super(`Could not read tour ${fileName}: ${message}`);
+        this.name = 'TourError';
+        this.fileName = fileName;
+    }
+}
+
+// Key of a placemark in tour steps: the slugs of its folder path and name, as in the
+// "place:" keys of the URL hash, e.g. "user-markers/marker-1"
+function getPlaceKey(loc) {
+    return loc.folderPath.concat(loc.name).map(toHashSlug).join('/');
+}
+
+// Leaflet { center, zoom } showing what a KML view (see parseKmlView) shows: the ground its
+// field of view covers from `range` metres away (or, for a <Camera>, from its altitude), fitted
+// to the map's size. Leaflet maps look straight down, so heading and tilt are left out.
+function kmlViewToMapView(view, map) {
+    const center = L.latLng(view.lat, view.lng);
+    const distance = view.range !== null ? view.range : view.altitude;
+    if (!(distance > 0)) {
+        return { center: center, zoom: map.getZoom() };
+    }
+    const fovy = (view.fovy || KML_DEFAULT_FOVY) * Math.PI / 180;
+    const size = map.getSize();
+    const height = 2 * distance * Math.tan(fovy / 2);
+    const width = size.y > 0 ? height * size.x / size.y : height;
+    const dLat = (height / 2) / EARTH_RADIUS_METERS * 180 / Math.PI;
+    const dLng = (width / 2) / (EARTH_RADIUS_METERS * Math.cos(center.lat * Math.PI / 180)) * 180 / Math.PI;
+    const bounds = L.latLngBounds([center.lat - dLat, center.lng - dLng], [center.lat + dLat, center.lng + dLng]);
+    return { center: center, zoom: map.getBoundsZoom(bounds) };
+}
+
+// Read a step's "lookAt" object ({ latitude, longitude, range, ... } as in KML) into a view
+// record like parseKmlView's
+function parseTourLookAt(value) {
+    const lat = Number(value.latitude);
+    const lng = Number(value.longitude);
+    if (!isFinite(lat) || !isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        throw new Error('"lookAt" needs a latitude and longitude');
+    }
+    const number = (name, fallback) => value[name] !== undefined && isFinite(Number(value[name])) ? Number(value[name]) : fallback;
+    return {
+        type: value.type === 'Camera' ? 'Camera' : 'LookAt',
+        lat: lat,
+        lng: lng,
+        altitude: number('altitude', 0),
+        range: number('range', null),
+        heading: number('heading', 0),
+        tilt: number('tilt', 0),
+        fovy: number('fovy', null),
+        altitudeMode: value.altitudeMode || 'relativeToGround',
+        time: null
+    };
+}
+
+// A step with nothing set, as read from files and recorded from the map.
+//   time:        player time (ms) to seek to, or null to leave it
+//   view:        { center, zoom }, a KML view in lookAt, or a placemark key in place
+//                (its own <LookAt>, else its position); all null to leave the map where it is
+//   layers:      layer keys as in the URL hash (see MapHash.getHashLayers), or null to leave them
+//   show, hide:  layer keys switched on or off on top of that
+//   event:       evidence entry to select (its key in the URL hash), or null
+//   caption:     text shown while the step plays
+//   dwell:       seconds shown after arriving, or null for the default (or the narration's length)
+//   flyDuration: seconds the move to the view takes
+//   audio:       URL of narration played with the step, or null
+//   pause:       whether playing stops after this step until Play is pressed again
+function createTourStep() {
+    return {
+        time: null,
+        view: null,
+        lookAt: null,
+        place: null,
+        layers: null,
+        show: [],
+        hide: [],
+        event: null,
+        caption: '',
+        dwell: null,
+        flyDuration: TOUR_DEFAULT_FLY_DURATION,
+        audio: null,
+        pause: false
+    };
+}
+
+// Read one step of a JSON tour. A "hash" (as in a shared link, without or with the '#') gives
+// time, view, layers and event at once; the step's own fields win over it.
+function parseTourJsonStep(record, baseUrl) {
+    if (!record || typeof record !== 'object') {
+        throw new Error('expected an object');
+    }
+    const step = createTourStep();
+    if (record.hash !== undefined) {
+        const state = parseMapHash(String(record.hash));
+        step.time = state.time;
+        if (state.center && state.zoom !== null) {
+            step.view = { center: state.center, zoom: state.zoom };
+        }
+        step.layers = state.layers;
+        step.event = state.event;
+    }
+
+    if (record.time !== undefined && record.time !== null) {
+        const date = typeof record.time === 'number' ? new Date(record.time) : parseKmlWhen(String(record.time));
+        if (!date || isNaN(date.getTime())) {
+            throw new Error(`unreadable time "${record.time}"`);
+        }
+        step.time = date.getTime();
+    }
+    if (record.center !== undefined) {
+        const center = Array.isArray(record.center) ? record.center.map(Number) : [];
+        const zoom = Number(record.zoom);
+        if (center.length !== 2 || !center.every(isFinite) || !isFinite(zoom)) {
+            throw new Error('"center" needs to be [lat, lng] with a "zoom"');
+        }
+        step.view = { center: L.latLng(center[0], center[1]), zoom: zoom };
+    }
+    if (record.lookAt !== undefined) {
+        step.lookAt = parseTourLookAt(record.lookAt);
+    }
+    if (record.place !== undefined) {
+        step.place = String(record.place).replace(/^place:/, '');
+    }
+
+    const keyList = (name) => {
+        if (!Array.isArray(record[name])) {
+            throw new Error(`"${name}" needs to be a list of layer keys`);
+        }
+        return record[name].map(String);
+    };
+    if (record.layers !== undefined) step.layers = keyList('layers');
+    if (record.show !== undefined) step.show = keyList('show');
+    if (record.hide !== undefined) step.hide = keyList('hide');
+    if (record.event !== undefined) step.event = record.event === null ? null : String(record.event);
+
+    step.caption = record.caption !== undefined ? String(record.caption) : '';
+    if (record.dwell !== undefined) {
+        if (!(Number(record.dwell) >= 0)) throw new Error('"dwell" needs to be a number of seconds');
+        step.dwell = Number(record.dwell);
+    }
+    if (record.flyDuration !== undefined) {
+        if (!(Number(record.flyDuration) >= 0)) throw new Error('"flyDuration" needs to be a number of seconds');
+        step.flyDuration = Number(record.flyDuration);
+    }
+    if (record.audio) {
+        step.audio = baseUrl ? new URL(String(record.audio), baseUrl).href : String(record.audio);
+    }
+    step.pause = record.pause === true;
+    return step;
+}
+
+// Read a JSON tour: { name, description, steps: [...] } (see the README for the step fields)
+// into { name, description, steps, skipped }
+function parseTourJson(data, baseUrl) {
+    if (!data || !Array.isArray(data.steps)) {
+        throw new Error('expected an object with a list of "steps"');
+    }
+    const steps = data.steps.map((record, index) => {
+        try {
+            return parseTourJsonStep(record, baseUrl);
+        } catch (error) {
+            throw new Error(`step ${index + 1}: ${error.message}`);
+        }
+    });
+    if (steps.length === 0) {
+        throw new Error('the tour has no steps');
+    }
+    return {
+        name: data.name ? String(data.name) : 'Tour',
+        description: data.description ? String(data.description) : '',
+        steps: steps,
+        skipped: []
+    };
+}
+
+// Plain text of a KML description (HTML)
+function kmlDescriptionText(description) {
+    const html = (description || '').replace(/<br\s*\/?>/gi, '\n').replace(/<\/(p|div|li|h\d)>/gi, '$&\n');
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    return (doc.body ? doc.body.textContent : '').replace(/[ \t]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+}
+
+// Layer key (as in the URL hash) of a KML <Folder>: the slugs of its path of folder names
+function getKmlFolderElementKey(element) {
+    const names = [];
+    for (let node = element; node && node.nodeType === 1; node = node.parentNode) {
+        if (node.tagName === 'Folder') {
+            names.unshift(childText(node, 'name') || 'Untitled Folder');
+        }
+    }
+    return names.map(toHashSlug).join('/');
+}
+
+// Read the first <gx:Tour> of a KML document into a tour like parseTourJson's.
+//   <gx:FlyTo>           starts a step: its <LookAt>/<Camera> is the view, the view's
+//                        <gx:TimeStamp> (or the end of its <gx:TimeSpan>) the time
+//   <gx:Wait>            adds to the dwell time of the step before it
+//   <gx:AnimatedUpdate>  a placemark's <gx:balloonVisibility>1 makes its name and description
+//                        the step's caption; a folder's <visibility> shows or hides it
+//   <gx:SoundCue>        narration for the step
+//   <gx:TourControl>     pauses playing after the step
+// Updates and sounds go with the step they play during: the one before them, or after a
+// <gx:Wait> the next one. Anything else is listed in `skipped`.
+function parseKmlTour(text, baseUrl) {
+    const kmlDoc = new DOMParser().parseFromString(text, 'text/xml');
+    if (kmlDoc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Invalid KML: ' + kmlDoc.getElementsByTagName('parsererror')[0].textContent.trim());
+    }
+    const tourElement = kmlDoc.getElementsByTagName('gx:Tour')[0];
+    const playlist = tourElement ? childElement(tourElement, 'gx:Playlist') : null;
+    if (!playlist) {
+        throw new Error('the file has no <gx:Tour> with a <gx:Playlist>');
+    }
+
+    const steps = [];
+    const skipped = [];
+    // The next step, collecting updates and sounds until its <gx:FlyTo>
+    let upcoming = createTourStep();
+    let waited = true;
+    const current = () => waited || steps.length === 0 ? upcoming : steps[steps.length - 1];
+    const last = () => steps.length > 0 ? steps[steps.length - 1] : upcoming;
+    const findTarget = id => id ? kmlDoc.querySelector(`[id="${id.replace(/["\\]/g, '\\$&')}"]`) : null;
+
+    Array.from(playlist.children).forEach(element => {
+        const duration = parseOptionalFloat(childText(element, 'gx:duration')) || 0;
+        switch (element.tagName) {
+            case 'gx:FlyTo': {
+                const view = parseKmlView(element);
+                if (!view) {
+                    skipped.push(`<gx:FlyTo> ${steps.length + 1} has no <LookAt> or <Camera>`);
+                    return;
+                }
+                const step = upcoming;
+                upcoming = createTourStep();
+                waited = false;
+                step.lookAt = view;
+                step.time = view.time ? view.time.end.getTime() : null;
+                step.flyDuration = duration;
+                step.dwell = 0;
+                steps.push(step);
+                break;
+            }
+            case 'gx:Wait':
+                last().dwell = (last().dwell || 0) + duration;
+                waited = true;
+                break;
+            case 'gx:SoundCue': {
+                const href = childText(element, 'href');
+                if (href) current().audio = baseUrl ? new URL(href, baseUrl).href : href;
+                break;
+            }
+            case 'gx:TourControl':
+                last().pause = true;
+                break;
+            case 'gx:AnimatedUpdate': {
+                const update = childElement(element, 'Update');
+                const changes = update ? Array.from(update.getElementsByTagName('Change')) : [];
+                changes.forEach(change => Array.from(change.children).forEach(target => {
+                    const found = findTarget(target.getAttribute('targetId'));
+                    const balloon = childText(target, 'gx:balloonVisibility');
+                    const visibility = parseKmlBoolean(childText(target, 'visibility'));
+                    if (found && found.tagName === 'Placemark' && balloon !== null) {
+                        if (parseKmlBoolean(balloon)) {
+                            current().caption = [childText(found, 'name'), kmlDescriptionText(childText(found, 'description'))]
+                                .filter(part => part).join('\n');
+                        }
+                    } else if (found && found.tagName === 'Folder' && visibility !== null) {
+                        const key = getKmlFolderElementKey(found);
+                        (visibility ? current().show : current().hide).push(key);
+                    } else {
+                        skipped.push(`update of ${target.tagName} "${target.getAttribute('targetId') || ''}"`);
+                    }
+                }));
+                break;
+            }
+            default:
+                skipped.push(`<${element.tagName}>`);
+        }
+    });
+    if (steps.length === 0) {
+        throw new Error('the tour has no <gx:FlyTo> steps');
+    }
+    if (upcoming.caption || upcoming.show.length > 0 || upcoming.hide.length > 0 || upcoming.audio) {
+        skipped.push('updates and sounds after the last <gx:FlyTo>');
+    }
+    return {
+        name: childText(tourElement, 'name') || 'Tour',
+        description: kmlDescriptionText(childText(tourElement, 'description')),
+        steps: steps,
+        skipped: skipped
+    };
+}
+
+// Read a tour file's text: KML when it starts with '<', else JSON. baseUrl resolves
+// relative narration links (the file's URL, or null for a local file).
+function parseTourText(text, fileName, baseUrl) {
+    try {
+        if (text.trim().startsWith('<')) {
+            return parseKmlTour(text, baseUrl);
+        }
+        return parseTourJson(JSON.parse(text), baseUrl);
+    } catch (error) {
+        throw new TourError(fileName, error.message);
+    }
+}
+
+// Fetch and read a tour file
+async function loadTour(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load tour ${url}: ${response.status} ${response.statusText}`);
+    }
+    return parseTourText(await response.text(), url, new URL(url, location.href).href);
+}
+
+// Write a tour as JSON in the format parseTourJson reads
+function tourToJson(tour) {
+    const steps = tour.steps.map(step => {
+        const record = {};
+        if (step.time !== null) record.time = formatCaseIsoDate(new Date(step.time));
+        if (step.view) {
+            record.center = [Number(step.view.center.lat.toFixed(6)), Number(step.view.center.lng.toFixed(6))];
+            record.zoom = step.view.zoom;
+        }
+        if (step.lookAt) {
+            const view = step.lookAt;
+            record.lookAt = { type: view.type, latitude: view.lat, longitude: view.lng, altitude: view.altitude,
+                heading: view.heading, tilt: view.tilt, altitudeMode: view.altitudeMode };
+            if (view.range !== null) record.lookAt.range = view.range;
+            if (view.fovy !== null) record.lookAt.fovy = view.fovy;
+        }
+        if (step.place) record.place = step.place;
+        if (step.layers) record.layers = step.layers;
+        if (step.show.length > 0) record.show = step.show;
+        if (step.hide.length > 0) record.hide = step.hide;
+        if (step.event) record.event = step.event;
+        record.caption = step.caption;
+        if (step.dwell !== null) record.dwell = step.dwell;
+        record.flyDuration = step.flyDuration;
+        if (step.audio) record.audio = step.audio;
+        if (step.pause) record.pause = true;
+        return record;
+    });
+    return JSON.stringify({ name: tour.name, description: tour.description, steps: steps }, null, 2) + '\n';
+}
+
+// Plays a tour on the map. Steps are applied through the map hash (see MapHash.js), so a step's
+// layers and selected event mean what they mean in a shared link. Placemark keys in `place`
+// are looked up in kmlLayer.
+// Fires 'tourchange' ({ tour }), 'step' ({ index, step }), 'play', 'pause' and 'end'.
+L.TourPlayer = L.Evented.extend({
+    options: {
+        // Zoom for placemarks without a <LookAt> of their own
+        placeZoom: 16
+    },
+
+    initialize: function(mapHash, kmlLayer, options) {
+        L.setOptions(this, options);
+        this._mapHash = mapHash;
+        this._kmlLayer = kmlLayer;
+        this._tour = null;
+        this._index = -1;
+        this._playing = false;
+        this._timer = null;
+        this._audio = null;
+    },
+
+    addTo: function(map) {
+        this._map = map;
+        return this;
+    },
+
+    remove: function() {
+        this.stop();
+        this._map = null;
+        return this;
+    },
+
+    getTour: function() {
+        return this._tour;
+    },
+
+    // Replace the tour (or clear it with null); returns messages about steps whose placemark
+    // is not on the map
+    setTour: function(tour) {
+        this.stop();
+        this._tour = tour;
+        this.fire('tourchange', { tour: tour });
+        if (!tour) return [];
+        const places = new Set(this._kmlLayer.getLocations().map(getPlaceKey));
+        return tour.steps
+            .map((step, index) => step.place && !places.has(step.place) ? `step ${index + 1}: no placemark "${step.place}"` : null)
+            .filter(problem => problem);
+    },
+
+    // Index of the step shown, or -1 before the tour starts
+    getIndex: function() {
+        return this._index;
+    },
+
+    isPlaying: function() {
+        return this._playing;
+    },
+
+    play: function() {
+        if (!this._tour) return this;
+        if (this._index < 0 || this._ended) {
+            this._index = 0;
+        }
+        this._playing = true;
+        this._ended = false;
+        // The time player and the tour would fight over the slider
+        const timeControl = this._map.timeDimensionControl;
+        if (timeControl && timeControl._player) {
+            timeControl._player.stop();
+        }
+        this.fire('play');
+        this.goTo(this._index);
+        return this;
+    },
+
+    pause: function() {
+        this._playing = false;
+        this._clearTimer();
+        if (this._audio) this._audio.pause();
+        this._map.stop();
+        this.fire('pause');
+        return this;
+    },
+
+    // Pause and leave the tour, hiding its caption
+    stop: function() {
+        if (this._playing) this.pause();
+        this._stopAudio();
+        this._index = -1;
+        this.fire('step', { index: -1, step: null });
+        return this;
+    },
+
+    next: function() {
+        if (this._tour && this._index < this._tour.steps.length - 1) this.goTo(this._index + 1);
+        return this;
+    },
+
+    previous: function() {
+        if (this._tour && this._index > 0) this.goTo(this._index - 1);
+        return this;
+    },
+
+    // Show a step; while playing, the next one follows after the step's dwell time
+    goTo: function(index) {
+        if (!this._tour || index < 0 || index >= this._tour.steps.length) return this;
+        const step = this._tour.steps[index];
+        this._clearTimer();
+        this._stopAudio();
+        this._index = index;
+        this._applyStep(step);
+        this.fire('step', { index: index, step: step });
+        if (this._playing) {
+            this._scheduleNext(step);
+        }
+        return this;
+    },
+
+    // A new step showing the current time, view, layers and selected event
+    captureStep: function() {
+        const state = this._mapHash.getState();
+        const step = createTourStep();
+        step.time = state.time;
+        step.view = { center: state.center, zoom: state.zoom };
+        step.layers = state.layers;
+        step.event = state.event;
+        return step;
+    },
+
+    // { center, zoom } a step moves to, or null if it leaves the map where it is
+    getStepView: function(step) {
+        if (step.view) return step.view;
+        if (step.lookAt) return kmlViewToMapView(step.lookAt, this._map);
+        if (step.place) {
+            const loc = this._kmlLayer.getLocations().find(loc => getPlaceKey(loc) === step.place);
+            if (!loc) return null;
+            if (loc.lookAt) return kmlViewToMapView(loc.lookAt, this._map);
+            const latlng = getLocationLatLng(loc);
+            return latlng ? { center: latlng, zoom: this.options.placeZoom } : null;
+        }
+        return null;
+    },
+
+    // Layer keys a step leaves on, or null if it does not change layers
+    _getStepLayers: function(step) {
+        if (!step.layers && step.show.length === 0 && step.hide.length === 0) return null;
+        const keys = new Set(step.layers || this._mapHash.getHashLayers());
+        step.show.forEach(key => {
+            keys.delete('-' + key);
+            keys.add(key);
+        });
+        step.hide.forEach(key => {
+            keys.delete(key);
+            keys.add('-' + key);
+        });
+        return Array.from(keys);
+    },
+
+    _applyStep: function(step) {
+        this._mapHash.setState({
+            time: step.time,
+            zoom: null,
+            center: null,
+            layers: this._getStepLayers(step),
+            event: step.event
+        });
+        const view = this.getStepView(step);
+        if (view) {
+            if (step.flyDuration > 0) {
+                this._map.flyTo(view.center, view.zoom, { duration: step.flyDuration });
+            } else {
+                this._map.setView(view.center, view.zoom, { animate: false });
+            }
+        }
+        if (step.audio && this._playing) {
+            this._audio = new Audio(step.audio);
+            this._audio.play().catch(error => console.warn('Could not play narration ' + step.audio + ':', error.message));
+        }
+    },
+
+    // Steps without a dwell time wait for their narration to end, or the default time
+    _scheduleNext: function(step) {
+        const advance = () => {
+            this._timer = null;
+            if (step.pause || this._index >= this._tour.steps.length - 1) {
+                this._ended = this._index >= this._tour.steps.length - 1;
+                this.pause();
+                if (this._ended) this.fire('end');
+            } else {
+                this.goTo(this._index + 1);
+            }
+        };
+        if (step.dwell === null && this._audio) {
+            const audio = this._audio;
+            const onEnded = () => {
+                if (this._audio === audio && this._playing && !this._timer) advance();
+            };
+            audio.addEventListener('ended', onEnded);
+            audio.addEventListener('error', () => {
+                if (this._audio === audio && this._playing && !this._timer) {
+                    this._timer = setTimeout(advance, TOUR_DEFAULT_DWELL * 1000);
+                }
+            });
+            return;
+        }
+        const dwell = step.dwell !== null ? step.dwell : TOUR_DEFAULT_DWELL;
+        this._timer = setTimeout(advance, (step.flyDuration + dwell) * 1000);
+    },
+
+    _clearTimer: function() {
+        clearTimeout(this._timer);
+        this._timer = null;
+    },
+
+    _stopAudio: function() {
+        if (this._audio) {
+            this._audio.pause();
+            this._audio = null;
+        }
+    }
+});
+
+L.tourPlayer = function(mapHash, kmlLayer, options) {
+    return new L.TourPlayer(mapHash, kmlLayer, options);
+};
+
+// Presenter control: open a tour, play, pause and step through it with its caption over the
+// map, jump to a step, and record the current view as a new step. PageDown and PageUp (as
+// sent by presentation clickers) step forward and back.
+// Fires 'load' ({ tour, fileName, problems }) and 'loaderror' ({ error }).
+L.Control.Tour = L.Control.extend({
+    options: {
+        position: 'topleft',
+        // Tour loaded at start if present
+        tourUrl: './tour.json',
+        fileName: 'tour.json'
+    },
+
+    initialize: function(player, options) {
+        L.setOptions(this, options);
+        this._player = player;
+    },
+
+    onAdd: function(map) {
+        this._map = map;
+        const container = L.DomUtil.create('div', 'tour-control leaflet-bar');
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+
+        const button = L.DomUtil.create('a', 'tour-button', container);
+        button.href = '#';
+        button.title = 'Play a scripted walkthrough';
+        button.textContent = 'Tour';
+
+        const form = L.DomUtil.create('div', 'tour-form', container);
+        form.style.display = 'none';
+        this._name = L.DomUtil.create('div', 'tour-name', form);
+
+        const controls = L.DomUtil.create('div', 'tour-buttons', form);
+        const addButton = (parent, text, title, handler) => {
+            const element = L.DomUtil.create('button', '', parent);
+            element.type = 'button';
+            element.textContent = text;
+            element.title = title;
+            L.DomEvent.on(element, 'click', handler);
+            return element;
+        };
+        addButton(controls, '⏮', 'Previous step (PageUp)', () => this._player.previous());
+        this._playButton = addButton(controls, '▶', 'Play', () => {
+            if (this._player.isPlaying()) {
+                this._player.pause();
+            } else {
+                this._player.play();
+            }
+        });
+        addButton(controls, '⏭', 'Next step (PageDown)', () => this._player.next());
+        addButton(controls, '⏹', 'Leave the tour', () => this._player.stop());
+
+        this._steps = L.DomUtil.create('select', 'tour-steps', form);
+        L.DomEvent.on(this._steps, 'change', () => this._player.goTo(Number(this._steps.value)));
+
+        // Recording: the current time, view, layers and selected event as a new step
+        const record = L.DomUtil.create('div', 'tour-record', form);
+        this._captionInput = L.DomUtil.create('textarea', '', record);
+        this._captionInput.rows = 2;
+        this._captionInput.placeholder = 'Caption for a new step';
+        const dwellLabel = L.DomUtil.create('label', '', record);
+        dwellLabel.appendChild(document.createTextNode('Show for '));
+        this._dwellInput = L.DomUtil.create('input', '', dwellLabel);
+        this._dwellInput.type = 'number';
+        this._dwellInput.min = '0';
+        this._dwellInput.value = String(TOUR_DEFAULT_DWELL);
+        dwellLabel.appendChild(document.createTextNode(' s'));
+        const recordButtons = L.DomUtil.create('div', 'tour-buttons', record);
+        addButton(recordButtons, 'Add view', 'Add the current time, view and layers as a step after the one shown', () => this.recordStep());
+        addButton(recordButtons, 'Delete step', 'Delete the step shown', () => this.deleteStep());
+
+        const files = L.DomUtil.create('div', 'tour-buttons', form);
+        const input = L.DomUtil.create('input', '', files);
+        input.type = 'file';
+        input.accept = '.json,.kml';
+        input.style.display = 'none';
+        addButton(files, 'Open', 'Open a tour (JSON or KML with a gx:Tour)', () => input.click());
+        addButton(files, 'Save', 'Save the tour as JSON', () => this.saveFile());
+        L.DomEvent.on(input, 'change', () => {
+            if (input.files.length > 0) {
+                this.openFile(input.files[0]);
+            }
+            input.value = '';
+        });
+
+        L.DomEvent.on(button, 'click', (e) => {
+            L.DomEvent.preventDefault(e);
+            form.style.display = form.style.display === 'none' ? '' : 'none';
+        });
+
+        // Caption box over the map
+        this._caption = L.DomUtil.create('div', 'tour-caption', map.getContainer());
+        this._caption.style.display = 'none';
+        L.DomEvent.disableClickPropagation(this._caption);
+        this._captionStep = L.DomUtil.create('div', 'tour-caption-step', this._caption);
+        this._captionText = L.DomUtil.create('div', 'tour-caption-text', this._caption);
+
+        this._onKeyDown = this._onKeyDown.bind(this);
+        document.addEventListener('keydown', this._onKeyDown);
+        this._player.on('tourchange', this._renderTour, this);
+        this._player.on('step', this._onStep, this);
+        this._player.on('play pause', this._renderPlaying, this);
+        this._renderTour();
+
+        if (this.options.tourUrl) {
+            loadTour(this.options.tourUrl)
+                .then(tour => this._setTour(tour, this.options.tourUrl))
+                .catch(error => console.info('No tour:', error.message));
+        }
+        return container;
+    },
+
+    onRemove: function(map) {
+        document.removeEventListener('keydown', this._onKeyDown);
+        this._player.off('tourchange', this._renderTour, this);
+        this._player.off('step', this._onStep, this);
+        this._player.off('play pause', this._renderPlaying, this);
+        this._caption.remove();
+    },
+
+    openFile: async function(file) {
+        try {
+            this._setTour(parseTourText(await file.text(), file.name, null), file.name);
+        } catch (error) {
+            this.fire('loaderror', { error: error });
+        }
+    },
+
+    saveFile: function() {
+        const tour = this._player.getTour();
+        if (tour) {
+            downloadTextFile(tourToJson(tour), this.options.fileName, 'application/json');
+        }
+    },
+
+    // Add the current view as a step after the one shown (or at the end)
+    recordStep: function() {
+        const step = this._player.captureStep();
+        step.caption = this._captionInput.value.trim();
+        const dwell = parseFloat(this._dwellInput.value);
+        step.dwell = dwell >= 0 ? dwell : null;
+
+        const tour = this._player.getTour() || { name: 'Recorded tour', description: '', steps: [], skipped: [] };
+        const index = this._player.getIndex() >= 0 ? this._player.getIndex() + 1 : tour.steps.length;
+        tour.steps.splice(index, 0, step);
+        if (tour !== this._player.getTour()) {
+            this._player.setTour(tour);
+        } else {
+            this._renderTour();
+        }
+        this._captionInput.value = '';
+        this._player.goTo(index);
+    },
+
+    deleteStep: function() {
+        const tour = this._player.getTour();
+        const index = this._player.getIndex();
+        if (!tour || index < 0) return;
+        tour.steps.splice(index, 1);
+        this._renderTour();
+        if (tour.steps.length === 0) {
+            this._player.setTour(null);
+        } else {
+            this._player.goTo(Math.min(index, tour.steps.length - 1));
+        }
+    },
+
+    _setTour: function(tour, fileName) {
+        const problems = this._player.setTour(tour);
+        this.fire('load', { tour: tour, fileName: fileName, problems: problems });
+    },
+
+    _renderTour: function() {
+        const tour = this._player.getTour();
+        this._name.textContent = tour ? `${tour.name} (${tour.steps.length} steps)` : 'No tour loaded';
+        this._name.title = tour ? tour.description : '';
+        this._steps.innerHTML = '';
+        (tour ? tour.steps : []).forEach((step, index) => {
+            const option = L.DomUtil.create('option', '', this._steps);
+            option.value = String(index);
+            const caption = step.caption.split('\n')[0];
+            option.textContent = `${index + 1}. ` + (caption.length > 40 ? caption.slice(0, 40) + '…' : caption || 'Untitled step');
+        });
+        this._steps.disabled = !tour;
+        this._onStep({ index: this._player.getIndex(), step: null });
+    },
+
+    _onStep: function(e) {
+        const tour = this._player.getTour();
+        const step = tour && e.index >= 0 ? tour.steps[e.index] : null;
+        this._caption.style.display = step ? '' : 'none';
+        if (step) {
+            this._steps.value = String(e.index);
+            this._captionStep.textContent = `${tour.name}: step ${e.index + 1} of ${tour.steps.length}`;
+            this._captionText.textContent = step.caption;
+            this._captionText.style.display = step.caption ? '' : 'none';
+        }
+    },
+
+    _renderPlaying: function() {
+        const playing = this._player.isPlaying();
+        this._playButton.textContent = playing ? '⏸' : '▶';
+        this._playButton.title = playing ? 'Pause' : 'Play';
+    },
+
+    _onKeyDown: function(e) {
+        if (!this._player.getTour() || /^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) return;
+        if (e.key === 'PageDown') {
+            e.preventDefault();
+            this._player.next();
+        } else if (e.key === 'PageUp') {
+            e.preventDefault();
+            this._player.previous();
+        }
+    }
+});
+
+L.Control.Tour.include(L.Evented.prototype);
+
+L.control.tour = function(player, options) {
+    return new L.Control.Tour(player, options);
+};
+
+// Export functions
+window.kmlViewToMapView = kmlViewToMapView;
+window.parseTourJson = parseTourJson;
+window.parseKmlTour = parseKmlTour;
+window.parseTourText = parseTourText;
+window.loadTour = loadTour;
+window.tourToJson = tourToJson;
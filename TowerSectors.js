@@ -0,0 +1,119 @@
+/**
+ * Cell Tower Sector Lookup and Geometry
+ * Loads the tower/sector table (towers.json), finds the sector a ping was served by,
+ * and builds the coverage wedge drawn for it: the KML "Sector X Wedge" polygon when the
+ * KML has one, otherwise a wedge computed from azimuth, beamwidth and range
+ */
+
+// Sector coverage used when neither the event nor the tower table gives one.
+// Three 120° sectors with a 2.5 km radius match the wedges drawn in locations.kml.
+const DEFAULT_SECTOR_BEAMWIDTH = 120;
+const DEFAULT_SECTOR_RANGE = 2500;
+const EARTH_RADIUS_METERS = 6371008.8;
+
+// Load the tower table ({ towers: [...] }) from a JSON file
+async function loadTowers(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load tower table from ${url}: ${response.status} ${response.statusText}`);
+    }
+    const data = await response.json();
+    return Array.isArray(data) ? data : (data.towers || []);
+}
+
+// Normalize a cell/sector key for lookups: lower case, single spaces
+function normalizeCellKey(text) {
+    return String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Index tower sectors by "<tower name> <sector>", "<tower id> <sector>", and by sector id
+// alone when that id is unique across the table
+function buildSectorIndex(towers) {
+    const index = new Map();
+    const sectorCounts = new Map();
+
+    towers.forEach(tower => {
+        Object.keys(tower.sectors || {}).forEach(sectorId => {
+            const entry = { tower: tower, sectorId: sectorId, sector: tower.sectors[sectorId] };
+            index.set(normalizeCellKey(tower.name + ' ' + sectorId), entry);
+            index.set(normalizeCellKey(tower.id + ' ' + sectorId), entry);
+            const sectorKey = normalizeCellKey(sectorId);
+            sectorCounts.set(sectorKey, (sectorCounts.get(sectorKey) || 0) + 1);
+            if (!index.has(sectorKey)) {
+                index.set(sectorKey, entry);
+            }
+        });
+    });
+
+    // A bare sector id that several towers share cannot identify a tower on its own
+    sectorCounts.forEach((count, sectorKey) => {
+        if (count > 1) index.delete(sectorKey);
+    });
+    return index;
+}
+
+// Find the tower sector for a cell (tower) and sector value, or null
+function lookupSector(index, cell, sector) {
+    const candidates = [
+        cell && sector ? cell + ' ' + sector : null,
+        cell,
+        sector
+    ];
+    for (const candidate of candidates) {
+        if (candidate && index.has(normalizeCellKey(candidate))) {
+            return index.get(normalizeCellKey(candidate));
+        }
+    }
+    return null;
+}
+
+// Point reached from lat/lng after travelling distance meters on a compass bearing
+function destinationPoint(lat, lng, bearing, distance) {
+    const toRad = Math.PI / 180;
+    const angular = distance / EARTH_RADIUS_METERS;
+    const phi1 = lat * toRad;
+    const lambda1 = lng * toRad;
+    const theta = bearing * toRad;
+
+    const phi2 = Math.asin(Math.sin(phi1) * Math.cos(angular) +
+        Math.cos(phi1) * Math.sin(angular) * Math.cos(theta));
+    const lambda2 = lambda1 + Math.atan2(Math.sin(theta) * Math.sin(angular) * Math.cos(phi1),
+        Math.cos(angular) - Math.sin(phi1) * Math.sin(phi2));
+
+    return [phi2 / toRad, lambda2 / toRad];
+}
+
+// Wedge polygon ([lat, lng] ring) for a sector centred on azimuth, spanning beamwidth degrees
+function computeSectorWedge(lat, lng, azimuth, beamwidth, range) {
+    beamwidth = beamwidth || DEFAULT_SECTOR_BEAMWIDTH;
+    range = range || DEFAULT_SECTOR_RANGE;
+
+    const steps = Math.max(2, Math.ceil(beamwidth / 10));
+    const start = azimuth - beamwidth / 2;
+    const ring = [[lat, lng]];
+    for (let i = 0; i <= steps; i++) {
+        ring.push(destinationPoint(lat, lng, start + (beamwidth * i) / steps, range));
+    }
+    ring.push([lat, lng]);
+    return ring;
+}
+
+// Find the KML "Sector <X> Wedge" polygon filed under a tower's folder (e.g. "PARSONS CELL TOWER")
+function findKmlSectorWedge(locations, towerName, sectorId) {
+    const tower = normalizeCellKey(towerName);
+    const wedgeName = normalizeCellKey(`sector ${sectorId} wedge`);
+    if (!tower || !sectorId) return null;
+
+    return locations.find(loc =>
+        loc.type === 'polygon' &&
+        normalizeCellKey(loc.name) === wedgeName &&
+        loc.folderPath.some(name => normalizeCellKey(name) === tower)
+    ) || null;
+}
+
+// Export functions
+window.loadTowers = loadTowers;
+window.buildSectorIndex = buildSectorIndex;
+window.lookupSector = lookupSector;
+window.computeSectorWedge = computeSectorWedge;
+window.findKmlSectorWedge = findKmlSectorWedge;
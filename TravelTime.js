@@ -0,0 +1,984 @@
+/**
+ * Travel Time Feasibility
+ * Finds the fastest road route between two pings or places over a local road network (an
+ * OpenStreetMap extract or a route drawn on the map) and checks whether the time between the
+ * pings allows the trip
+ */
+
+// Assumed speeds (mph) by OSM highway class, for roads without a maxspeed tag. Classes not
+// listed here (footways, paths, ...) are not driven on.
+const DEFAULT_ROAD_SPEEDS = {
+    motorway: 70,
+    motorway_link: 45,
+    trunk: 60,
+    trunk_link: 40,
+    primary: 55,
+    primary_link: 35,
+    secondary: 50,
+    secondary_link: 35,
+    tertiary: 45,
+    tertiary_link: 30,
+    unclassified: 40,
+    residential: 30,
+    living_street: 15,
+    service: 15,
+    track: 15,
+    road: 30
+};
+
+// Metres per second in one mile per hour
+const MPH = 0.44704;
+
+// Speed in mph from an OSM maxspeed tag ("55 mph", "90" km/h), or null
+function parseMaxSpeed(value) {
+    const match = String(value || '').match(/^\s*(\d+(?:\.\d+)?)\s*(mph|km\/h|kmh|kph)?\s*$/i);
+    if (!match) return null;
+    const speed = parseFloat(match[1]);
+    return match[2] && match[2].toLowerCase() === 'mph' ? speed : speed / 1.609344;
+}
+
+// Directions a road can be driven in, from its OSM oneway/junction tags
+function getRoadDirections(tags) {
+    const oneway = String(tags.oneway || '').toLowerCase();
+    if (oneway === '-1' || oneway === 'reverse') {
+        return { forward: false, backward: true };
+    }
+    if (['yes', 'true', '1'].includes(oneway) ||
+        (oneway !== 'no' && (tags.highway === 'motorway' || tags.junction === 'roundabout'))) {
+        return { forward: true, backward: false };
+    }
+    return { forward: true, backward: true };
+}
+
+// Read the roads from an OSM XML extract (.osm) as way records:
+// { coords: [{ lat, lng }], nodeIds, tags }
+function parseOsmRoads(text) {
+    const doc = new DOMParser().parseFromString(text, 'text/xml');
+    if (doc.querySelector('parsererror')) {
+        throw new Error('not a valid OSM XML file');
+    }
+    const nodes = new Map();
+    doc.querySelectorAll('node').forEach(node => {
+        nodes.set(node.getAttribute('id'), {
+            lat: parseFloat(node.getAttribute('lat')),
+            lng: parseFloat(node.getAttribute('lon'))
+        });
+    });
+
+    const ways = [];
+    doc.querySelectorAll('way').forEach(way => {
+        const tags = {};
+        way.querySelectorAll('tag').forEach(tag => {
+            tags[tag.getAttribute('k')] = tag.getAttribute('v');
+        });
+        if (!tags.highway) return;
+        // Extracts clipped to an area can name nodes they leave out
+        const nodeIds = Array.from(way.querySelectorAll('nd'))
+            .map(nd => nd.getAttribute('ref'))
+            .filter(id => nodes.has(id));
+        if (nodeIds.length > 1) {
+            ways.push({ coords: nodeIds.map(id => nodes.get(id)), nodeIds: nodeIds, tags: tags });
+        }
+    });
+    return ways;
+}
+
+// Read the roads from GeoJSON line features (e.g. an extract converted with osmtogeojson or
+// ogr2ogr) as way records. OSM tags are read from the properties or a properties.tags object.
+function parseGeoJsonRoads(data) {
+    const features = data.type === 'FeatureCollection' ? data.features : [data];
+    const ways = [];
+    features.forEach(feature => {
+        const geometry = feature && feature.geometry;
+        const properties = (feature && feature.properties) || {};
+        const tags = { ...properties, ...(properties.tags || {}) };
+        if (!geometry || !tags.highway) return;
+        const lines = geometry.type === 'LineString' ? [geometry.coordinates]
+            : geometry.type === 'MultiLineString' ? geometry.coordinates : [];
+        lines.filter(line => line.length > 1).forEach(line => {
+            ways.push({ coords: line.map(([lng, lat]) => ({ lat: lat, lng: lng })), tags: tags });
+        });
+    });
+    return ways;
+}
+
+// Read a road network file by name: OSM XML for .osm/.xml, otherwise GeoJSON
+function parseRoadNetworkText(text, fileName) {
+    const extension = String(fileName).split(/[?#]/)[0].split('.').pop().toLowerCase();
+    return ['osm', 'xml'].includes(extension) ? parseOsmRoads(text) : parseGeoJsonRoads(JSON.parse(text));
+}
+
+// Load the way records of a road network file
+async function loadRoadNetwork(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load road network from ${url}: ${response.status} ${response.statusText}`);
+    }
+    try {
+        return parseRoadNetworkText(await response.text(), url);
+    } catch (error) {
+        throw new Error(`Could not read road network ${url}: ${error.message}`);
+    }
+}
+
+// Build a routable graph from way records. A way's speed is its `speed` (mph, for drawn
+// routes), else its maxspeed tag, else the speed assumed for its highway class; ways with
+// none of these are left out. Ways meet where they share an OSM node or a coordinate.
+function buildRoadGraph(ways, speeds) {
+    speeds = { ...DEFAULT_ROAD_SPEEDS, ...(speeds || {}) };
+    const nodes = [];
+    const nodeIndex = new Map();
+    const adjacency = [];
+    const segments = [];
+    const classes = new Set();
+    let topSpeed = 0;
+
+    const getNode = (key, coord) => {
+        if (!nodeIndex.has(key)) {
+            nodeIndex.set(key, nodes.length);
+            nodes.push(L.latLng(coord.lat, coord.lng));
+            adjacency.push([]);
+        }
+        return nodeIndex.get(key);
+    };
+
+    ways.forEach(way => {
+        const tags = way.tags || {};
+        const mph = way.speed || parseMaxSpeed(tags.maxspeed) || speeds[tags.highway];
+        if (!mph) return;
+        const road = {
+            highway: tags.highway,
+            name: tags.ref || tags.name || null,
+            speed: mph * MPH,
+            ...getRoadDirections(tags)
+        };
+        classes.add(tags.highway);
+        topSpeed = Math.max(topSpeed, mph);
+
+        const ids = way.coords.map((coord, i) => getNode(
+            way.nodeIds ? 'n' + way.nodeIds[i] : coord.lat.toFixed(7) + ',' + coord.lng.toFixed(7), coord));
+        for (let i = 1; i < ids.length; i++) {
+            if (ids[i - 1] === ids[i]) continue;
+            const length = nodes[ids[i - 1]].distanceTo(nodes[ids[i]]);
+            const segment = { a: ids[i - 1], b: ids[i], length: length, time: length / road.speed, road: road };
+            segments.push(segment);
+            if (road.forward) adjacency[segment.a].push({ to: segment.b, segment: segment });
+            if (road.backward) adjacency[segment.b].push({ to: segment.a, segment: segment });
+        }
+    });
+
+    return {
+        nodes: nodes,
+        adjacency: adjacency,
+        segments: segments,
+        // Highway classes driven on, and the fastest speed (mph) of any road
+        classes: Array.from(classes).sort(),
+        topSpeed: topSpeed
+    };
+}
+
+// Nearest point of the graph's roads to latlng, skipping road classes in `avoid`:
+// { segment, fraction (0 at segment.a, 1 at segment.b), point, distance }, or null
+function snapToRoad(graph, latlng, avoid) {
+    latlng = L.latLng(latlng);
+    // Flat projection around latlng, in metres; plenty for finding the nearest road
+    const scaleX = 111320 * Math.cos(latlng.lat * Math.PI / 180);
+    const scaleY = 110540;
+    const project = p => ({ x: (p.lng - latlng.lng) * scaleX, y: (p.lat - latlng.lat) * scaleY });
+
+    let best = null;
+    graph.segments.forEach(segment => {
+        if (avoid && avoid.includes(segment.road.highway)) return;
+        const a = project(graph.nodes[segment.a]);
+        const b = project(graph.nodes[segment.b]);
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const fraction = lengthSquared > 0 ? Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared)) : 0;
+        const x = a.x + fraction * dx;
+        const y = a.y + fraction * dy;
+        const distanceSquared = x * x + y * y;
+        if (!best || distanceSquared < best.distanceSquared) {
+            best = { segment: segment, fraction: fraction, distanceSquared: distanceSquared };
+        }
+    });
+    if (!best) return null;
+
+    const a = graph.nodes[best.segment.a];
+    const b = graph.nodes[best.segment.b];
+    const point = L.latLng(a.lat + best.fraction * (b.lat - a.lat), a.lng + best.fraction * (b.lng - a.lng));
+    return { segment: best.segment, fraction: best.fraction, point: point, distance: latlng.distanceTo(point) };
+}
+
+// Binary min-heap of [priority, value] pairs, for the route search
+class RouteQueue {
+    constructor() {
+        this._items = [];
+    }
+
+    get size() {
+        return this._items.length;
+    }
+
+    peekPriority() {
+        return this._items[0][0];
+    }
+
+    push(priority, value) {
+        const items = this._items;
+        items.push([priority, value]);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent][0] <= items[i][0]) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this._items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left][0] < items[smallest][0]) smallest = left;
+                if (right < items.length && items[right][0] < items[smallest][0]) smallest = right;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        return top[1];
+    }
+}
+
+// Fastest route between two points over a road graph. Each point is joined to its nearest
+// road by a straight access leg driven at options.accessSpeed (mph).
+// options: { avoid: road classes not to use, accessSpeed, maxSnapDistance (m) }
+// Returns { time (s), distance (m), accessDistance (m), path: [latlng], roads: [name] }, or
+// null when a point is further than maxSnapDistance from a road or no route connects them.
+function findFastestRoute(graph, from, to, options) {
+    options = { avoid: [], accessSpeed: 20, maxSnapDistance: 2000, ...(options || {}) };
+    from = L.latLng(from);
+    to = L.latLng(to);
+    const start = snapToRoad(graph, from, options.avoid);
+    const end = snapToRoad(graph, to, options.avoid);
+    if (!start || !end || start.distance > options.maxSnapDistance || end.distance > options.maxSnapDistance) {
+        return null;
+    }
+
+    const avoided = segment => options.avoid.includes(segment.road.highway);
+    const time = new Float64Array(graph.nodes.length).fill(Infinity);
+    const previous = new Array(graph.nodes.length).fill(null);
+    const queue = new RouteQueue();
+    const seed = (node, seconds) => {
+        if (seconds < time[node]) {
+            time[node] = seconds;
+            queue.push(seconds, node);
+        }
+    };
+
+    // Leave the start point's segment towards either end it can be driven to
+    const s = start.segment;
+    if (s.road.forward) seed(s.b, (1 - start.fraction) * s.time);
+    if (s.road.backward) seed(s.a, start.fraction * s.time);
+
+    // Best arrival at the end point so far: straight along a shared segment, or from either end
+    // of the end point's segment
+    let best = { time: Infinity, node: null };
+    const e = end.segment;
+    if (s === e && ((end.fraction >= start.fraction && s.road.forward) || (end.fraction <= start.fraction && s.road.backward))) {
+        best = { time: Math.abs(end.fraction - start.fraction) * s.time, node: null };
+    }
+
+    while (queue.size > 0 && queue.peekPriority() < best.time) {
+        const node = queue.pop();
+        const seconds = time[node];
+        if (node === e.a && e.road.forward && seconds + end.fraction * e.time < best.time) {
+            best = { time: seconds + end.fraction * e.time, node: node };
+        }
+        if (node === e.b && e.road.backward && seconds + (1 - end.fraction) * e.time < best.time) {
+            best = { time: seconds + (1 - end.fraction) * e.time, node: node };
+        }
+        graph.adjacency[node].forEach(edge => {
+            if (avoided(edge.segment) || seconds + edge.segment.time >= time[edge.to]) return;
+            time[edge.to] = seconds + edge.segment.time;
+            previous[edge.to] = { node: node, segment: edge.segment };
+            queue.push(time[edge.to], edge.to);
+        });
+    }
+    if (best.time === Infinity) {
+        return null;
+    }
+
+    // Walk back from the end, collecting the nodes and the roads driven with the length driven
+    // on each; the snapped points' own segments are only driven from or to the point
+    const path = [];
+    const driven = [];
+    let firstNode = null;
+    for (let node = best.node; node !== null; node = previous[node] ? previous[node].node : null) {
+        path.unshift(graph.nodes[node]);
+        firstNode = node;
+        if (previous[node]) driven.unshift({ segment: previous[node].segment, length: previous[node].segment.length });
+    }
+    if (best.node === null) {
+        driven.push({ segment: s, length: Math.abs(end.fraction - start.fraction) * s.length });
+    } else {
+        driven.unshift({ segment: s, length: (firstNode === s.b ? 1 - start.fraction : start.fraction) * s.length });
+        driven.push({ segment: e, length: (best.node === e.a ? end.fraction : 1 - end.fraction) * e.length });
+    }
+    path.unshift(start.point);
+    path.push(end.point);
+
+    // Segments driven for no distance (a point snapped onto a road's end) are not listed
+    const roads = [];
+    driven.filter(part => part.length > 0).forEach(part => {
+        const name = part.segment.road.name || part.segment.road.highway;
+        if (roads[roads.length - 1] !== name) roads.push(name);
+    });
+
+    let distance = 0;
+    for (let i = 1; i < path.length; i++) {
+        distance += path[i - 1].distanceTo(path[i]);
+    }
+    const accessDistance = start.distance + end.distance;
+    return {
+        time: best.time + accessDistance / (options.accessSpeed * MPH),
+        distance: distance + accessDistance,
+        accessDistance: accessDistance,
+        path: [from].concat(path, [to]),
+        roads: roads
+    };
+}
+
+// Distance (m) from point p to segment a-b, on a flat projection
+function distanceToSegment(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const fraction = lengthSquared > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared)) : 0;
+    return Math.hypot(p.x - (a.x + fraction * dx), p.y - (a.y + fraction * dy));
+}
+
+// Whether segments a-b and c-d cross
+function segmentsCross(a, b, c, d) {
+    const side = (p, q, r) => Math.sign((q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x));
+    return side(a, b, c) !== side(a, b, d) && side(c, d, a) !== side(c, d, b);
+}
+
+// Whether point p lies inside a polygon ring
+function isInsideRing(p, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        if ((ring[i].y > p.y) !== (ring[j].y > p.y) &&
+            p.x < ring[j].x + (p.y - ring[j].y) * (ring[i].x - ring[j].x) / (ring[i].y - ring[j].y)) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Closest distance (m) between two areas a point may have been in (see getTravelPoint):
+// { latlngs: a polygon ring or a single point, radius (m) around it }. 0 when they overlap.
+function getAreaDistance(a, b) {
+    const origin = L.latLng(a.latlngs[0]);
+    // Flat projection around the first area, in metres, as in snapToRoad
+    const scaleX = 111320 * Math.cos(origin.lat * Math.PI / 180);
+    const scaleY = 110540;
+    const project = latlngs => latlngs.map(p => {
+        p = L.latLng(p);
+        return { x: (p.lng - origin.lng) * scaleX, y: (p.lat - origin.lat) * scaleY };
+    });
+    const ringA = project(a.latlngs);
+    const ringB = project(b.latlngs);
+    const edges = ring => ring.map((p, i) => [p, ring[(i + 1) % ring.length]]);
+
+    let distance = Infinity;
+    if ((ringB.length > 2 && ringA.some(p => isInsideRing(p, ringB))) ||
+        (ringA.length > 2 && ringB.some(p => isInsideRing(p, ringA)))) {
+        distance = 0;
+    }
+    edges(ringA).forEach(([p, q]) => edges(ringB).forEach(([r, t]) => {
+        if (distance === 0) return;
+        distance = segmentsCross(p, q, r, t) ? 0 : Math.min(distance,
+            distanceToSegment(p, r, t), distanceToSegment(q, r, t),
+            distanceToSegment(r, p, q), distanceToSegment(t, p, q));
+    }));
+    return Math.max(0, distance - (a.radius || 0) - (b.radius || 0));
+}
+
+// Check whether the time between two points allows the trip between them.
+// from/to: { lat, lng, time (ms, or null for a place without a time), label, approximate, area }
+// graph may be null (no road network): the trip is then only checked in a straight line at
+// the fastest speed, which can rule a trip out but never confirm it. When either point is
+// approximate (a ping placed at its tower or sector) the route between the recorded points
+// proves nothing, so the trip is only ruled out when even the closest points of the two areas
+// (see getTravelPoint) are too far apart at the fastest speed.
+// Returns { from, to, elapsed (s or null), straightDistance (m), straightLineTime (s), route,
+// minimumTime (s or null), margin (s or null), approximate, closestDistance and closestTime
+// (m and s between the areas, or null when both points are exact), feasible (true, false or
+// null when unknown) }
+function checkTravelFeasibility(graph, from, to, options) {
+    options = options || {};
+    const straightDistance = L.latLng(from.lat, from.lng).distanceTo([to.lat, to.lng]);
+    const topSpeed = Math.max(...Object.values({ ...DEFAULT_ROAD_SPEEDS, ...(options.speeds || {}) }),
+        graph ? graph.topSpeed : 0);
+    const straightLineTime = straightDistance / (topSpeed * MPH);
+    const elapsed = from.time !== null && from.time !== undefined && to.time !== null && to.time !== undefined
+        ? Math.abs(to.time - from.time) / 1000 : null;
+    const route = graph && straightDistance > 0 ? findFastestRoute(graph, from, to, options) : null;
+    const minimumTime = straightDistance === 0 ? 0 : route ? route.time : null;
+
+    const approximate = !!(from.approximate || to.approximate);
+    const pointArea = point => point.area || { latlngs: [[point.lat, point.lng]], radius: 0 };
+    const closestDistance = approximate ? getAreaDistance(pointArea(from), pointArea(to)) : null;
+    const closestTime = approximate ? closestDistance / (topSpeed * MPH) : null;
+    let feasible = null;
+    if (elapsed !== null && approximate) {
+        // At best, times given to the minute are almost a minute further apart than they read
+        const rounding = from.time % 60000 === 0 && to.time % 60000 === 0 ? 60 : 0;
+        if (closestTime > elapsed + rounding) {
+            feasible = false;
+        }
+    } else if (elapsed !== null) {
+        if (minimumTime !== null) {
+            feasible = minimumTime <= elapsed;
+        } else if (straightLineTime > elapsed) {
+            feasible = false;
+        }
+    }
+    return {
+        from: from,
+        to: to,
+        elapsed: elapsed,
+        straightDistance: straightDistance,
+        straightLineTime: straightLineTime,
+        route: route,
+        minimumTime: minimumTime,
+        margin: elapsed !== null && minimumTime !== null && !approximate ? elapsed - minimumTime : null,
+        approximate: approximate,
+        closestDistance: closestDistance,
+        closestTime: closestTime,
+        feasible: feasible
+    };
+}
+
+// Check every move between consecutive events (already in time order) of one phone.
+// options are checkTravelFeasibility's and getTravelPoint's.
+function checkConsecutivePings(graph, events, options) {
+    const results = [];
+    for (let i = 1; i < events.length; i++) {
+        results.push(checkTravelFeasibility(graph, getTravelPoint(events[i - 1], options),
+            getTravelPoint(events[i], options), options));
+    }
+    return results;
+}
+
+// Travel point for a timeline event or a KML location. Events that name a tower, sector or
+// azimuth, or are marked approximate, and placemarks of approximate precision are approximate.
+// An approximate point's `area` is where it may have been: the event's sector wedge (from
+// options.getSector), else a circle of the event's `radius` or options.approximateRadius (m)
+// around the recorded point.
+function getTravelPoint(item, options) {
+    options = options || {};
+    const circle = (lat, lng) => ({
+        latlngs: [[lat, lng]],
+        radius: Number(item.radius) || options.approximateRadius || DEFAULT_SECTOR_RANGE
+    });
+    if (item.lat !== undefined) {
+        const approximate = !!(item.approximate || item.tower || item.sector || item.azimuth !== undefined);
+        const sector = approximate && options.getSector ? options.getSector(item) : null;
+        return {
+            lat: item.lat,
+            lng: item.lng,
+            time: item.timestamp.getTime(),
+            label: item.label,
+            approximate: approximate,
+            area: !approximate ? null : sector ? { latlngs: sector.latlngs, radius: 0 } : circle(item.lat, item.lng),
+            event: item
+        };
+    }
+    const latlng = getLocationLatLng(item);
+    return {
+        lat: latlng.lat,
+        lng: latlng.lng,
+        time: item.timestamp ? item.timestamp.getTime() : null,
+        label: item.name,
+        approximate: !!item.approximate,
+        area: item.approximate ? circle(latlng.lat, latlng.lng) : null,
+        location: item
+    };
+}
+
+// Duration as "45 s", "12 min" or "1 h 05 min"
+function formatDuration(seconds) {
+    if (seconds < 60) {
+        return Math.round(seconds) + ' s';
+    }
+    const minutes = Math.round(seconds / 60);
+    return minutes < 60 ? minutes + ' min' : Math.floor(minutes / 60) + ' h ' + String(minutes % 60).padStart(2, '0') + ' min';
+}
+
+// One-line verdict for a check, e.g. "Not possible: fastest 24 min, 12 min between pings"
+function formatTravelVerdict(result) {
+    const elapsed = result.elapsed !== null ? `${formatDuration(result.elapsed)} between pings` : 'no time between them';
+    if (result.approximate) {
+        const closest = result.closestDistance > 0 ? `${formatDuration(result.closestTime)} at the closest` : 'their areas overlap';
+        if (result.feasible === false) return `Not possible even at best: ${closest}, ${elapsed}`;
+        return `Unknown, positions are approximate: ${closest}, ${elapsed}`;
+    }
+    if (result.minimumTime !== null) {
+        const fastest = `fastest ${formatDuration(result.minimumTime)}`;
+        if (result.feasible === null) return `${fastest}, ${elapsed}`;
+        return `${result.feasible ? 'Possible' : 'Not possible'}: ${fastest}, ${elapsed}`;
+    }
+    const straight = `${formatDuration(result.straightLineTime)} even in a straight line`;
+    if (result.feasible === false) return `Not possible: ${straight}, ${elapsed}`;
+    return `No road route found; ${straight}, ${elapsed}`;
+}
+
+// Popup/summary text for a check, one fact per line
+function formatTravelResult(result) {
+    const miles = meters => (meters / 1609.344).toFixed(1) + ' mi';
+    const lines = [
+        `${result.from.label} → ${result.to.label}`,
+        formatTravelVerdict(result),
+        `Straight line: ${miles(result.straightDistance)}`
+    ];
+    if (result.route) {
+        lines.push(`By road: ${miles(result.route.distance)} via ${result.route.roads.join(', ')}`);
+        if (result.route.accessDistance > 0) {
+            lines.push(`Includes ${miles(result.route.accessDistance)} off-road to the nearest roads`);
+        }
+    }
+    if (result.approximate) {
+        lines.push(`Closest the two positions could be: ${miles(result.closestDistance)}`);
+    }
+    if (result.margin !== null) {
+        lines.push(result.margin >= 0 ? `${formatDuration(result.margin)} to spare` : `${formatDuration(-result.margin)} short`);
+    }
+    return lines;
+}
+
+// Timeline flag for the event a check arrives at: { status, text }, status being
+// 'feasible', 'infeasible' or 'unknown'
+function getTravelFlag(result) {
+    const from = result.from.time !== null ? formatCaseTime(new Date(result.from.time)) : result.from.label;
+    return {
+        status: result.feasible === true ? 'feasible' : result.feasible === false ? 'infeasible' : 'unknown',
+        text: `From ${from}: ${formatTravelVerdict(result)}`
+    };
+}
+
+// Flags for EvidencePanel.setFlags: each checked move flags the event it arrives at
+function getTravelFlags(results) {
+    const flags = {};
+    results.filter(result => result.to.event).forEach(result => {
+        flags[result.to.event.id] = getTravelFlag(result);
+    });
+    return flags;
+}
+
+// Colors of the drawn checks
+const TRAVEL_COLORS = { feasible: '#2e7d32', infeasible: '#c62828', unknown: '#757575' };
+
+// Map control that checks travel times between pings or places and draws the routes found.
+// The road network is read from options.networkUrl when first needed (or a file picked in the
+// form); a route drawn on the map can be used instead, at the speed entered for it.
+// Fires 'results' { results } after each check and 'networkerror' { error }.
+L.Control.TravelTime = L.Control.extend({
+    options: {
+        position: 'topleft',
+        // OSM XML (.osm) or GeoJSON road network, e.g. './road-network.geojson'; null to only
+        // use drawn routes and straight lines
+        networkUrl: null,
+        // mph by highway class, over DEFAULT_ROAD_SPEEDS
+        speeds: null,
+        // mph between a point and its nearest road
+        accessSpeed: 20,
+        // Points further than this (m) from every road are not routed
+        maxSnapDistance: 2000,
+        // mph on a drawn route
+        routeSpeed: 45,
+        // How far (m) an approximate point without a sector wedge may have been from where it
+        // is recorded, unless the event gives its own `radius`
+        approximateRadius: DEFAULT_SECTOR_RANGE
+    },
+
+    initialize: function(kmlLayer, options) {
+        L.setOptions(this, options);
+        this._kmlLayer = kmlLayer;
+        this._network = null;
+        this._routeLatLngs = [];
+        this._results = [];
+        this._resultLayer = L.featureGroup();
+    },
+
+    onAdd: function(map) {
+        this._map = map;
+        this._resultLayer.addTo(map);
+        this._routeLine = L.polyline([], { color: '#6a1b9a', weight: 4, dashArray: '8 6' }).addTo(map);
+
+        const container = L.DomUtil.create('div', 'travel-time leaflet-bar');
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+
+        const button = L.DomUtil.create('a', 'travel-time-button', container);
+        button.href = '#';
+        button.title = 'Check travel times between pings';
+        button.textContent = 'Travel';
+
+        const form = L.DomUtil.create('div', 'travel-time-form', container);
+        form.style.display = 'none';
+        this._form = form;
+
+        const addRow = (labelText, element) => {
+            const label = L.DomUtil.create('label', '', form);
+            label.textContent = labelText + ' ';
+            label.appendChild(element);
+            return element;
+        };
+
+        this._from = addRow('From', L.DomUtil.create('select', ''));
+        this._to = addRow('To', L.DomUtil.create('select', ''));
+        const check = L.DomUtil.create('button', '', form);
+        check.type = 'button';
+        check.textContent = 'Check';
+
+        this._phone = addRow('Consecutive pings of', L.DomUtil.create('select', ''));
+        const checkPhone = L.DomUtil.create('button', '', form);
+        checkPhone.type = 'button';
+        checkPhone.textContent = 'Check all';
+
+        this._source = addRow('Roads', L.DomUtil.create('select', ''));
+        [['network', 'Road network'], ['route', 'Drawn route']].forEach(([value, text]) => {
+            const option = L.DomUtil.create('option', '', this._source);
+            option.value = value;
+            option.textContent = text;
+        });
+        this._networkInfo = L.DomUtil.create('div', 'travel-time-info', form);
+        const fileInput = L.DomUtil.create('input', '', form);
+        fileInput.type = 'file';
+        fileInput.accept = '.osm,.xml,.geojson,.json';
+        fileInput.title = 'Load an OSM extract (.osm) or GeoJSON road network';
+        this._avoid = addRow('Avoid', L.DomUtil.create('select', ''));
+        this._avoid.multiple = true;
+        this._avoid.size = 3;
+
+        const draw = L.DomUtil.create('button', '', form);
+        draw.type = 'button';
+        draw.textContent = 'Draw route';
+        this._routeSpeed = addRow('Route mph', L.DomUtil.create('input', ''));
+        this._routeSpeed.type = 'number';
+        this._routeSpeed.min = '1';
+        this._routeSpeed.value = this.options.routeSpeed;
+
+        const clear = L.DomUtil.create('button', '', form);
+        clear.type = 'button';
+        clear.textContent = 'Clear';
+        this._output = L.DomUtil.create('div', 'travel-time-output', form);
+
+        L.DomEvent.on(button, 'click', (e) => {
+            L.DomEvent.preventDefault(e);
+            if (form.style.display === 'none') {
+                this._fillPointOptions();
+                this._ensureNetwork();
+            }
+            form.style.display = form.style.display === 'none' ? '' : 'none';
+        });
+        L.DomEvent.on(check, 'click', () => this._run(() => this.check(this._getPoint(this._from.value), this._getPoint(this._to.value))));
+        L.DomEvent.on(checkPhone, 'click', () => this._run(() => this.checkPings(this._phone.value)));
+        L.DomEvent.on(fileInput, 'change', () => {
+            if (fileInput.files.length > 0) {
+                const file = fileInput.files[0];
+                file.text()
+                    .then(text => this.setNetwork(parseRoadNetworkText(text, file.name), file.name))
+                    .catch(error => this._onNetworkError(new Error(`Could not read road network ${file.name}: ${error.message}`)));
+            }
+            fileInput.value = '';
+        });
+        L.DomEvent.on(draw, 'click', () => this.drawRoute());
+        L.DomEvent.on(this._source, 'change', () => this._showNetworkInfo());
+        L.DomEvent.on(clear, 'click', () => this.clear());
+
+        this._showNetworkInfo();
+        return container;
+    },
+
+    onRemove: function(map) {
+        this._stopDrawing();
+        map.removeLayer(this._resultLayer);
+        map.removeLayer(this._routeLine);
+        this._map = null;
+    },
+
+    // Use these way records (see parseOsmRoads) as the road network
+    setNetwork: function(ways, name) {
+        this._network = { ways: ways, name: name || 'road network', graph: buildRoadGraph(ways, this.options.speeds) };
+        this._networkError = null;
+        this._showNetworkInfo();
+        return this;
+    },
+
+    // Use a route (latlngs) as the roads, driven at `speed` mph (default: the speed in the form)
+    setRoute: function(latlngs, speed) {
+        this._routeLatLngs = latlngs.map(latlng => L.latLng(latlng));
+        if (speed) this._routeSpeed.value = speed;
+        this._routeLine.setLatLngs(this._routeLatLngs);
+        this._source.value = 'route';
+        this._showNetworkInfo();
+        return this;
+    },
+
+    // Click points on the map to draw a route; double-click (or click the last point) to finish
+    drawRoute: function() {
+        this._stopDrawing();
+        this._drawing = [];
+        this._routeLine.setLatLngs([]);
+        this._map.doubleClickZoom.disable();
+        L.DomUtil.addClass(this._map.getContainer(), 'travel-time-drawing');
+        this._map.on('click', this._onDrawClick, this);
+        this._map.on('dblclick', this._finishDrawing, this);
+        this._output.textContent = 'Click along the route on the map, double-click to finish.';
+    },
+
+    _onDrawClick: function(e) {
+        this._drawing.push(e.latlng);
+        this._routeLine.setLatLngs(this._drawing);
+    },
+
+    _finishDrawing: function() {
+        const latlngs = this._drawing;
+        this._stopDrawing();
+        if (latlngs.length > 1) {
+            this.setRoute(latlngs);
+            this._output.textContent = 'Route drawn.';
+        } else {
+            this._routeLine.setLatLngs(this._routeLatLngs);
+            this._output.textContent = '';
+        }
+    },
+
+    _stopDrawing: function() {
+        if (!this._drawing) return;
+        this._drawing = null;
+        this._map.off('click', this._onDrawClick, this);
+        this._map.off('dblclick', this._finishDrawing, this);
+        L.DomUtil.removeClass(this._map.getContainer(), 'travel-time-drawing');
+        // Let the finishing double-click end before zooming comes back
+        setTimeout(() => this._map && this._map.doubleClickZoom.enable(), 0);
+    },
+
+    // Check the trip between two travel points (see getTravelPoint) and draw it
+    check: async function(from, to) {
+        const results = [checkTravelFeasibility(await this._getGraph(), from, to, this._getRouteOptions())];
+        this._showResults(results);
+        return results;
+    },
+
+    // Check every move between a phone's consecutive pings and draw them
+    checkPings: async function(phone) {
+        const track = this._kmlLayer.getTracks().find(t => t.phone === phone);
+        const results = checkConsecutivePings(await this._getGraph(), track ? track.events : [], this._getRouteOptions());
+        this._showResults(results);
+        return results;
+    },
+
+    // Results of the last check
+    getResults: function() {
+        return this._results;
+    },
+
+    // Remove the drawn checks and route
+    clear: function() {
+        this._stopDrawing();
+        this._resultLayer.clearLayers();
+        this._routeLatLngs = [];
+        this._routeLine.setLatLngs([]);
+        this._showNetworkInfo();
+        this._results = [];
+        this._output.textContent = '';
+        this.fire('results', { results: [] });
+        return this;
+    },
+
+    _run: function(check) {
+        check().catch(error => {
+            console.error('Error checking travel time:', error);
+            this._output.textContent = error.message;
+        });
+    },
+
+    _getRouteOptions: function() {
+        return {
+            avoid: Array.from(this._avoid.selectedOptions).map(option => option.value),
+            accessSpeed: this.options.accessSpeed,
+            maxSnapDistance: this.options.maxSnapDistance,
+            speeds: this.options.speeds,
+            approximateRadius: this.options.approximateRadius,
+            getSector: event => this._kmlLayer.getEventSector(event)
+        };
+    },
+
+    // Graph of the selected roads, or null when there are none (straight-line checks only)
+    _getGraph: async function() {
+        if (this._source.value === 'route') {
+            if (this._routeLatLngs.length < 2) {
+                throw new Error('Draw a route first.');
+            }
+            const speed = parseFloat(this._routeSpeed.value) || this.options.routeSpeed;
+            return buildRoadGraph([{ coords: this._routeLatLngs, speed: speed, tags: { highway: 'drawn route' } }]);
+        }
+        await this._ensureNetwork();
+        return this._network ? this._network.graph : null;
+    },
+
+    _ensureNetwork: async function() {
+        if (this._network || this._networkError || !this.options.networkUrl) return;
+        if (!this._networkLoading) {
+            this._networkLoading = loadRoadNetwork(this.options.networkUrl)
+                .then(ways => this.setNetwork(ways, this.options.networkUrl))
+                .catch(error => this._onNetworkError(error))
+                .then(() => {
+                    this._networkLoading = null;
+                });
+        }
+        await this._networkLoading;
+    },
+
+    _onNetworkError: function(error) {
+        console.info('No road network:', error.message);
+        this._networkError = error;
+        this._showNetworkInfo();
+        this.fire('networkerror', { error: error });
+    },
+
+    _showNetworkInfo: function() {
+        if (!this._networkInfo) return;
+        this._networkInfo.title = '';
+        if (this._source.value === 'route') {
+            this._networkInfo.textContent = this._routeLatLngs.length > 1 ? 'Using the drawn route' : 'No route drawn yet';
+        } else if (this._network) {
+            this._networkInfo.textContent = `${this._network.name}: ${this._network.ways.length} roads`;
+        } else if (this._networkError) {
+            this._networkInfo.textContent = 'No road network (straight-line checks only)';
+            this._networkInfo.title = this._networkError.message;
+        } else if (!this.options.networkUrl) {
+            this._networkInfo.textContent = 'No road network (straight-line checks only)';
+            this._networkInfo.title = 'Pick an OSM extract or GeoJSON road network below';
+        } else {
+            this._networkInfo.textContent = '';
+        }
+        this._fillAvoidOptions();
+    },
+
+    // Offer the road classes of the network, keeping what was selected
+    _fillAvoidOptions: function() {
+        const selected = new Set(Array.from(this._avoid.selectedOptions).map(option => option.value));
+        const classes = this._network && this._source.value === 'network' ? this._network.graph.classes : [];
+        this._avoid.innerHTML = '';
+        classes.forEach(highway => {
+            const option = L.DomUtil.create('option', '', this._avoid);
+            option.value = highway;
+            option.textContent = highway.replace(/_/g, ' ');
+            option.selected = selected.has(highway);
+        });
+    },
+
+    // Fill the from/to lists with the timeline events and point placemarks, and the phone list
+    _fillPointOptions: function() {
+        const fill = (select) => {
+            const value = select.value;
+            select.innerHTML = '';
+            const events = L.DomUtil.create('optgroup', '', select);
+            events.label = 'Timeline events';
+            this._kmlLayer.getTimelineEvents().forEach(event => {
+                const option = L.DomUtil.create('option', '', events);
+                option.value = 'event:' + event.id;
+                option.textContent = `${formatCaseTime(event.timestamp)} ${event.label}`;
+            });
+            const places = L.DomUtil.create('optgroup', '', select);
+            places.label = 'Places';
+            this._kmlLayer.getLocations().forEach((loc, index) => {
+                if (!getLocationLatLng(loc)) return;
+                const option = L.DomUtil.create('option', '', places);
+                option.value = 'place:' + index;
+                option.textContent = loc.name;
+            });
+            if (value) select.value = value;
+        };
+        fill(this._from);
+        fill(this._to);
+
+        const phone = this._phone.value;
+        this._phone.innerHTML = '';
+        this._kmlLayer.getTracks()
+            .filter(track => !this._kmlLayer.options.markerOnlyPhones.includes(track.phone) && track.events.length > 1)
+            .forEach(track => {
+                const option = L.DomUtil.create('option', '', this._phone);
+                option.value = track.phone;
+                option.textContent = track.label;
+            });
+        if (phone) this._phone.value = phone;
+    },
+
+    _getPoint: function(value) {
+        const [kind, key] = [value.slice(0, value.indexOf(':')), value.slice(value.indexOf(':') + 1)];
+        const item = kind === 'event'
+            ? this._kmlLayer.getTimelineEvents().find(event => event.id === key)
+            : this._kmlLayer.getLocations()[Number(key)];
+        if (!item) {
+            throw new Error('Choose two events or places.');
+        }
+        return getTravelPoint(item, this._getRouteOptions());
+    },
+
+    _showResults: function(results) {
+        this._results = results;
+        this._resultLayer.clearLayers();
+        results.forEach(result => {
+            const status = getTravelFlag(result).status;
+            const color = TRAVEL_COLORS[status];
+            const text = formatTravelResult(result).map(escapeHtml).join('<br>');
+            const line = result.route
+                ? L.polyline(result.route.path, { color: color, weight: 5, opacity: 0.8 })
+                : L.polyline([[result.from.lat, result.from.lng], [result.to.lat, result.to.lng]],
+                    { color: color, weight: 3, dashArray: '4 8' });
+            line.bindTooltip(text, { sticky: true }).bindPopup(text);
+            this._resultLayer.addLayer(line);
+        });
+        if (results.length > 0 && this._resultLayer.getBounds().isValid()) {
+            this._map.fitBounds(this._resultLayer.getBounds(), { padding: [30, 30] });
+        }
+
+        const infeasible = results.filter(result => result.feasible === false).length;
+        this._output.textContent = results.length === 1
+            ? formatTravelResult(results[0]).join('\n')
+            : `${results.length} moves checked, ${infeasible} not possible`;
+        this.fire('results', { results: results });
+    }
+});
+
+L.Control.TravelTime.include(L.Evented.prototype);
+
+L.control.travelTime = function(kmlLayer, options) {
+    return new L.Control.TravelTime(kmlLayer, options);
+};
+
+// Export functions
+window.DEFAULT_ROAD_SPEEDS = DEFAULT_ROAD_SPEEDS;
+window.parseOsmRoads = parseOsmRoads;
+window.parseGeoJsonRoads = parseGeoJsonRoads;
+window.loadRoadNetwork = loadRoadNetwork;
+window.buildRoadGraph = buildRoadGraph;
+window.findFastestRoute = findFastestRoute;
+window.checkTravelFeasibility = checkTravelFeasibility;
+window.checkConsecutivePings = checkConsecutivePings;
+window.getTravelFlag = getTravelFlag;
+window.getTravelFlags = getTravelFlags;
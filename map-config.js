@@ -0,0 +1,30 @@
+/**
+ * Map Configuration
+ * Where the map loads its base tiles and current weather from. Set mode to 'offline' to
+ * present without a network, or add ?mode=offline (or ?mode=online) to the page's URL to
+ * switch for one visit. See "Offline Use" in the README.
+ */
+window.MAP_CONFIG = {
+    // 'online': tiles from OpenStreetMap and current weather from RainViewer.
+    // 'offline': the tiles and weather below
+    mode: 'online',
+
+    // Base tiles for offline mode: a PMTiles archive ('./tiles/case-area.pmtiles') or a
+    // directory of tiles ('./tiles/{z}/{x}/{y}.png')
+    offlineTiles: {
+        url: './tiles/{z}/{x}/{y}.png',
+        name: 'Case Area (offline)',
+        maxZoom: 19,
+        attribution: '&copy; <a href="http://www.openstreetmap.org/copyright">OpenStreetMap</a>'
+    },
+
+    // Current weather for offline mode: a saved copy of RainViewer's weather-maps.json and
+    // the directory holding its tiles, for example
+    // { endpoint: './rainviewer/weather-maps.json', tileHost: './rainviewer' }.
+    // null leaves the current radar and satellite layers out
+    offlineWeather: null,
+
+    // Keep the page, its libraries, the KML and the data files in the browser (service-worker.js)
+    // so the map still opens when the network or the server that hosts it is gone
+    serviceWorker: true
+};
@@ -0,0 +1,208 @@
+/**
+ * Service Worker
+ * Keeps the map usable without a network. The page, its scripts, the vendored libraries, the
+ * KML and the data files are stored when the worker installs and stored again whenever they
+ * load from the server; when the server cannot be reached they are answered from the store.
+ * Libraries, icons and tiles from other sites are stored the first time they load. Registered
+ * by MapSources.js when serviceWorker is on in map-config.js.
+ */
+
+// Change when APP_FILES changes, so the old stores are dropped
+const CACHE_VERSION = 'v3';
+const APP_CACHE = `tnvza-map-app-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `tnvza-map-runtime-${CACHE_VERSION}`;
+
+// Responses from other sites kept at most; the oldest go first
+const RUNTIME_CACHE_LIMIT = 2000;
+
+// Stored on install; a file that fails to load is skipped
+const APP_FILES = [
+    './',
+    './index.html',
+    './map-config.js',
+    './MapSources.js',
+    './OfflineTiles.js',
+    './TimeSync.js',
+    './Rainviewer.js',
+    './CaseTime.js',
+    './KmlLoader.js',
+    './TimelineData.js',
+    './KmlLayerTree.js',
+    './TowerSectors.js',
+    './KmlBalloon.js',
+    './Citations.js',
+    './EvidencePanel.js',
+    './CdrImporter.js',
+    './CaseFiles.js',
+    './MapExport.js',
+    './MapHash.js',
+    './TravelTime.js',
+    './Annotations.js',
+    './Tours.js',
+    './ExhibitExport.js',
+    './vendor/leaflet@1.9.4/leaflet.css',
+    './vendor/leaflet@1.9.4/leaflet.js',
+    './vendor/leaflet@1.9.4/images/layers.png',
+    './vendor/leaflet@1.9.4/images/layers-2x.png',
+    './vendor/leaflet@1.9.4/images/marker-icon.png',
+    './vendor/leaflet@1.9.4/images/marker-icon-2x.png',
+    './vendor/leaflet@1.9.4/images/marker-shadow.png',
+    './vendor/iso8601-js-period@0.2.1/iso8601.js',
+    './vendor/leaflet-timedimension@1.1.1/leaflet.timedimension.control.min.css',
+    './vendor/leaflet-timedimension@1.1.1/leaflet.timedimension.min.js',
+    './vendor/bootstrap@3.4.1/fonts/glyphicons-halflings-regular.woff2',
+    './vendor/bootstrap@3.4.1/fonts/glyphicons-halflings-regular.woff',
+    './vendor/bootstrap@3.4.1/fonts/glyphicons-halflings-regular.ttf',
+    './vendor/jszip@3.10.1/jszip.min.js',
+    './locations.kml',
+    './timeline-events.json',
+    './towers.json',
+    './cdr-import.json',
+    './tour.json',
+    './sources/sources.json'
+];
+
+// Kinds of request from other sites that are stored; their data requests (such as the weather
+// metadata) always go to the network
+const RUNTIME_DESTINATIONS = ['image', 'script', 'style', 'font'];
+
+// Whole files read back for byte range requests, by URL
+const rangeBodies = new Map();
+
+// Store each URL that loads, skipping those that fail. Unless refresh is set, URLs already
+// stored are left alone
+async function addFiles(urls, refresh) {
+    const cache = await caches.open(APP_CACHE);
+    await Promise.all(urls.map(async url => {
+        if (!refresh && await cache.match(url)) return;
+        try {
+            const response = await fetch(url, { cache: 'no-cache' });
+            if (response.ok) {
+                await cache.put(url, response);
+                rangeBodies.delete(new URL(url, self.location.href).href);
+            }
+        } catch (error) {
+            console.warn('Not stored for offline use:', url, error.message);
+        }
+    }));
+}
+
+// The source documents listed in sources/sources.json (see Citations.js)
+async function addSourceFiles() {
+    const manifestUrl = new URL('./sources/sources.json', self.location.href);
+    const cached = await caches.match(manifestUrl.href);
+    if (!cached) return;
+    const manifest = await cached.json();
+    const files = (manifest.sources || [])
+        .filter(source => source.file)
+        .map(source => new URL(source.file, manifestUrl).href);
+    await addFiles(files, true);
+}
+
+// Drop the oldest stored responses from other sites past RUNTIME_CACHE_LIMIT
+async function trimRuntimeCache() {
+    const cache = await caches.open(RUNTIME_CACHE);
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - RUNTIME_CACHE_LIMIT)).map(key => cache.delete(key)));
+}
+
+// Same-site files: from the server when it answers (storing the answer), else from the store
+async function networkFirst(event) {
+    const request = event.request;
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const copy = response.clone();
+            event.waitUntil(caches.open(APP_CACHE).then(cache => cache.put(request, copy)));
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Libraries, icons and tiles from other sites: from the store once they have loaded. A stored
+// response without CORS is not given to a request that needs it (exhibits reload tiles with CORS)
+async function cacheFirst(event) {
+    const request = event.request;
+    const cached = await caches.match(request);
+    if (cached && (cached.type !== 'opaque' || request.mode === 'no-cors')) {
+        return cached;
+    }
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        const copy = response.clone();
+        event.waitUntil(caches.open(RUNTIME_CACHE)
+            .then(cache => cache.put(request, copy))
+            .then(trimRuntimeCache));
+    }
+    return response;
+}
+
+// Byte range requests (PMTiles archives) go to the server; without it they are cut from a
+// stored copy of the whole file, if the page asked for one to be kept
+async function rangeRequest(event) {
+    const request = event.request;
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const match = /^bytes=(\d+)-(\d*)$/.exec(request.headers.get('Range'));
+        if (!match) throw error;
+        if (!rangeBodies.has(request.url)) {
+            const cached = await caches.match(request.url);
+            if (!cached) throw error;
+            rangeBodies.set(request.url, cached.arrayBuffer());
+        }
+        const body = await rangeBodies.get(request.url);
+        const start = Number(match[1]);
+        const end = Math.min(match[2] ? Number(match[2]) : Infinity, body.byteLength - 1);
+        if (start > end) {
+            return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${body.byteLength}` } });
+        }
+        return new Response(body.slice(start, end + 1), {
+            status: 206,
+            headers: {
+                'Content-Type': 'application/octet-stream',
+                'Content-Range': `bytes ${start}-${end}/${body.byteLength}`,
+                'Content-Length': String(end - start + 1)
+            }
+        });
+    }
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil(addFiles(APP_FILES, true)
+        .then(addSourceFiles)
+        .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names
+            .filter(name => name.startsWith('tnvza-map-') && name !== APP_CACHE && name !== RUNTIME_CACHE)
+            .map(name => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+// The page names more files to keep, such as the offline tile archive: { type: 'keep', urls }
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'keep' && Array.isArray(event.data.urls)) {
+        event.waitUntil(addFiles(event.data.urls, false));
+    }
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || !/^https?:$/.test(url.protocol)) return;
+
+    if (request.headers.has('Range')) {
+        event.respondWith(rangeRequest(event));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(event));
+    } else if (RUNTIME_DESTINATIONS.includes(request.destination)) {
+        event.respondWith(cacheFirst(event));
+    }
+});